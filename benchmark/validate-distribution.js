@@ -4,7 +4,9 @@
  * Statistical Validation Script for rng-with-intention
  * 
  * Performs chi-square goodness-of-fit test to verify that the RNG
- * produces a uniform distribution over many draws.
+ * produces a uniform distribution over many draws, or the expected
+ * frequencies for a set of weights, an integer range or a continuous
+ * distribution.
  * 
  * Usage: node benchmark/validate-distribution.js [options]
  * 
@@ -12,10 +14,29 @@
  *   --draws <n>     Number of draws to perform (default: 10000)
  *   --max <n>       Maximum value for draws (default: 78, full tarot deck)
  *   --seed <s>      Seed for deterministic testing (default: random)
+ *   --bins <n>      Group values into n equal-width bins (default: 100 when max > 1000)
+ *   --legacy-modulo Use the pre-0.4 `hash % max` mapping, to show its bias
+ *   --reversals <p> Also check that cards are reversed with probability p
+ *   --weights <w>   Test drawWeighted() with comma-separated weights, e.g. 1,2,3.5
+ *   --min <n>       Test drawRange(min, max), with max inclusive
+ *   --distribution <d>
+ *                   Test drawFloat(), drawNormal() or drawExponential() ('float',
+ *                   'normal' or 'exponential') over equal-probability bins (default: 20)
  *   --verbose       Show detailed frequency table
+ *
+ * Awkward sizes worth checking:
+ *   --max 78                                Tarot deck (2^32 % 78 != 0)
+ *   --max 3000000000 --legacy-modulo        Shows strong modulo bias
+ *   --max 3000000000                        Rejection sampling - uniform
+ *   --weights 1,1000000                     Very uneven weights
+ *   --weights 0.1,0.2,0.3,0.4               Float weights
+ *   --min -10 --max 10                      Range including negatives
+ *   --distribution normal                   Box–Muller normal values
  */
 
-import { RngWithIntention } from '../src/index.js';
+import { RngWithIntention, WeightedTable } from '../src/index.js';
+import { sha256, readUInt32BE } from '../src/crypto-polyfill.js';
+import { chiSquareTest, normalCdf } from '../src/stats.js';
 
 // Parse command line arguments
 const args = process.argv.slice(2);
@@ -23,6 +44,12 @@ const options = {
     draws: 10000,
     max: 78,
     seed: null,
+    bins: null,
+    legacyModulo: false,
+    reversals: null,
+    weights: null,
+    min: null,
+    distribution: null,
     verbose: false
 };
 
@@ -32,11 +59,29 @@ for (let i = 0; i < args.length; i++) {
             options.draws = parseInt(args[++i], 10);
             break;
         case '--max':
-            options.max = parseInt(args[++i], 10);
+            options.max = parseMax(args[++i]);
             break;
         case '--seed':
             options.seed = args[++i];
             break;
+        case '--bins':
+            options.bins = parseInt(args[++i], 10);
+            break;
+        case '--legacy-modulo':
+            options.legacyModulo = true;
+            break;
+        case '--reversals':
+            options.reversals = parseFloat(args[++i]);
+            break;
+        case '--weights':
+            options.weights = args[++i].split(',').map(Number);
+            break;
+        case '--min':
+            options.min = parseInt(args[++i], 10);
+            break;
+        case '--distribution':
+            options.distribution = args[++i];
+            break;
         case '--verbose':
             options.verbose = true;
             break;
@@ -46,72 +91,146 @@ for (let i = 0; i < args.length; i++) {
             console.log('  --draws <n>     Number of draws (default: 10000)');
             console.log('  --max <n>       Maximum value (default: 78)');
             console.log('  --seed <s>      Seed for deterministic testing');
+            console.log('  --bins <n>      Group values into n equal-width bins');
+            console.log('  --legacy-modulo Use the old `hash % max` mapping for comparison');
+            console.log('  --reversals <p> Also check orientation frequencies for probability p');
+            console.log('  --weights <w>   Test weighted draws, e.g. --weights 1,2,3.5');
+            console.log('  --min <n>       Test drawRange(min, max) with max inclusive');
+            console.log('  --distribution <d>  Test float, normal or exponential draws');
             console.log('  --verbose       Show detailed frequency table');
             process.exit(0);
     }
 }
 
 /**
- * Calculate chi-square statistic and p-value
+ * Parse --max, switching to BigInt beyond Number.MAX_SAFE_INTEGER
+ * @param {string} value - Command line value
+ * @returns {number|bigint} Maximum value
+ */
+function parseMax(value) {
+    const parsed = BigInt(value);
+    return parsed > BigInt(Number.MAX_SAFE_INTEGER) ? parsed : Number(parsed);
+}
+
+// Continuous distributions are tested over bins of equal probability under their CDF
+const CONTINUOUS = {
+    float: { method: 'drawFloat', cdf: x => x },
+    normal: { method: 'drawNormal', cdf: normalCdf },
+    exponential: { method: 'drawExponential', cdf: x => 1 - Math.exp(-x) }
+};
+
+if (options.distribution && !CONTINUOUS[options.distribution]) {
+    console.error(`Unknown distribution: ${options.distribution} (use ${Object.keys(CONTINUOUS).join(', ')})`);
+    process.exit(2);
+}
+
+const continuous = options.distribution && CONTINUOUS[options.distribution];
+
+// Weighted draws have one category per weight
+const table = options.weights && new WeightedTable(options.weights);
+
+// Ranges are tested as indices into [min, max]
+const ranged = options.min !== null && !table && !continuous;
+const span = ranged ? options.max - options.min + 1 : options.max;
+
+// Large ranges can't be tested value-by-value, so group them into bins
+const binCount = table ? null : continuous ? options.bins || 20 : options.bins || (span > 1000 ? 100 : null);
+const categories = table ? table.size : binCount || Number(span);
+
+/**
+ * Map a drawn value to its category (the value itself, or its bin)
+ * @param {number|bigint} value - Drawn value
+ * @returns {number} Category index
+ */
+function categoryOf(value) {
+    if (continuous) return Math.min(binCount - 1, Math.floor(continuous.cdf(value) * binCount));
+    if (ranged) value -= options.min;
+    if (!binCount) return Number(value);
+    return Number((BigInt(value) * BigInt(binCount)) / BigInt(span));
+}
+
+/**
+ * Expected probability of each category
+ *
+ * Bins hold floor/ceil(max / bins) values each, so they're not always the
+ * same width; weighting by width keeps the test exact for any max.
+ *
+ * @returns {number[]} Probability per category
+ */
+function expectedProportions() {
+    if (table) {
+        const total = options.weights.reduce((sum, weight) => sum + weight, 0);
+        return options.weights.map(weight => weight / total);
+    }
+    if (!binCount || continuous) return new Array(categories).fill(1 / categories);
+
+    const max = BigInt(span);
+    const bins = BigInt(binCount);
+    // First value in bin i is ceil(i * max / bins)
+    const binStart = i => (BigInt(i) * max + bins - 1n) / bins;
+    const proportions = [];
+    for (let i = 0; i < binCount; i++) {
+        const width = binStart(i + 1) - binStart(i);
+        proportions.push(Number(width) / Number(max));
+    }
+    return proportions;
+}
+
+/**
+ * Draw with the mapping used before rejection sampling: readUInt32BE(hash) % max
+ * Kept here only so the bias it introduced can be demonstrated.
+ */
+async function legacyModuloDraw(intention, max) {
+    const hash = await sha256(intention);
+    return readUInt32BE(hash, 0) % Number(max);
+}
+
+/**
+ * Chi-square goodness-of-fit test over a frequency map
  * 
- * Chi-square test compares observed frequencies to expected frequencies
- * under the null hypothesis of uniform distribution.
+ * Compares observed frequencies to expected frequencies under the null
+ * hypothesis of the given distribution; the p-value is exact for any
+ * degrees of freedom (see src/stats.js).
  * 
- * @param {Object} observed - Map of value -> observed count
- * @param {number} total - Total number of observations
- * @param {number} categories - Number of categories (possible values)
+ * @param {Map} observed - Map of category -> observed count
+ * @param {number[]} proportions - Expected probability of each category
  * @returns {Object} { chiSquare, degreesOfFreedom, pValue, isSignificant }
  */
-function chiSquareTest(observed, total, categories) {
-    const expected = total / categories;
-    let chiSquare = 0;
-    
-    // Calculate chi-square statistic: Σ((O - E)² / E)
-    for (let i = 0; i < categories; i++) {
-        const obs = observed.get(i) || 0;
-        const diff = obs - expected;
-        chiSquare += (diff * diff) / expected;
-    }
-    
-    const degreesOfFreedom = categories - 1;
-    
-    // Calculate p-value using chi-square CDF approximation
-    // For large df, chi-square distribution approaches normal distribution
-    const pValue = calculatePValue(chiSquare, degreesOfFreedom);
+function goodnessOfFit(observed, proportions) {
+    const counts = proportions.map((_, i) => observed.get(i) || 0);
+    const { statistic, degreesOfFreedom, pValue } = chiSquareTest(counts, proportions);
     
     // Standard significance level: p > 0.05 means distribution is acceptable
-    const isSignificant = pValue > 0.05;
-    
-    return { chiSquare, degreesOfFreedom, pValue, isSignificant };
+    return { chiSquare: statistic, degreesOfFreedom, pValue, isSignificant: pValue > 0.05 };
 }
 
 /**
- * Calculate p-value for chi-square statistic
- * Uses incomplete gamma function approximation
- * 
- * @param {number} x - Chi-square statistic
- * @param {number} k - Degrees of freedom
- * @returns {number} p-value (probability of observing this result by chance)
+ * Describe how draws are mapped, for the configuration summary
+ * @returns {string}
  */
-function calculatePValue(x, k) {
-    // For chi-square distribution, p-value = P(X >= x)
-    // This is 1 - CDF(x), where CDF is the cumulative distribution function
-    
-    // Use gamma function approximation for chi-square CDF
-    // This is a simplified version - production code would use a library
-    
-    if (x <= 0) return 1;
-    if (k <= 0) return 0;
-    
-    // Stirling's approximation for large k
-    const z = (x - k) / Math.sqrt(2 * k);
-    
-    // Standard normal CDF approximation
-    const t = 1 / (1 + 0.2316419 * Math.abs(z));
-    const d = 0.3989423 * Math.exp(-z * z / 2);
-    const probability = d * t * (0.3193815 + t * (-0.3565638 + t * (1.781478 + t * (-1.821256 + t * 1.330274))));
-    
-    return z > 0 ? probability : 1 - probability;
+function mappingName() {
+    if (table) return 'alias table';
+    if (continuous) return `${binCount} equal-probability bins`;
+    return options.legacyModulo ? 'legacy hash % max' : 'rejection sampling';
+}
+
+/**
+ * Make one draw in the selected mode
+ * @param {RngWithIntention} rngi - Generator to draw with
+ * @param {string} intention - Intention for this draw
+ * @returns {Promise<Object>} { value, reversed? }
+ */
+async function drawOnce(rngi, intention) {
+    if (table) {
+        const { index, reversed } = await rngi.drawWeighted(intention, table);
+        return { value: index, reversed };
+    }
+    if (continuous) return rngi[continuous.method](intention);
+    if (ranged) return rngi.drawRange(intention, options.min, options.max);
+    if (options.legacyModulo) return { value: await legacyModuloDraw(intention, options.max) };
+
+    const { index, reversed } = await rngi.draw(intention, options.max);
+    return { value: index, reversed };
 }
 
 /**
@@ -124,27 +243,51 @@ async function runValidation() {
     
     console.log('Configuration:');
     console.log(`  Draws:     ${options.draws.toLocaleString()}`);
-    console.log(`  Max value: ${options.max} (0-${options.max - 1})`);
+    if (table) {
+        console.log(`  Weights:   ${options.weights.join(', ')}`);
+    } else if (continuous) {
+        console.log(`  Method:    ${continuous.method}()`);
+    } else if (ranged) {
+        console.log(`  Range:     ${options.min} to ${options.max} (inclusive)`);
+    } else {
+        console.log(`  Max value: ${options.max} (0-${BigInt(options.max) - 1n})`);
+    }
     console.log(`  Seed:      ${options.seed || '(random)'}`);
-    console.log(`  Expected:  ${(options.draws / options.max).toFixed(2)} draws per value`);
+    console.log(`  Mapping:   ${mappingName()}`);
+    if (binCount) {
+        console.log(`  Bins:      ${binCount}`);
+    }
+    if (!table) {
+        console.log(`  Expected:  ${(options.draws / categories).toFixed(2)} draws per ${binCount ? 'bin' : 'value'}`);
+    }
+    if (options.reversals !== null) {
+        console.log(`  Reversals: p = ${options.reversals}`);
+    }
     console.log();
     
     // Initialize RNG with deterministic settings for validation
     const intention = options.seed || `validation-${Date.now()}`;
     const rngi = new RngWithIntention({
         includeTimestamp: false,  // Deterministic for validation
-        includeEntropy: false      // Deterministic for validation
+        includeEntropy: false,     // Deterministic for validation
+        reversalProbability: options.reversals
     });
     
     // Perform draws
     console.log('Performing draws...');
     const startTime = Date.now();
     const frequency = new Map();
+    const orientation = new Map([[0, 0], [1, 0]]);  // upright, reversed
     
     for (let i = 0; i < options.draws; i++) {
         // Use incrementing intention to get different draws
-        const result = await rngi.draw(`${intention}-${i}`, options.max);
-        frequency.set(result.index, (frequency.get(result.index) || 0) + 1);
+        const drawn = await drawOnce(rngi, `${intention}-${i}`);
+        if (drawn.reversed !== undefined) {
+            const key = drawn.reversed ? 1 : 0;
+            orientation.set(key, orientation.get(key) + 1);
+        }
+        const category = categoryOf(drawn.value);
+        frequency.set(category, (frequency.get(category) || 0) + 1);
         
         // Progress indicator for large runs
         if (options.draws >= 50000 && (i + 1) % 10000 === 0) {
@@ -161,7 +304,10 @@ async function runValidation() {
     console.log(`  (${(options.draws / elapsed * 1000).toFixed(0)} draws/second)\n`);
     
     // Calculate statistics
-    const result = chiSquareTest(frequency, options.draws, options.max);
+    const proportions = expectedProportions();
+    const result = goodnessOfFit(frequency, proportions);
+    const target = table ? 'the expected weighted frequencies'
+        : continuous ? `the ${options.distribution} distribution` : 'uniform';
     
     // Display results
     console.log('Results:');
@@ -172,21 +318,26 @@ async function runValidation() {
     console.log('───────────────────────────────────────────────────────────');
     
     if (result.isSignificant) {
-        console.log('  ✓ PASS: Distribution is statistically uniform (p > 0.05)');
-        console.log('    The RNG produces an acceptable uniform distribution.');
+        console.log(`  ✓ PASS: Distribution is consistent with ${target} (p > 0.05)`);
+        console.log('    The RNG produces an acceptable distribution.');
     } else {
-        console.log('  ✗ FAIL: Distribution deviates from uniform (p ≤ 0.05)');
+        console.log(`  ✗ FAIL: Distribution deviates from ${target} (p ≤ 0.05)`);
         console.log('    The RNG may have bias or implementation issues.');
     }
     
     console.log();
     
+    let orientationPassed = true;
+    if (options.reversals !== null && !options.legacyModulo && !continuous && !ranged) {
+        orientationPassed = reportOrientation(orientation, options.draws, options.reversals);
+    }
+    
     // Show frequency distribution if verbose
     if (options.verbose) {
         console.log('Frequency Distribution:');
         console.log('───────────────────────────────────────────────────────────');
         
-        const expected = options.draws / options.max;
+        const expected = options.draws / categories;
         const sortedValues = Array.from(frequency.keys()).sort((a, b) => a - b);
         
         // Calculate statistics
@@ -195,22 +346,22 @@ async function runValidation() {
         const max = Math.max(...counts);
         const mean = counts.reduce((a, b) => a + b, 0) / counts.length;
         
-        console.log(`  Expected per value: ${expected.toFixed(2)}`);
+        console.log(`  Expected per value: ${table ? '(by weight)' : expected.toFixed(2)}`);
         console.log(`  Observed range:     ${min} - ${max}`);
         console.log(`  Observed mean:      ${mean.toFixed(2)}`);
         console.log();
         
         // Show first 10, last 10, and any outliers
-        const showLimit = 10;
-        const outlierThreshold = expected * 0.2; // ±20% from expected
+        const showLimit = 10;  // values more than ±20% from expected are marked
         
         console.log('  First 10 values:');
         for (let i = 0; i < Math.min(showLimit, sortedValues.length); i++) {
             const value = sortedValues[i];
             const count = frequency.get(value) || 0;
-            const diff = count - expected;
-            const pct = (diff / expected * 100).toFixed(1);
-            const marker = Math.abs(diff) > outlierThreshold ? ' ⚠' : '';
+            const expectedHere = options.draws * proportions[value];
+            const diff = count - expectedHere;
+            const pct = (diff / expectedHere * 100).toFixed(1);
+            const marker = Math.abs(diff) > expectedHere * 0.2 ? ' ⚠' : '';
             console.log(`    [${value.toString().padStart(2)}] ${count.toString().padStart(4)} (${pct > 0 ? '+' : ''}${pct}%)${marker}`);
         }
         
@@ -220,9 +371,10 @@ async function runValidation() {
             for (let i = Math.max(showLimit, sortedValues.length - showLimit); i < sortedValues.length; i++) {
                 const value = sortedValues[i];
                 const count = frequency.get(value) || 0;
-                const diff = count - expected;
-                const pct = (diff / expected * 100).toFixed(1);
-                const marker = Math.abs(diff) > outlierThreshold ? ' ⚠' : '';
+                const expectedHere = options.draws * proportions[value];
+                const diff = count - expectedHere;
+                const pct = (diff / expectedHere * 100).toFixed(1);
+                const marker = Math.abs(diff) > expectedHere * 0.2 ? ' ⚠' : '';
                 console.log(`    [${value.toString().padStart(2)}] ${count.toString().padStart(4)} (${pct > 0 ? '+' : ''}${pct}%)${marker}`);
             }
         }
@@ -233,7 +385,44 @@ async function runValidation() {
     console.log('═══════════════════════════════════════════════════════════');
     
     // Exit with appropriate code
-    process.exit(result.isSignificant ? 0 : 1);
+    process.exit(result.isSignificant && orientationPassed ? 0 : 1);
+}
+
+/**
+ * Check and print orientation frequencies against the reversal probability
+ * 
+ * @param {Map} orientation - 0 (upright) / 1 (reversed) -> count
+ * @param {number} total - Total number of draws
+ * @param {number} p - Configured reversal probability
+ * @returns {boolean} Whether the frequencies are consistent with p
+ */
+function reportOrientation(orientation, total, p) {
+    const reversed = orientation.get(1);
+    
+    console.log('Orientation:');
+    console.log('───────────────────────────────────────────────────────────');
+    console.log(`  Reversed:             ${reversed} (${(reversed / total * 100).toFixed(2)}%, expected ${(p * 100).toFixed(2)}%)`);
+    
+    let passed;
+    if (p === 0 || p === 1) {
+        // Degenerate probabilities must be exact
+        passed = reversed === p * total;
+    } else {
+        const result = goodnessOfFit(orientation, [1 - p, p]);
+        console.log(`  Chi-square statistic: ${result.chiSquare.toFixed(4)}`);
+        console.log(`  P-value:              ${result.pValue.toFixed(6)}`);
+        passed = result.isSignificant;
+    }
+    console.log('───────────────────────────────────────────────────────────');
+    
+    if (passed) {
+        console.log(`  ✓ PASS: Reversal frequency is consistent with p = ${p}`);
+    } else {
+        console.log(`  ✗ FAIL: Reversal frequency deviates from p = ${p}`);
+    }
+    
+    console.log();
+    return passed;
 }
 
 // Run the validation
@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+
+/**
+ * Command-line interface for rng-with-intention
+ *
+ * Draws numbers, spreads and dice from shell scripts, cron jobs and git
+ * hooks. Pass the intention as an argument, or pipe it on stdin (or pass
+ * `-`) so it never lands in shell history.
+ *
+ * Usage: rngi <command> [intention] [options]
+ *
+ * Commands:
+ *   draw            Draw values from 0 to max-1, or cards from a deck
+ *   spread          Draw a card for each position of a spread
+ *   roll            Roll dice in standard notation
+ *
+ * Options:
+ *   --max <n>       Number of values or cards (default: 78, full tarot deck)
+ *   --count <n>     Values to draw (default: 1)
+ *   --unique        Draw without duplicates
+ *   --deck <name>   Draw cards from a deck preset, e.g. rider-waite, lenormand
+ *   --spread <id>   Spread for `spread` (default: three-card)
+ *   --dice <d>      Dice notation for `roll`, e.g. 3d6+2 (default: 1d6)
+ *   --reversals <p> Reverse each card with probability p
+ *   --window <w>    Same result all minute, hour, day, week or lunarMonth
+ *   --deterministic Leave out the timestamp and entropy: same intention, same result
+ *   --json          Print the full result as JSON
+ *
+ * Examples:
+ *   rngi draw "What do I need to know?" --deck rider-waite --reversals 0.5
+ *   rngi draw "pick three" --max 100 --count 3 --unique --json
+ *   echo "my private question" | rngi spread --deck rider-waite --spread celtic-cross
+ *   rngi roll "initiative" --dice 1d20+3
+ *
+ * Exit codes: 0 on success, 2 on a usage or draw error.
+ */
+
+import { RngWithIntention, Deck, roll } from '../src/index.js';
+
+const COMMANDS = ['draw', 'spread', 'roll'];
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const positional = [];
+const options = {
+    max: 78,
+    count: 1,
+    unique: false,
+    deck: null,
+    spread: 'three-card',
+    dice: '1d6',
+    reversals: null,
+    window: null,
+    deterministic: false,
+    json: false
+};
+
+for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+        case '--max':
+            options.max = parseMax(args[++i]);
+            break;
+        case '--count':
+            options.count = Number(args[++i]);
+            break;
+        case '--unique':
+            options.unique = true;
+            break;
+        case '--deck':
+            options.deck = args[++i];
+            break;
+        case '--spread':
+            options.spread = args[++i];
+            break;
+        case '--dice':
+            options.dice = args[++i];
+            break;
+        case '--reversals':
+            options.reversals = Number(args[++i]);
+            break;
+        case '--window':
+            options.window = args[++i];
+            break;
+        case '--deterministic':
+            options.deterministic = true;
+            break;
+        case '--json':
+            options.json = true;
+            break;
+        case '--help':
+        case '-h':
+            printHelp();
+            process.exit(0);
+            break;
+        default:
+            if (args[i].startsWith('--')) {
+                fail(`Unknown option: ${args[i]} (see rngi --help)`);
+            }
+            positional.push(args[i]);
+    }
+}
+
+/**
+ * Print usage
+ */
+function printHelp() {
+    console.log('Usage: rngi <command> [intention] [options]');
+    console.log('\nCommands:');
+    console.log('  draw            Draw values from 0 to max-1, or cards from a deck');
+    console.log('  spread          Draw a card for each position of a spread');
+    console.log('  roll            Roll dice in standard notation');
+    console.log('\nThe intention may be piped on stdin instead (or pass -), keeping it out of shell history.');
+    console.log('\nOptions:');
+    console.log('  --max <n>       Number of values or cards (default: 78)');
+    console.log('  --count <n>     Values to draw (default: 1)');
+    console.log('  --unique        Draw without duplicates');
+    console.log('  --deck <name>   Draw cards from a deck preset, e.g. rider-waite');
+    console.log('  --spread <id>   Spread for `spread` (default: three-card)');
+    console.log('  --dice <d>      Dice notation for `roll` (default: 1d6)');
+    console.log('  --reversals <p> Reverse each card with probability p');
+    console.log('  --window <w>    Same result all minute, hour, day, week or lunarMonth');
+    console.log('  --deterministic Same intention, same result');
+    console.log('  --json          Print the full result as JSON');
+}
+
+/**
+ * Report a usage or draw error and exit
+ * @param {string} message - Error message
+ */
+function fail(message) {
+    console.error(`rngi: ${message}`);
+    process.exit(2);
+}
+
+/**
+ * Parse --max, switching to BigInt beyond Number.MAX_SAFE_INTEGER
+ * @param {string} value - Command line value
+ * @returns {number|bigint} Maximum value
+ */
+function parseMax(value) {
+    let parsed;
+    try {
+        parsed = BigInt(value);
+    } catch {
+        fail(`--max must be a positive integer, got ${value}`);
+    }
+    return parsed > BigInt(Number.MAX_SAFE_INTEGER) ? parsed : Number(parsed);
+}
+
+/**
+ * Read the whole of stdin as UTF-8, without its final line break
+ * @returns {Promise<string>}
+ */
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8').replace(/\r?\n$/, '');
+}
+
+/**
+ * Get the intention from the arguments, or from stdin
+ * @param {string|undefined} argument - Intention argument, or '-' for stdin
+ * @returns {Promise<string>}
+ */
+async function readIntention(argument) {
+    if (argument !== undefined && argument !== '-') {
+        return argument;
+    }
+
+    if (argument === undefined && process.stdin.isTTY) {
+        fail('Intention required: pass it as an argument or pipe it on stdin');
+    }
+
+    return readStdin();
+}
+
+/**
+ * Describe a card or value for human output
+ * @param {Object|number|bigint} item - Card object or index
+ * @param {boolean} reversed - Whether it is reversed
+ * @returns {string}
+ */
+function describe(item, reversed) {
+    const text = typeof item === 'object' ? item.name || item.id : String(item);
+    return reversed ? `${text} (reversed)` : text;
+}
+
+/**
+ * Describe a dice roll for human output
+ * @param {Object} result - Result of roll()
+ * @returns {string[]} Lines
+ */
+function describeRoll(result) {
+    const lines = [`${result.notation} = ${result.total}`];
+    for (const group of result.groups) {
+        const dice = group.dice.map(die => {
+            const text = `${die.value}${die.exploded ? '!' : ''}`;
+            return die.kept ? text : `(${text})`;
+        });
+        lines.push(`  ${group.sign < 0 ? '-' : ''}${group.notation}: ${dice.join(', ')}`);
+    }
+    return lines;
+}
+
+/**
+ * Run a command
+ * @param {string} command - 'draw', 'spread' or 'roll'
+ * @param {string} intention - The user's intention
+ * @returns {Promise<Object>} { result, lines } for JSON and human output
+ */
+async function run(command, intention) {
+    const rngi = new RngWithIntention({
+        ...(options.deterministic ? { includeTimestamp: false, includeEntropy: false } : {}),
+        reversalProbability: options.reversals,
+        window: options.window
+    });
+    const deck = options.deck ? Deck.fromPreset(options.deck, { rng: rngi }) : null;
+
+    if (command === 'draw') {
+        if (deck) {
+            const result = await deck.draw(intention, options.count);
+            const reversed = result.reversed || [];
+            return { result, lines: result.cards.map((card, i) => describe(card, reversed[i])) };
+        }
+
+        const result = await rngi.drawMultiple(intention, options.max, options.count, !options.unique);
+        const reversed = result.reversed || [];
+        return { result, lines: result.indices.map((index, i) => describe(index, reversed[i])) };
+    }
+
+    if (command === 'spread') {
+        const result = deck
+            ? await deck.drawSpread(intention, options.spread)
+            : await rngi.drawSpread(intention, options.max, options.spread);
+        return {
+            result,
+            lines: result.positions.map(drawn =>
+                `${drawn.position.label}: ${describe(drawn.card || drawn.index, drawn.reversed)}`
+            )
+        };
+    }
+
+    const result = await roll(intention, options.dice, { rng: rngi });
+    return { result, lines: describeRoll(result) };
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+    const [command, argument, ...extra] = positional;
+
+    if (!command) {
+        printHelp();
+        process.exit(2);
+    }
+
+    if (!COMMANDS.includes(command)) {
+        fail(`Unknown command: ${command} (use ${COMMANDS.join(', ')})`);
+    }
+
+    if (extra.length > 0) {
+        fail(`Unexpected argument: ${extra[0]} (quote the intention if it has spaces)`);
+    }
+
+    const intention = await readIntention(argument);
+    const { result, lines } = await run(command, intention);
+
+    if (options.json) {
+        // BigInt indices are written as decimal strings
+        console.log(JSON.stringify(result, (key, value) => (typeof value === 'bigint' ? value.toString() : value), 2));
+    } else {
+        console.log(lines.join('\n'));
+    }
+}
+
+main().catch(error => fail(error.message));
@@ -13,9 +13,38 @@
  *   --quick         Run quick test (3 deck sizes)
  *   --comprehensive Run comprehensive test (many deck sizes)
  *   --custom <n>    Test specific deck size
+ *   --positional    Test multi-card draws for positional and pair bias instead
+ *   --positions <n> Cards per spread for --positional (default: 3)
+ *   --spreads <n>   Spreads per deck size for --positional (default: enough
+ *                   for about 3 expected draws of every card pair)
+ *   --shuffle       Measure how many riffle shuffles make a deck near-uniform
+ *   --deck <n>      Deck size for --shuffle (default: 52)
+ *   --samples <n>   Shuffles per riffle count for --shuffle (default: 2000)
+ *
+ * Ranges above 100,000 values can't be enumerated, so they are split into
+ * 1,000 equal-width regions and every region must be reached instead.
+ *
+ * Positional mode draws many deterministic spreads with
+ * drawMultiple(..., false) and builds two kinds of table: position × card,
+ * tested for independence (is any card likelier in one position than
+ * another?), and, for each pair of neighbouring positions, the ordered
+ * card pairs they hold, tested against the exact no-replacement
+ * probabilities (do some cards land together too often?). Decks above 100
+ * cards are grouped into 100 equal-width regions. P-values are corrected
+ * with Holm's method across the tables for each deck size.
+ *
+ * Riffle mixing is measured through rising sequences (maximal runs of
+ * consecutive cards that stay in order). The Gilbert–Shannon–Reeds model
+ * depends on nothing else, so the total variation distance between the
+ * rising-sequence counts and those of a uniform order is the distance of
+ * the whole deck from uniform. Bayer and Diaconis give it exactly:
+ * after k riffles of n cards, an order with r rising sequences has
+ * probability C(2^k + n - r, n) / 2^(kn).
  */
 
 import { RngWithIntention } from '../src/index.js';
+import { riffle } from '../src/physical-shuffle.js';
+import { chiSquareTest, contingencyTest, adjustPValues } from '../src/stats.js';
 
 // ANSI color codes
 const colors = {
@@ -31,6 +60,11 @@ const colors = {
 const args = process.argv.slice(2);
 let testMode = 'quick';
 let customSize = null;
+let positional = false;
+let positions = 3;
+let spreadCount = null;
+let shuffleDeckSize = 52;
+let shuffleSamples = 2000;
 
 for (let i = 0; i < args.length; i++) {
     switch (args[i]) {
@@ -41,19 +75,80 @@ for (let i = 0; i < args.length; i++) {
             testMode = 'comprehensive';
             break;
         case '--custom':
-            customSize = parseInt(args[++i], 10);
+            customSize = Number(args[++i]);
             testMode = 'custom';
             break;
+        case '--positional':
+            positional = true;
+            break;
+        case '--positions':
+            positions = Number(args[++i]);
+            break;
+        case '--spreads':
+            spreadCount = Number(args[++i]);
+            break;
+        case '--shuffle':
+            testMode = 'shuffle';
+            break;
+        case '--deck':
+            shuffleDeckSize = Number(args[++i]);
+            break;
+        case '--samples':
+            shuffleSamples = Number(args[++i]);
+            break;
         case '--help':
             console.log('Usage: node scripts/validate-coverage.js [options]');
             console.log('\nOptions:');
             console.log('  --quick         Quick test (3 deck sizes)');
             console.log('  --comprehensive Comprehensive test (many sizes)');
             console.log('  --custom <n>    Test specific deck size');
+            console.log('  --positional    Test spreads for positional and pair bias');
+            console.log('  --positions <n> Cards per spread for --positional (default: 3)');
+            console.log('  --spreads <n>   Spreads per deck size for --positional');
+            console.log('  --shuffle       Measure riffle shuffle mixing');
+            console.log('  --deck <n>      Deck size for --shuffle (default: 52)');
+            console.log('  --samples <n>   Shuffles per riffle count (default: 2000)');
             process.exit(0);
     }
 }
 
+// Above this size, coverage is measured over regions rather than values
+const REGION_THRESHOLD = 100000;
+const REGION_COUNT = 1000;
+
+// Positional tables group larger decks into this many regions
+const POSITIONAL_REGIONS = 100;
+
+// Default spreads give each possible card pair about this many expected draws
+const EXPECTED_PER_PAIR = 3;
+
+// Significance level for the Holm-corrected p-values of positional tests
+const POSITIONAL_ALPHA = 0.01;
+
+// Define test suites
+const testSuites = {
+    quick: [
+        { size: 22, name: 'Major Arcana' },
+        { size: 78, name: 'Full Tarot Deck' },
+        { size: 100, name: 'Generic (100)' }
+    ],
+    comprehensive: [
+        { size: 10, name: 'Small (10)' },
+        { size: 22, name: 'Major Arcana' },
+        { size: 52, name: 'Playing Cards' },
+        { size: 78, name: 'Full Tarot Deck' },
+        { size: 100, name: 'Generic (100)' },
+        { size: 256, name: 'Byte Range' },
+        { size: 1000, name: 'Large (1000)' },
+        { size: 10000, name: 'Very Large (10000)' },
+        { size: 3e9, name: 'Awkward (3×10^9)' },
+        { size: 2 ** 40, name: 'Beyond 2^32 (2^40)' }
+    ],
+    custom: [
+        { size: customSize, name: `Custom (${customSize})` }
+    ]
+};
+
 /**
  * Test coverage for a specific deck size
  * 
@@ -68,30 +163,32 @@ async function testCoverage(deckSize, name) {
         includeEntropy: false      // Deterministic for validation
     });
     const drawn = new Set();
-    const maxAttempts = deckSize * 100; // Safety limit
+    const regions = deckSize > REGION_THRESHOLD ? REGION_COUNT : null;
+    const targets = regions || deckSize;
+    const maxAttempts = targets * 100; // Safety limit
     
     let attempts = 0;
     const startTime = Date.now();
     
     // Keep drawing until we've seen all values or hit the limit
-    for (attempts = 0; attempts < maxAttempts && drawn.size < deckSize; attempts++) {
+    for (attempts = 0; attempts < maxAttempts && drawn.size < targets; attempts++) {
         // Use incrementing intention to get different draws
         const result = await rngi.draw(`${baseIntention}-${attempts}`, deckSize);
-        drawn.add(result.index);
+        drawn.add(regions ? Math.floor(result.index / deckSize * regions) : result.index);
         
         // Progress for large decks
-        if (deckSize >= 1000 && (attempts + 1) % 5000 === 0) {
-            const coverage = (drawn.size / deckSize * 100).toFixed(1);
+        if (targets >= 1000 && (attempts + 1) % 5000 === 0) {
+            const coverage = (drawn.size / targets * 100).toFixed(1);
             process.stdout.write(`\r  ${name}: ${coverage}% coverage (${attempts + 1} attempts)`);
         }
     }
     
     const elapsed = Date.now() - startTime;
-    const coverage = (drawn.size / deckSize * 100).toFixed(1);
-    const passed = drawn.size === deckSize;
+    const coverage = (drawn.size / targets * 100).toFixed(1);
+    const passed = drawn.size === targets;
     
     // Clear progress line
-    if (deckSize >= 1000) {
+    if (targets >= 1000) {
         process.stdout.write('\r' + ' '.repeat(80) + '\r');
     }
     
@@ -100,13 +197,356 @@ async function testCoverage(deckSize, name) {
         name,
         coverage: parseFloat(coverage),
         drawn: drawn.size,
+        targets,
+        unit: regions ? 'regions' : 'values',
         attempts,
         elapsed,
         passed,
-        missing: deckSize - drawn.size
+        missing: targets - drawn.size
     };
 }
 
+/**
+ * Binomial coefficient C(n, k) as a BigInt
+ * @param {bigint} n
+ * @param {bigint} k
+ * @returns {bigint}
+ */
+function choose(n, k) {
+    if (k < 0n || k > n) return 0n;
+    let result = 1n;
+    for (let i = 1n; i <= k; i++) {
+        result = result * (n - k + i) / i;
+    }
+    return result;
+}
+
+/**
+ * Eulerian numbers: how many orders of n cards have r rising sequences
+ * @param {number} n - Deck size
+ * @returns {bigint[]} Counts indexed by r (index 0 unused)
+ */
+function eulerian(n) {
+    let row = [0n, 1n];
+    for (let m = 2; m <= n; m++) {
+        const next = new Array(m + 1).fill(0n);
+        for (let r = 1; r <= m; r++) {
+            next[r] = BigInt(r) * (row[r] || 0n) + BigInt(m - r + 1) * (row[r - 1] || 0n);
+        }
+        row = next;
+    }
+    return row;
+}
+
+/**
+ * Count rising sequences in a deck order
+ * @param {number[]} order - Original card indices, top first
+ * @returns {number}
+ */
+function risingSequences(order) {
+    const position = new Array(order.length);
+    order.forEach((card, i) => { position[card] = i; });
+    let count = 1;
+    for (let card = 0; card < order.length - 1; card++) {
+        if (position[card + 1] < position[card]) count++;
+    }
+    return count;
+}
+
+/**
+ * Exact and simulated distance from uniform after k riffles
+ *
+ * @param {number} n - Deck size
+ * @param {number} k - Number of riffles
+ * @param {number} samples - Number of simulated shuffles
+ * @param {bigint[]} counts - Eulerian numbers for n
+ * @param {bigint} factorial - n!
+ * @returns {Promise<Object>} { riffles, exact, simulated, modelError, noise }
+ */
+async function measureRiffles(n, k, samples, counts, factorial) {
+    const a = 2n ** BigInt(k);
+    const an = a ** BigInt(n);
+    const big = BigInt(n);
+
+    // Exact: 1/2 Σ_r A(n, r) |C(a + n - r, n) / a^n - 1 / n!|
+    let numerator = 0n;
+    for (let r = 1; r <= n; r++) {
+        const diff = choose(a + big - BigInt(r), big) * factorial - an;
+        numerator += counts[r] * (diff < 0n ? -diff : diff);
+    }
+    const scale = 10n ** 12n;
+    const exact = Number(numerator * scale / (2n * an * factorial)) / Number(scale);
+
+    // Simulated: rising-sequence counts from the shuffle engine
+    const rngi = new RngWithIntention({
+        includeTimestamp: false,  // Deterministic for validation
+        includeEntropy: false      // Deterministic for validation
+    });
+    const observed = new Array(n + 1).fill(0);
+    for (let i = 0; i < samples; i++) {
+        const stream = await rngi.createStream(`shuffle-test-${n}-${k}-${i}`);
+        const readBytes = size => stream.nextBytes(size);
+        let order = Array.from({ length: n }, (_, j) => j);
+        for (let j = 0; j < k; j++) {
+            order = (await riffle(readBytes, order)).order;
+        }
+        observed[risingSequences(order)]++;
+    }
+
+    // Distance of the simulation from uniform, and from the model's own prediction.
+    // A perfect simulation still differs from the model by sampling noise:
+    // about 1/2 Σ E|p̂ - p| = 1/2 Σ sqrt(2p(1 - p) / (π samples)).
+    let simulated = 0;
+    let modelError = 0;
+    let noise = 0;
+    for (let r = 1; r <= n; r++) {
+        const frequency = observed[r] / samples;
+        const uniform = Number(counts[r] * scale / factorial) / Number(scale);
+        const model = Number(counts[r] * choose(a + big - BigInt(r), big) * scale / an) / Number(scale);
+        simulated += Math.abs(frequency - uniform) / 2;
+        modelError += Math.abs(frequency - model) / 2;
+        noise += Math.sqrt(2 * model * (1 - model) / (Math.PI * samples)) / 2;
+    }
+
+    return { riffles: k, exact, simulated, modelError, noise };
+}
+
+/**
+ * Measure how many riffles bring a deck close to uniform
+ *
+ * Passes when the simulated rising-sequence distribution matches the
+ * Gilbert–Shannon–Reeds prediction at every riffle count, within sampling
+ * noise.
+ *
+ * @param {number} n - Deck size
+ * @param {number} samples - Shuffles per riffle count
+ * @returns {Promise<boolean>} Whether the engine matched the model
+ */
+async function runShuffleValidation(n, samples) {
+    console.log(`${colors.bright}${colors.cyan}═══════════════════════════════════════════════════════════`);
+    console.log('  Riffle Shuffle Mixing - Distance from Uniform');
+    console.log(`═══════════════════════════════════════════════════════════${colors.reset}\n`);
+
+    console.log(`Deck:    ${n} cards`);
+    console.log(`Samples: ${samples.toLocaleString()} shuffles per riffle count\n`);
+
+    const counts = eulerian(n);
+    let factorial = 1n;
+    for (let i = 2n; i <= BigInt(n); i++) factorial *= i;
+
+    const maxRiffles = Math.ceil(1.5 * Math.log2(n)) + 4;
+    let nearUniform = null;
+    let passed = true;
+
+    console.log('  Riffles   Exact TV   Simulated TV   Model error   Expected noise');
+    console.log('  ───────   ────────   ────────────   ───────────   ──────────────');
+
+    for (let k = 1; k <= maxRiffles; k++) {
+        const result = await measureRiffles(n, k, samples, counts, factorial);
+        // Allow twice the expected noise, plus a little slack for tiny probabilities
+        const ok = result.modelError <= 2 * result.noise + 0.01;
+        passed = passed && ok;
+        if (nearUniform === null && result.exact < 0.5) nearUniform = k;
+
+        const color = ok ? '' : colors.red;
+        console.log(`${color}  ${String(k).padStart(7)}   ${result.exact.toFixed(4).padStart(8)}   ${result.simulated.toFixed(4).padStart(12)}   ${result.modelError.toFixed(4).padStart(11)}   ${result.noise.toFixed(4).padStart(14)}${colors.reset}`);
+    }
+
+    console.log();
+    console.log(`  Near-uniform (exact TV < 0.5) after ${nearUniform} riffles; (3/2) log2(n) = ${(1.5 * Math.log2(n)).toFixed(1)}`);
+    console.log('  Simulated distances near the expected noise are indistinguishable from uniform.\n');
+
+    if (passed) {
+        console.log(`${colors.green}${colors.bright}✓ Riffle shuffles match the Gilbert–Shannon–Reeds model${colors.reset}\n`);
+    } else {
+        console.log(`${colors.red}${colors.bright}✗ Simulated shuffles deviate from the model (error above twice the noise)${colors.reset}\n`);
+    }
+
+    console.log(`${colors.cyan}═══════════════════════════════════════════════════════════${colors.reset}\n`);
+    return passed;
+}
+
+/**
+ * Width of each of `regions` equal-width regions of [0, deckSize)
+ *
+ * Region i starts at ceil(i * deckSize / regions), matching regionOf().
+ *
+ * @param {number} deckSize - Number of cards
+ * @param {number} regions - Number of regions
+ * @returns {bigint[]} Cards per region
+ */
+function regionWidths(deckSize, regions) {
+    const n = BigInt(deckSize);
+    const b = BigInt(regions);
+    const start = i => (BigInt(i) * n + b - 1n) / b;
+    return Array.from({ length: regions }, (_, i) => start(i + 1) - start(i));
+}
+
+/**
+ * Test multi-card draws for positional and pair bias at one deck size
+ *
+ * @param {number} deckSize - Number of cards (0 to deckSize-1)
+ * @param {string} name - Descriptive name for this test
+ * @param {number} spreadSize - Cards per spread
+ * @param {number|null} requestedSpreads - Spreads to draw (default: from EXPECTED_PER_PAIR)
+ * @returns {Promise<Object>} Test results
+ */
+async function testPositional(deckSize, name, spreadSize, requestedSpreads) {
+    if (spreadSize > deckSize) {
+        throw new Error(`--positions ${spreadSize} is more than the ${deckSize} cards in ${name}`);
+    }
+
+    const rngi = new RngWithIntention({
+        includeTimestamp: false,  // Deterministic for validation
+        includeEntropy: false      // Deterministic for validation
+    });
+    const regions = Math.min(deckSize, POSITIONAL_REGIONS);
+    const widths = regionWidths(deckSize, regions);
+    const regionOf = card => regions === deckSize ? card : Number(BigInt(card) * BigInt(regions) / BigInt(deckSize));
+
+    // Ordered pairs of regions, weighted by how many distinct card pairs each holds
+    const pairWeights = [];
+    for (let a = 0; a < regions; a++) {
+        for (let b = 0; b < regions; b++) {
+            pairWeights.push(Number(a === b ? widths[a] * (widths[a] - 1n) : widths[a] * widths[b]));
+        }
+    }
+    const pairCells = pairWeights.filter(weight => weight > 0).length;
+    const spreads = requestedSpreads || EXPECTED_PER_PAIR * pairCells;
+
+    const byPosition = Array.from({ length: spreadSize }, () => new Array(regions).fill(0));
+    const pairs = Array.from({ length: spreadSize - 1 }, () => new Array(regions * regions).fill(0));
+    let duplicates = 0;
+    const startTime = Date.now();
+
+    for (let s = 0; s < spreads; s++) {
+        // Use incrementing intention to get different spreads
+        const { indices } = await rngi.drawMultiple(`positional-test-${deckSize}-${s}`, deckSize, spreadSize, false);
+        if (new Set(indices).size !== spreadSize) duplicates++;
+
+        const cells = indices.map(regionOf);
+        cells.forEach((cell, position) => { byPosition[position][cell]++; });
+        for (let position = 0; position < spreadSize - 1; position++) {
+            pairs[position][cells[position] * regions + cells[position + 1]]++;
+        }
+
+        if ((s + 1) % 5000 === 0) {
+            process.stdout.write(`\r  ${name}: ${((s + 1) / spreads * 100).toFixed(1)}% (${(s + 1).toLocaleString()} spreads)`);
+        }
+    }
+
+    if (spreads >= 5000) {
+        process.stdout.write('\r' + ' '.repeat(80) + '\r');
+    }
+
+    const tables = [{ name: 'Position × card', ...contingencyTest(byPosition) }];
+    pairs.forEach((counts, position) => {
+        // Cells that need the same card twice can only be reached by duplicates, counted above
+        const cells = pairWeights.map((weight, cell) => ({ weight, count: counts[cell] })).filter(cell => cell.weight > 0);
+        tables.push({
+            name: `Pairs ${position + 1}–${position + 2}`,
+            ...chiSquareTest(cells.map(cell => cell.count), cells.map(cell => cell.weight))
+        });
+    });
+
+    const adjusted = adjustPValues(tables.map(table => table.pValue), 'holm');
+    tables.forEach((table, i) => {
+        table.adjustedPValue = adjusted[i];
+        table.passed = adjusted[i] > POSITIONAL_ALPHA;
+    });
+
+    return {
+        deckSize,
+        name,
+        spreads,
+        spreadSize,
+        unit: regions === deckSize ? 'cards' : 'regions',
+        regions,
+        duplicates,
+        tables,
+        elapsed: Date.now() - startTime,
+        passed: duplicates === 0 && tables.every(table => table.passed)
+    };
+}
+
+/**
+ * Display results for a single positional test
+ */
+function displayPositionalResult(result) {
+    const color = result.passed ? colors.green : colors.red;
+    const status = result.passed ? '✓ PASS' : '✗ FAIL';
+
+    console.log(`\n${color}${status}${colors.reset} ${result.name} (n=${result.deckSize})`);
+    console.log(`  Spreads:    ${result.spreads.toLocaleString()} × ${result.spreadSize} cards${result.unit === 'regions' ? ` (${result.regions} regions)` : ''}`);
+    for (const table of result.tables) {
+        const marker = table.passed ? '' : ` ${colors.red}✗${colors.reset}`;
+        console.log(`  ${table.name.padEnd(16)} χ² = ${table.statistic.toFixed(1)}, df = ${table.degreesOfFreedom}, p = ${table.pValue.toFixed(4)} (Holm ${table.adjustedPValue.toFixed(4)})${marker}`);
+    }
+    console.log(`  Time:       ${result.elapsed}ms`);
+
+    if (result.duplicates > 0) {
+        console.log(`  ${colors.red}Duplicates: ${result.duplicates} spreads repeated a card${colors.reset}`);
+    }
+}
+
+/**
+ * Run the positional bias suite
+ *
+ * @returns {Promise<boolean>} Whether every deck size passed
+ */
+async function runPositionalValidation() {
+    console.log(`${colors.bright}${colors.cyan}═══════════════════════════════════════════════════════════`);
+    console.log('  Positional Bias Validation - Multi-Card Draws');
+    console.log(`═══════════════════════════════════════════════════════════${colors.reset}\n`);
+
+    if (!Number.isInteger(positions) || positions < 2) {
+        throw new Error('--positions must be an integer of at least 2');
+    }
+
+    const tests = testSuites[testMode];
+
+    console.log(`Mode: ${colors.cyan}${testMode}${colors.reset}`);
+    console.log(`Tests: ${tests.length}`);
+    console.log(`Positions: ${positions}\n`);
+    console.log('Drawing spreads...');
+
+    const results = [];
+    const startTime = Date.now();
+
+    for (const test of tests) {
+        const result = await testPositional(test.size, test.name, positions, spreadCount);
+        results.push(result);
+        displayPositionalResult(result);
+    }
+
+    const totalElapsed = Date.now() - startTime;
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.length - passed;
+
+    console.log(`\n${colors.bright}${colors.cyan}───────────────────────────────────────────────────────────`);
+    console.log('  Summary');
+    console.log(`───────────────────────────────────────────────────────────${colors.reset}\n`);
+
+    console.log(`  Total tests:   ${results.length}`);
+    console.log(`  ${colors.green}Passed:        ${passed}${colors.reset}`);
+    if (failed > 0) {
+        console.log(`  ${colors.red}Failed:        ${failed}${colors.reset}`);
+    }
+    console.log(`  Total time:    ${totalElapsed}ms\n`);
+
+    if (failed === 0) {
+        console.log(`${colors.green}${colors.bright}✓ All positional tests passed!${colors.reset}`);
+        console.log('  No card favours a position, and no pair of cards lands together too often.\n');
+    } else {
+        console.log(`${colors.red}${colors.bright}✗ Some tests failed${colors.reset}`);
+        console.log(`  Spreads may be biased by position or pairing (Holm-corrected p ≤ ${POSITIONAL_ALPHA}).\n`);
+    }
+
+    console.log(`${colors.cyan}═══════════════════════════════════════════════════════════${colors.reset}\n`);
+
+    return failed === 0;
+}
+
 /**
  * Display results for a single test
  */
@@ -115,12 +555,12 @@ function displayResult(result) {
     const status = result.passed ? '✓ PASS' : '✗ FAIL';
     
     console.log(`\n${color}${status}${colors.reset} ${result.name} (n=${result.deckSize})`);
-    console.log(`  Coverage:  ${result.coverage}% (${result.drawn}/${result.deckSize} values)`);
+    console.log(`  Coverage:  ${result.coverage}% (${result.drawn}/${result.targets} ${result.unit})`);
     console.log(`  Attempts:  ${result.attempts.toLocaleString()}`);
     console.log(`  Time:      ${result.elapsed}ms`);
     
     if (!result.passed) {
-        console.log(`  ${colors.red}Missing:   ${result.missing} values${colors.reset}`);
+        console.log(`  ${colors.red}Missing:   ${result.missing} ${result.unit}${colors.reset}`);
     }
 }
 
@@ -132,28 +572,6 @@ async function runValidation() {
     console.log('  RNG Coverage Validation - All Values Reachable Test');
     console.log(`═══════════════════════════════════════════════════════════${colors.reset}\n`);
     
-    // Define test suites
-    const testSuites = {
-        quick: [
-            { size: 22, name: 'Major Arcana' },
-            { size: 78, name: 'Full Tarot Deck' },
-            { size: 100, name: 'Generic (100)' }
-        ],
-        comprehensive: [
-            { size: 10, name: 'Small (10)' },
-            { size: 22, name: 'Major Arcana' },
-            { size: 52, name: 'Playing Cards' },
-            { size: 78, name: 'Full Tarot Deck' },
-            { size: 100, name: 'Generic (100)' },
-            { size: 256, name: 'Byte Range' },
-            { size: 1000, name: 'Large (1000)' },
-            { size: 10000, name: 'Very Large (10000)' }
-        ],
-        custom: [
-            { size: customSize, name: `Custom (${customSize})` }
-        ]
-    };
-    
     const tests = testSuites[testMode];
     
     console.log(`Mode: ${colors.cyan}${testMode}${colors.reset}`);
@@ -202,7 +620,11 @@ async function runValidation() {
 }
 
 // Run validation
-runValidation()
+const validation = testMode === 'shuffle'
+    ? runShuffleValidation(shuffleDeckSize, shuffleSamples)
+    : positional ? runPositionalValidation() : runValidation();
+
+validation
     .then(passed => process.exit(passed ? 0 : 1))
     .catch(error => {
         console.error(`${colors.red}Error during validation:${colors.reset}`, error);
@@ -0,0 +1,149 @@
+import { RngWithIntention } from './RngWithIntention.js';
+import { DECK_PRESETS } from './presets.js';
+import { shuffleDeck, DEFAULT_SHUFFLE } from './physical-shuffle.js';
+
+/**
+ * Check a card list and copy it into frozen card objects
+ * @param {Object[]} cards - Card objects, each with a unique string id
+ * @returns {Object[]} Frozen copies of the cards
+ * @throws {Error} If the list is empty, a card has no id, or ids repeat
+ */
+function validateCards(cards) {
+  if (!Array.isArray(cards) || cards.length === 0) {
+    throw new Error('Deck must have at least one card');
+  }
+
+  const ids = new Set();
+
+  return cards.map((card, i) => {
+    if (!card || typeof card !== 'object' || Array.isArray(card)) {
+      throw new Error(`Card at position ${i} must be an object`);
+    }
+
+    if (!card.id || typeof card.id !== 'string') {
+      throw new Error(`Card at position ${i} must have a non-empty string id`);
+    }
+
+    if (ids.has(card.id)) {
+      throw new Error(`Duplicate card id: ${card.id}`);
+    }
+    ids.add(card.id);
+
+    return Object.freeze({ ...card });
+  });
+}
+
+/**
+ * Deck - A named set of cards drawn with intention
+ *
+ * Maps the indices from RngWithIntention back to card objects, so callers
+ * don't have to. Cards can carry any metadata alongside their `id`.
+ */
+export class Deck {
+  /**
+   * Create a deck from card objects
+   * @param {Object[]} cards - Cards, each with a unique string `id`
+   * @param {Object} options - Deck options
+   * @param {string} options.name - Deck name (optional)
+   * @param {RngWithIntention} options.rng - Generator to draw with (default: new RngWithIntention())
+   */
+  constructor(cards, options = {}) {
+    this.name = options.name || null;
+    this.cards = Object.freeze(validateCards(cards));
+    this.rng = options.rng || new RngWithIntention();
+  }
+
+  /**
+   * Create a deck from a built-in preset
+   * @param {string} preset - 'rider-waite', 'major-arcana', 'lenormand' or 'elder-futhark'
+   * @param {Object} options - Deck options (see constructor)
+   * @returns {Deck}
+   */
+  static fromPreset(preset, options = {}) {
+    const factory = DECK_PRESETS[preset];
+    if (!factory) {
+      throw new Error(`Unknown deck preset: ${preset} (available: ${Object.keys(DECK_PRESETS).join(', ')})`);
+    }
+    return new Deck(factory(), { name: preset, ...options });
+  }
+
+  /**
+   * Restore a deck saved with toJSON()
+   * @param {Object|string} json - Deck data, or its JSON string
+   * @param {Object} options - Deck options (see constructor)
+   * @returns {Deck}
+   */
+  static fromJSON(json, options = {}) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!data || typeof data !== 'object') {
+      throw new Error('Deck JSON must be an object');
+    }
+    return new Deck(data.cards, { name: data.name, ...options });
+  }
+
+  /**
+   * Number of cards in the deck
+   * @returns {number}
+   */
+  get size() {
+    return this.cards.length;
+  }
+
+  /**
+   * Draw cards without replacement
+   * @param {string} intention - The user's intention
+   * @param {number} count - Number of cards to draw (default: 1)
+   * @returns {Promise<Object>} { cards: Object[], indices: number[], timestamp: string, receipt?: Object }
+   */
+  async draw(intention, count = 1) {
+    const { indices, ...rest } = await this.rng.drawMultiple(intention, this.size, count, false);
+
+    return {
+      cards: indices.map(index => this.cards[index]),
+      indices,
+      ...rest
+    };
+  }
+
+  /**
+   * Draw a card for each position of a spread
+   * @param {string} intention - The user's intention
+   * @param {Spread|string|Object} spread - A Spread, a built-in spread id, or a spread definition
+   * @returns {Promise<Object>} { spread: string, positions: [{ position, index, card }], timestamp: string }
+   */
+  async drawSpread(intention, spread) {
+    const { positions, ...rest } = await this.rng.drawSpread(intention, this.size, spread);
+
+    return {
+      positions: positions.map(drawn => ({ ...drawn, card: this.cards[drawn.index] })),
+      ...rest
+    };
+  }
+
+  /**
+   * Shuffle the deck by hand: riffles, overhands and cuts
+   * @param {string} intention - The user's intention
+   * @param {string[]} steps - 'riffle', 'overhand' or 'cut', in order (default: seven riffles and a cut)
+   * @returns {Promise<Object>} { cards: Object[], order: number[], steps: Object[], timestamp: string }
+   */
+  async shuffle(intention, steps = DEFAULT_SHUFFLE) {
+    const { order, ...rest } = await shuffleDeck(intention, this.size, steps, { rng: this.rng });
+
+    return {
+      cards: order.map(index => this.cards[index]),
+      order,
+      ...rest
+    };
+  }
+
+  /**
+   * Serialize the deck (name and cards only)
+   * @returns {Object} { name: string|null, cards: Object[] }
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      cards: this.cards.map(card => ({ ...card }))
+    };
+  }
+}
@@ -0,0 +1,232 @@
+import { RngWithIntention } from './RngWithIntention.js';
+import { Deck } from './Deck.js';
+
+export const SESSION_VERSION = 1;
+
+/**
+ * Check that a value is a card index for a deck
+ * @param {*} index - Value to check
+ * @param {number} deckSize - Number of cards
+ * @returns {boolean}
+ */
+function isCardIndex(index, deckSize) {
+  return Number.isInteger(index) && index >= 0 && index < deckSize;
+}
+
+/**
+ * Copy a history entry, including its indices and reversed arrays
+ * @param {Object} entry - History entry
+ * @returns {Object}
+ */
+function copyEntry(entry) {
+  const copy = { ...entry };
+  for (const key of ['indices', 'reversed']) {
+    if (Array.isArray(copy[key])) {
+      copy[key] = [...copy[key]];
+    }
+  }
+  return copy;
+}
+
+/**
+ * Copy a history entry and freeze it, so a recorded draw can't be changed
+ * through the arrays handed back to callers
+ * @param {Object} entry - History entry
+ * @returns {Object} Frozen entry with frozen arrays
+ */
+function freezeEntry(entry) {
+  const copy = copyEntry(entry);
+  for (const key of ['indices', 'reversed']) {
+    if (Array.isArray(copy[key])) {
+      Object.freeze(copy[key]);
+    }
+  }
+  return Object.freeze(copy);
+}
+
+/**
+ * DeckSession - A reading that spans several draws from one deck
+ *
+ * Cards drawn earlier stay out of the deck for later pulls until they are
+ * returned or the deck is reshuffled. Each draw is still seeded by its own
+ * intention and picks uniformly among the remaining cards.
+ *
+ * Sessions serialize to plain JSON so a reading can be saved and resumed.
+ * Only card indices and timestamps are kept, plus the orientation of cards
+ * already drawn; intentions are never stored. History entries are frozen.
+ *
+ * Orientation is decided when a card is drawn, by that draw's intention, so
+ * a reshuffle only sets the order of the deck.
+ */
+export class DeckSession {
+  #deck;
+  #rng;
+
+  /**
+   * Start a session with every card in the deck
+   * @param {Deck|number} deck - A Deck, or the number of cards
+   * @param {Object} options - Session options
+   * @param {RngWithIntention} options.rng - Generator to draw with (default: the deck's, or a new one)
+   */
+  constructor(deck, options = {}) {
+    if (deck instanceof Deck) {
+      this.#deck = deck;
+      this.deckSize = deck.size;
+    } else if (Number.isSafeInteger(deck) && deck > 0) {
+      this.#deck = null;
+      this.deckSize = deck;
+    } else {
+      throw new Error('Deck session needs a Deck or a positive number of cards');
+    }
+
+    this.#rng = options.rng || (this.#deck && this.#deck.rng) || new RngWithIntention();
+    this.remaining = Array.from({ length: this.deckSize }, (_, i) => i);
+    this.drawn = [];
+    this.history = [];
+  }
+
+  /**
+   * Resume a session saved with toJSON()
+   * @param {Object|string} json - Session data, or its JSON string
+   * @param {Object} options - Session options
+   * @param {Deck} options.deck - Deck to map indices to cards; must have the saved size
+   * @param {RngWithIntention} options.rng - Generator to draw with
+   * @returns {DeckSession}
+   */
+  static fromJSON(json, options = {}) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!data || typeof data !== 'object') {
+      throw new Error('Deck session JSON must be an object');
+    }
+
+    if (data.version !== SESSION_VERSION) {
+      throw new Error(`Unsupported deck session version: ${data.version}`);
+    }
+
+    const { deckSize, remaining, drawn, history = [] } = data;
+
+    if (options.deck && options.deck.size !== deckSize) {
+      throw new Error(`Deck has ${options.deck.size} cards but the session was saved with ${deckSize}`);
+    }
+
+    const session = new DeckSession(options.deck || deckSize, options);
+
+    if (!Array.isArray(remaining) || !Array.isArray(drawn) || !Array.isArray(history)) {
+      throw new Error('Deck session must have remaining, drawn and history arrays');
+    }
+
+    // Every card must be in exactly one of remaining and drawn
+    const seen = new Set();
+    for (const index of [...remaining, ...drawn]) {
+      if (!isCardIndex(index, deckSize) || seen.has(index)) {
+        throw new Error(`Deck session has an invalid or repeated card index: ${index}`);
+      }
+      seen.add(index);
+    }
+
+    if (seen.size !== deckSize) {
+      throw new Error(`Deck session accounts for ${seen.size} of ${deckSize} cards`);
+    }
+
+    session.remaining = [...remaining];
+    session.drawn = [...drawn];
+    session.history = history.map(freezeEntry);
+    return session;
+  }
+
+  /**
+   * Draw cards from those remaining
+   * @param {string} intention - The user's intention
+   * @param {number} count - Number of cards to draw (default: 1)
+   * @returns {Promise<Object>} { indices, cards?, reversed?, timestamp, receipt? }
+   */
+  async draw(intention, count = 1) {
+    if (!Number.isInteger(count) || count <= 0) {
+      throw new Error('Count must be a positive integer');
+    }
+
+    if (count > this.remaining.length) {
+      throw new Error(`Cannot draw ${count} cards; only ${this.remaining.length} remain`);
+    }
+
+    const { indices: positions, ...rest } = await this.#rng.drawMultiple(
+      intention, this.remaining.length, count, false
+    );
+    const indices = positions.map(position => this.remaining[position]);
+    const taken = new Set(positions);
+
+    this.remaining = this.remaining.filter((_, position) => !taken.has(position));
+    this.drawn.push(...indices);
+    this.history.push(freezeEntry({
+      type: 'draw',
+      indices,
+      ...(rest.reversed ? { reversed: rest.reversed } : {}),
+      timestamp: rest.timestamp
+    }));
+
+    return {
+      indices,
+      ...(this.#deck ? { cards: indices.map(index => this.#deck.cards[index]) } : {}),
+      ...rest
+    };
+  }
+
+  /**
+   * Put drawn cards back at the bottom of the deck
+   * @param {number[]} indices - Card indices to return
+   * @returns {number[]} The returned indices
+   * @throws {Error} If a card is not currently drawn
+   */
+  returnCards(indices) {
+    if (!Array.isArray(indices)) {
+      throw new Error('Cards to return must be an array of indices');
+    }
+
+    const drawn = new Set(this.drawn);
+    const returning = new Set();
+    for (const index of indices) {
+      if (!drawn.has(index) || returning.has(index)) {
+        throw new Error(`Card ${index} has not been drawn`);
+      }
+      returning.add(index);
+    }
+
+    this.drawn = this.drawn.filter(index => !returning.has(index));
+    this.remaining.push(...indices);
+    this.history.push(freezeEntry({ type: 'return', indices }));
+
+    return [...indices];
+  }
+
+  /**
+   * Gather every card back and shuffle the whole deck
+   * @param {string} intention - The user's intention
+   * @returns {Promise<Object>} { order, timestamp, receipt? }
+   */
+  async reshuffle(intention) {
+    // Orientation comes with each later draw, so any drawn here is dropped
+    const { indices: order, reversed, ...rest } = await this.#rng.drawMultiple(
+      intention, this.deckSize, this.deckSize, false
+    );
+
+    this.remaining = [...order];
+    this.drawn = [];
+    this.history.push(freezeEntry({ type: 'reshuffle', timestamp: rest.timestamp }));
+
+    return { order, ...rest };
+  }
+
+  /**
+   * Serialize the session: card indices and timestamps only
+   * @returns {Object} { version, deckSize, remaining, drawn, history }
+   */
+  toJSON() {
+    return {
+      version: SESSION_VERSION,
+      deckSize: this.deckSize,
+      remaining: [...this.remaining],
+      drawn: [...this.drawn],
+      history: this.history.map(copyEntry)
+    };
+  }
+}
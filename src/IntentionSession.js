@@ -0,0 +1,170 @@
+import { sha256, bytesToHex } from './crypto-polyfill.js';
+
+// Event types a session accepts; anything about *what* was typed is dropped
+const EVENT_TYPES = ['key', 'pointer'];
+
+// Smallest third-order timing delta (ms) that earns an event one bit of credit
+const MIN_CREDITED_DELTA_MS = 2;
+
+/**
+ * Default high-resolution time source, in milliseconds
+ * @returns {number}
+ */
+function defaultNow() {
+  return typeof performance !== 'undefined' && performance.now
+    ? performance.now()
+    : Date.now();
+}
+
+/**
+ * Conservatively estimate the entropy in a series of event times
+ *
+ * Follows the approach of the Linux input pool: an event is only credited
+ * when its first, second and third order time deltas are all at least
+ * MIN_CREDITED_DELTA_MS, and then with a single bit. Regular rhythms (auto
+ * repeat, scripted input) earn nothing.
+ *
+ * @param {number[]} times - Event times in milliseconds
+ * @returns {number} Estimated bits of entropy
+ */
+export function estimateTimingEntropy(times) {
+  let bits = 0;
+  let lastDelta = 0;
+  let lastDelta2 = 0;
+
+  for (let i = 1; i < times.length; i++) {
+    const delta = times[i] - times[i - 1];
+    const delta2 = delta - lastDelta;
+    const delta3 = delta2 - lastDelta2;
+    lastDelta = delta;
+    lastDelta2 = delta2;
+
+    if (i >= 3 && Math.min(Math.abs(delta), Math.abs(delta2), Math.abs(delta3)) >= MIN_CREDITED_DELTA_MS) {
+      bits++;
+    }
+  }
+
+  return bits;
+}
+
+/**
+ * IntentionSession - The time spent forming an intention, as seed material
+ *
+ * A session starts when the user begins contemplating and collects the
+ * timing of their keystrokes and pointer movements as plain objects, so it
+ * works the same in Node and the browser. Only event types, times and
+ * pointer coordinates are kept - never which key was pressed.
+ *
+ * commit() mixes a digest of those timings and the contemplation duration
+ * into the seed. The session never sees the intention before commit and
+ * discards its events afterwards; a session can only be committed once.
+ */
+export class IntentionSession {
+  #draw;
+  #now;
+  #backend;
+  #startedAt;
+  #events = [];
+  #committed = false;
+
+  /**
+   * Create a session (use rngi.beginIntention() rather than calling this)
+   * @param {function(string, number|bigint, string): Promise<Object>} draw - Draws with a gesture digest
+   * @param {Object} options - Session options
+   * @param {function(): number} options.now - Time source in milliseconds (default: performance.now)
+   * @param {string|Object} options.backend - Crypto backend for the gesture digest (default: 'auto')
+   */
+  constructor(draw, options = {}) {
+    this.#draw = draw;
+    this.#now = options.now || defaultNow;
+    this.#backend = options.backend ?? 'auto';
+    this.#startedAt = this.#now();
+  }
+
+  /**
+   * Number of events recorded so far
+   * @returns {number}
+   */
+  get eventCount() {
+    return this.#events.length;
+  }
+
+  /**
+   * Record a keystroke or pointer event
+   * @param {Object} event - Plain event object
+   * @param {string} event.type - 'key' or 'pointer'
+   * @param {number} event.time - Event time in ms (default: now; `timeStamp` is accepted too)
+   * @param {number} event.x - Pointer x coordinate (optional)
+   * @param {number} event.y - Pointer y coordinate (optional)
+   */
+  record(event) {
+    if (this.#committed) {
+      throw new Error('Session has already been committed');
+    }
+
+    if (!event || !EVENT_TYPES.includes(event.type)) {
+      throw new Error(`Event type must be one of: ${EVENT_TYPES.join(', ')}`);
+    }
+
+    const time = event.time ?? event.timeStamp ?? this.#now();
+    if (!Number.isFinite(time)) {
+      throw new Error('Event time must be a finite number');
+    }
+
+    const recorded = { type: event.type, time };
+    for (const axis of ['x', 'y']) {
+      if (event[axis] !== undefined) {
+        if (!Number.isFinite(event[axis])) {
+          throw new Error(`Event ${axis} must be a finite number`);
+        }
+        recorded[axis] = event[axis];
+      }
+    }
+
+    this.#events.push(recorded);
+  }
+
+  /**
+   * Finish contemplating and draw
+   * @param {string} intention - The user's intention
+   * @param {number|bigint} max - Maximum value (exclusive)
+   * @returns {Promise<Object>} { index, timestamp, contemplationMs, eventCount, entropyBits, receipt? }
+   */
+  async commit(intention, max) {
+    if (this.#committed) {
+      throw new Error('Session has already been committed');
+    }
+
+    // Closed before the first await, so a second concurrent commit() is refused
+    this.#committed = true;
+
+    const contemplationMs = this.#now() - this.#startedAt;
+    const events = this.#events;
+    const entropyBits = estimateTimingEntropy(events.map(e => e.time));
+
+    // Only timings are hashed; the digest is what enters the seed
+    const gestureData = JSON.stringify({
+      contemplationMs,
+      events: events.map(e => [e.type, e.time, e.x ?? null, e.y ?? null])
+    });
+
+    let result;
+    try {
+      const gesture = bytesToHex(await sha256(gestureData, this.#backend));
+      result = await this.#draw(intention, max, gesture);
+    } catch (err) {
+      // A commit that fails (such as on an empty intention) leaves the session open
+      this.#committed = false;
+      throw err;
+    }
+
+    this.#events = [];
+
+    return {
+      ...result,
+      contemplationMs,
+      eventCount: events.length,
+      entropyBits
+    };
+  }
+}
@@ -0,0 +1,359 @@
+import { sha256, hmacSha256, sha256Sync, hmacSha256Sync } from './crypto-polyfill.js';
+import {
+  assertValidMax,
+  assertValidCount,
+  bytesToBigInt,
+  runRoutine,
+  runRoutineSync,
+  uniformIndex,
+  uniformIndexSync,
+  shuffle,
+  shuffleSync,
+  sampleWithoutReplacement,
+  sampleWithoutReplacementSync
+} from './sampling.js';
+import { WeightedTable } from './weighted.js';
+import {
+  assertValidRange,
+  assertValidNormal,
+  assertValidRate,
+  normalFromUniforms,
+  exponentialFromUniform
+} from './distributions.js';
+
+// A float uses 7 bytes (56 bits), of which the top 53 fill a double's mantissa
+const FLOAT_BYTES = 7;
+const FLOAT_SHIFT = 3n;
+const FLOAT_SCALE = 2 ** 53;
+
+/**
+ * Turn FLOAT_BYTES bytes into a float in [0, 1) with 53 bits of precision
+ * @param {Uint8Array} bytes - Stream bytes
+ * @returns {number}
+ */
+function floatFromBytes(bytes) {
+  return Number(bytesToBigInt(bytes) >> FLOAT_SHIFT) / FLOAT_SCALE;
+}
+
+/**
+ * Check a probability for nextBoolean()
+ * @param {number} probability - Chance of true
+ * @throws {Error} If it is not in [0, 1]
+ */
+function assertValidProbability(probability) {
+  if (!Number.isFinite(probability) || probability < 0 || probability > 1) {
+    throw new Error('Probability must be a number between 0 and 1');
+  }
+}
+
+/**
+ * IntentionStream - Many values from a single moment of intention
+ *
+ * The seed is hashed once into a 32-byte key (with HMAC-SHA-256 when a
+ * secret is given), then expanded in counter mode:
+ * block n is sha256(key || n as a 64-bit big-endian integer). Values are
+ * read from consecutive blocks, so a whole spread shares one timestamp and
+ * one draw of entropy.
+ *
+ * Only the derived key is held, never the intention or seed string. Await
+ * each call before making the next; reads are not safe to interleave.
+ *
+ * Once a synchronous crypto backend is loaded (RngWithIntention.ready()),
+ * the *Sync methods read the same bytes synchronously.
+ */
+export class IntentionStream {
+  #key;
+  #backend;
+  #block = null;
+  #offset = 0;
+  #counter = 0n;
+
+  /**
+   * Create a stream from an already-derived key
+   * @param {Uint8Array} key - 32-byte key derived from the seed
+   * @param {string} timestamp - ISO timestamp of the captured moment
+   * @param {string|Object} backend - Crypto backend that hashes the blocks (default: 'auto')
+   */
+  constructor(key, timestamp, backend = 'auto') {
+    this.#key = key;
+    this.#backend = backend;
+    this.timestamp = timestamp;
+  }
+
+  /**
+   * Create a stream by hashing a seed string
+   * @param {string} seedString - Seed built from intention, moment and entropy
+   * @param {string} timestamp - ISO timestamp of the captured moment
+   * @param {Uint8Array} secret - Key to seal the seed with HMAC-SHA-256 (default: null, plain SHA-256)
+   * @param {string|Object} backend - Crypto backend (default: 'auto')
+   * @returns {Promise<IntentionStream>}
+   */
+  static async fromSeed(seedString, timestamp, secret = null, backend = 'auto') {
+    const key = secret ? await hmacSha256(secret, seedString, backend) : await sha256(seedString, backend);
+    return new IntentionStream(key, timestamp, backend);
+  }
+
+  /**
+   * Synchronous fromSeed(), once the crypto backend is loaded
+   * @param {string} seedString - Seed built from intention, moment and entropy
+   * @param {string} timestamp - ISO timestamp of the captured moment
+   * @param {Uint8Array} secret - Key to seal the seed with HMAC-SHA-256 (default: null, plain SHA-256)
+   * @param {string|Object} backend - Crypto backend, which must be synchronous (default: 'auto')
+   * @returns {IntentionStream}
+   */
+  static fromSeedSync(seedString, timestamp, secret = null, backend = 'auto') {
+    const key = secret ? hmacSha256Sync(secret, seedString, backend) : sha256Sync(seedString, backend);
+    return new IntentionStream(key, timestamp, backend);
+  }
+
+  /**
+   * Input for the next block: key || counter, advancing the counter
+   * @returns {Uint8Array}
+   */
+  #nextBlockInput() {
+    const input = new Uint8Array(this.#key.length + 8);
+    input.set(this.#key);
+    new DataView(input.buffer).setBigUint64(this.#key.length, this.#counter);
+    this.#counter++;
+    return input;
+  }
+
+  /**
+   * Routine that copies out the next bytes, yielding when it needs a new block
+   * @param {number} size - Number of bytes
+   * @yields {undefined} Request for the next block
+   * @returns {Uint8Array}
+   */
+  *#fill(size) {
+    if (!Number.isInteger(size) || size < 0) {
+      throw new Error('Size must be a non-negative integer');
+    }
+
+    const out = new Uint8Array(size);
+    let written = 0;
+
+    while (written < size) {
+      if (!this.#block || this.#offset >= this.#block.length) {
+        this.#block = yield;
+        this.#offset = 0;
+      }
+
+      const take = Math.min(size - written, this.#block.length - this.#offset);
+      out.set(this.#block.subarray(this.#offset, this.#offset + take), written);
+      written += take;
+      this.#offset += take;
+    }
+
+    return out;
+  }
+
+  /**
+   * Read the next bytes from the stream
+   * @param {number} size - Number of bytes
+   * @returns {Promise<Uint8Array>}
+   */
+  async nextBytes(size) {
+    return runRoutine(this.#fill(size), () => sha256(this.#nextBlockInput(), this.#backend));
+  }
+
+  /**
+   * Synchronous nextBytes()
+   * @param {number} size - Number of bytes
+   * @returns {Uint8Array}
+   */
+  nextBytesSync(size) {
+    return runRoutineSync(this.#fill(size), () => sha256Sync(this.#nextBlockInput(), this.#backend));
+  }
+
+  /**
+   * Read a uniformly distributed index in [0, max)
+   * @param {number|bigint} max - Maximum value (exclusive)
+   * @returns {Promise<number|bigint>} Index, as a BigInt when max is a BigInt
+   */
+  async nextIndex(max) {
+    assertValidMax(max);
+    return uniformIndex(size => this.nextBytes(size), max);
+  }
+
+  /**
+   * Synchronous nextIndex()
+   * @param {number|bigint} max - Maximum value (exclusive)
+   * @returns {number|bigint}
+   */
+  nextIndexSync(max) {
+    assertValidMax(max);
+    return uniformIndexSync(size => this.nextBytesSync(size), max);
+  }
+
+  /**
+   * Read several indices in [0, max)
+   *
+   * Without duplicates, the indices come from a Fisher–Yates shuffle, so they
+   * are guaranteed distinct and cost one sample each. Asking for the whole
+   * range (count === max) returns a full shuffled order.
+   *
+   * @param {number|bigint} max - Maximum value (exclusive)
+   * @param {number} count - Number of indices
+   * @param {boolean} allowDuplicates - Whether an index may repeat (default: true)
+   * @returns {Promise<Array<number|bigint>>}
+   */
+  async nextIndices(max, count, allowDuplicates = true) {
+    assertValidMax(max);
+    assertValidCount(count, max, allowDuplicates);
+    const readBytes = size => this.nextBytes(size);
+
+    if (!allowDuplicates) {
+      // Fast path: the whole range is wanted, so return a full shuffled order
+      return count === max
+        ? shuffle(readBytes, max)
+        : sampleWithoutReplacement(readBytes, max, count);
+    }
+
+    const indices = [];
+    for (let i = 0; i < count; i++) {
+      indices.push(await uniformIndex(readBytes, max));
+    }
+    return indices;
+  }
+
+  /**
+   * Synchronous nextIndices()
+   * @param {number|bigint} max - Maximum value (exclusive)
+   * @param {number} count - Number of indices
+   * @param {boolean} allowDuplicates - Whether an index may repeat (default: true)
+   * @returns {Array<number|bigint>}
+   */
+  nextIndicesSync(max, count, allowDuplicates = true) {
+    assertValidMax(max);
+    assertValidCount(count, max, allowDuplicates);
+    const readBytes = size => this.nextBytesSync(size);
+
+    if (!allowDuplicates) {
+      return count === max
+        ? shuffleSync(readBytes, max)
+        : sampleWithoutReplacementSync(readBytes, max, count);
+    }
+
+    return Array.from({ length: count }, () => uniformIndexSync(readBytes, max));
+  }
+
+  /**
+   * Read an index with probability proportional to its weight
+   * @param {WeightedTable|number[]} weights - Alias table, or positive weights to build one from
+   * @returns {Promise<number>} Index in [0, weights.length)
+   */
+  async nextWeighted(weights) {
+    return WeightedTable.from(weights).sample(size => this.nextBytes(size));
+  }
+
+  /**
+   * Read a float in [0, 1) with full 53-bit precision
+   * @returns {Promise<number>}
+   */
+  async nextFloat() {
+    return floatFromBytes(await this.nextBytes(FLOAT_BYTES));
+  }
+
+  /**
+   * Synchronous nextFloat()
+   * @returns {number}
+   */
+  nextFloatSync() {
+    return floatFromBytes(this.nextBytesSync(FLOAT_BYTES));
+  }
+
+  /**
+   * Read a boolean that is true with the given probability
+   * @param {number} probability - Chance of true, in [0, 1] (default: 0.5)
+   * @returns {Promise<boolean>}
+   */
+  async nextBoolean(probability = 0.5) {
+    assertValidProbability(probability);
+    return (await this.nextFloat()) < probability;
+  }
+
+  /**
+   * Synchronous nextBoolean()
+   * @param {number} probability - Chance of true, in [0, 1] (default: 0.5)
+   * @returns {boolean}
+   */
+  nextBooleanSync(probability = 0.5) {
+    assertValidProbability(probability);
+    return this.nextFloatSync() < probability;
+  }
+
+  /**
+   * Read an integer in [min, max], both inclusive
+   * @param {number} min - Smallest value
+   * @param {number} max - Largest value
+   * @returns {Promise<number>}
+   */
+  async nextRange(min, max) {
+    assertValidRange(min, max);
+    return min + await this.nextIndex(max - min + 1);
+  }
+
+  /**
+   * Read a normally distributed value (Box–Muller, two floats per value)
+   * @param {number} mean - Mean (default: 0)
+   * @param {number} stdDev - Standard deviation (default: 1)
+   * @returns {Promise<number>}
+   */
+  async nextNormal(mean = 0, stdDev = 1) {
+    assertValidNormal(mean, stdDev);
+    const u1 = await this.nextFloat();
+    const u2 = await this.nextFloat();
+    return mean + stdDev * normalFromUniforms(u1, u2);
+  }
+
+  /**
+   * Read an exponentially distributed value, such as a waiting time
+   * @param {number} rate - Events per unit, lambda (default: 1); the mean is 1 / rate
+   * @returns {Promise<number>}
+   */
+  async nextExponential(rate = 1) {
+    assertValidRate(rate);
+    return exponentialFromUniform(await this.nextFloat()) / rate;
+  }
+
+  /**
+   * Iterate over indices in [0, max) without end
+   * @param {number|bigint} max - Maximum value (exclusive)
+   * @returns {AsyncGenerator<number|bigint>}
+   */
+  async *indices(max) {
+    assertValidMax(max);
+    for (;;) {
+      yield await this.nextIndex(max);
+    }
+  }
+
+  /**
+   * Iterate over floats in [0, 1) without end
+   * @returns {AsyncGenerator<number>}
+   */
+  async *floats() {
+    for (;;) {
+      yield await this.nextFloat();
+    }
+  }
+
+  /**
+   * Iterate over chunks of bytes without end
+   * @param {number} size - Bytes per chunk (default: 32)
+   * @returns {AsyncGenerator<Uint8Array>}
+   */
+  async *bytes(size = 32) {
+    for (;;) {
+      yield await this.nextBytes(size);
+    }
+  }
+
+  /**
+   * Iterating a stream directly yields floats, like Math.random()
+   * @returns {AsyncGenerator<number>}
+   */
+  [Symbol.asyncIterator]() {
+    return this.floats();
+  }
+}
@@ -1,4 +1,23 @@
-import { randomBytes, sha256, bytesToHex, readUInt32BE } from './crypto-polyfill.js';
+import { assertValidMax, assertValidCount } from './sampling.js';
+import {
+  assertValidIntention,
+  captureMoment,
+  captureMomentSync,
+  buildSeed,
+  resolveNormalization,
+  parseMoment
+} from './seed.js';
+import { assertValidWindow, assertValidTimeZone } from './windows.js';
+import { resolveSecret } from './secret.js';
+import { commitToMoment, commitToMomentSync, createReceipt } from './receipt.js';
+import { IntentionStream } from './IntentionStream.js';
+import { readResult, readResultSync, ORIENTED_METHODS } from './readers.js';
+import { IntentionSession } from './IntentionSession.js';
+import { Spread } from './Spread.js';
+import { WeightedTable } from './weighted.js';
+import { assertValidRange, assertValidNormal, assertValidRate } from './distributions.js';
+import { loadSyncCrypto } from './crypto-polyfill.js';
+import { assertValidBackend, getBackendInfo } from './backends.js';
 
 /**
  * RngWithIntention - A random number generator seeded by human intention
@@ -16,108 +35,490 @@ export class RngWithIntention {
    * @param {Object} options - Configuration options
    * @param {boolean} options.includeTimestamp - Include timestamp in seed (default: true)
    * @param {boolean} options.includeEntropy - Include system entropy in seed (default: true)
+   * @param {function(number): (Uint8Array|Promise<Uint8Array>)} options.entropySource - Custom
+   *   entropy, called with the requested size (16); may return 1 to 1024 bytes
+   * @param {string} options.entropyFallback - 'throw' (default) or 'system' to use system
+   *   entropy when the custom source fails or returns invalid bytes
+   * @param {function(): (Date|number)} options.clock - Returns the current moment as a Date
+   *   or epoch milliseconds (default: system time)
+   * @param {boolean} options.highResolutionTime - Also mix in the high-resolution monotonic clock
+   *   (process.hrtime.bigint() or performance.now()), returned as `hrtime` (default: false)
+   * @param {string|number} options.window - Bucket the timestamp in the seed to the start of a
+   *   'minute', 'hour', 'day', 'week' or 'lunarMonth', or a length in milliseconds, so draws in
+   *   the same window match. Entropy then defaults to off (default: null, no window)
+   * @param {string} options.timeZone - IANA time zone for minute, hour, day and week windows
+   *   (default: the system time zone)
+   * @param {Uint8Array|ArrayBuffer|string} options.secret - Seal the seed with HMAC-SHA-256 keyed
+   *   by these bytes or this passphrase, so shared results reveal nothing about the intention
+   *   (default: null, plain SHA-256)
+   * @param {number} options.reversalProbability - Chance that each drawn card is reversed, in
+   *   [0, 1]. When set, results include orientation (default: null, no orientation)
+   * @param {boolean} options.includeReceipt - Return a verifiable receipt with each draw (default: false)
+   * @param {function(string): (void|Promise<void>)} options.onCommit - Called with the
+   *   commitment hash before the result is computed, when receipts are enabled
+   * @param {boolean|string|Object|function(string): string} options.normalizeIntention - Normalize
+   *   the intention before seeding: true (NFC and collapsed whitespace), a Unicode form ('NFC',
+   *   'NFKC', 'NFD', 'NFKD'), { form, whitespace: 'collapse'|'trim'|'preserve', caseFold },
+   *   or a function (default: null, seed with the intention exactly as given)
+   * @param {string|Object} options.backend - Crypto backend: 'auto', 'node', 'webcrypto', 'js',
+   *   a name given to registerBackend(), or a backend object. Every backend gives the same
+   *   results (default: 'auto', the first available)
    */
   constructor(options = {}) {
+    if (options.entropySource != null && typeof options.entropySource !== 'function') {
+      throw new Error('entropySource must be a function');
+    }
+
+    if (options.clock != null && typeof options.clock !== 'function') {
+      throw new Error('clock must be a function');
+    }
+
+    if (options.entropyFallback != null && !['throw', 'system'].includes(options.entropyFallback)) {
+      throw new Error("entropyFallback must be 'throw' or 'system'");
+    }
+
+    const window = assertValidWindow(options.window);
+    if (window && options.includeTimestamp === false) {
+      throw new Error('window needs includeTimestamp');
+    }
+
+    const timeZone = options.timeZone ?? (Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC');
+    if (window) {
+      assertValidTimeZone(timeZone);
+    }
+
+    const backend = options.backend ?? 'auto';
+    assertValidBackend(backend);
+
+    const p = options.reversalProbability;
+    if (p != null && !(Number.isFinite(p) && p >= 0 && p <= 1)) {
+      throw new Error('reversalProbability must be a number between 0 and 1');
+    }
+
     this.options = {
       includeTimestamp: true,
-      includeEntropy: true,
-      ...options
+      // Fresh entropy would give a new result every draw
+      includeEntropy: !window,
+      entropySource: null,
+      entropyFallback: 'throw',
+      clock: null,
+      reversalProbability: null,
+      includeReceipt: false,
+      onCommit: null,
+      highResolutionTime: false,
+      ...options,
+      window,
+      timeZone,
+      backend,
+      secret: resolveSecret(options.secret),
+      normalizeIntention: resolveNormalization(options.normalizeIntention)
     };
   }
 
+  /**
+   * Load the crypto backend, so the synchronous draw methods can be used
+   *
+   * Synchronous draws need a synchronous backend: Node.js crypto (including
+   * Electron) or the pure JavaScript 'js' backend. In browsers, 'auto'
+   * picks async Web Crypto, so this resolves to false; load backend 'js'
+   * and pass it as options.backend to draw synchronously there.
+   *
+   * @param {string|Object} backend - Crypto backend choice (default: 'auto')
+   * @returns {Promise<boolean>} Whether drawSync() and drawMultipleSync() are available
+   */
+  static async ready(backend = 'auto') {
+    return loadSyncCrypto(backend);
+  }
+
+  /**
+   * Describe the crypto backend that serves this generator's draws
+   * @returns {Promise<Object>} { name, sync, skipped: Array<{ name, reason }> }
+   * @throws {Error} If no backend is available
+   */
+  async getBackendInfo() {
+    return getBackendInfo(this.options.backend);
+  }
+
+  /**
+   * Draw at an explicit moment instead of now
+   *
+   * Returns a generator with the same options whose clock is fixed at the
+   * given moment, such as the minute a question was written in a journal.
+   * The high-resolution clock is not mixed in, since it can only read now.
+   * Entropy is still added unless includeEntropy is false.
+   *
+   * @param {Date|string|number} moment - A Date, an ISO 8601 string or epoch milliseconds
+   * @returns {RngWithIntention}
+   * @throws {Error} If the moment is not valid
+   */
+  at(moment) {
+    const date = parseMoment(moment);
+
+    return new RngWithIntention({
+      ...this.options,
+      clock: () => date,
+      highResolutionTime: false
+    });
+  }
+
   /**
    * Draw a random number based on intention
    * @param {string} intention - The user's intention (any text)
-   * @param {number} max - Maximum value (exclusive, returns 0 to max-1)
-   * @returns {Promise<Object>} { index: number, timestamp: string }
+   * @param {number|bigint} max - Maximum value (exclusive, returns 0 to max-1).
+   *   Pass a BigInt for ranges beyond Number.MAX_SAFE_INTEGER.
+   * @returns {Promise<Object>} { index: number|bigint, reversed?: boolean, timestamp: string, window?: Object, hrtime?: string, receipt?: Object }
    */
   async draw(intention, max) {
-    if (!intention || typeof intention !== 'string') {
-      throw new Error('Intention must be a non-empty string');
-    }
-    
-    if (!Number.isInteger(max) || max <= 0) {
-      throw new Error('Max must be a positive integer');
-    }
+    assertValidIntention(intention);
+    assertValidMax(max);
 
-    // Capture the exact moment
-    const timestamp = new Date().toISOString();
-    
-    // Build the seed from components
-    let seedComponents = [intention];
-    
-    if (this.options.includeTimestamp) {
-      seedComponents.push(timestamp);
-    }
-    
-    if (this.options.includeEntropy) {
-      // Add cryptographic randomness (async for cross-platform support)
-      const entropy = await randomBytes(16);
-      seedComponents.push(bytesToHex(entropy));
-    }
-    
-    // Create seed (ephemeral - not stored)
-    const seedString = seedComponents.join('::');
-    
-    // Hash the seed to get deterministic bytes
-    const hash = await sha256(seedString);
-    
-    // Convert hash bytes to a number in range [0, max)
-    // Use multiple bytes to reduce modulo bias
-    const bytes = readUInt32BE(hash, 0);
-    const index = bytes % max;
+    // Rejection sampling keeps every index equally likely (no modulo bias)
+    const { result, ...rest } = await this.#drawFromMoment(intention, 'draw', { max });
     
     return {
-      index,
-      timestamp
+      index: result,
+      ...rest
     };
   }
 
+  /**
+   * Synchronous draw(), once RngWithIntention.ready() has resolved to true
+   *
+   * Results match draw() exactly for the same moment. A custom entropySource
+   * and onCommit must be synchronous.
+   *
+   * @param {string} intention - The user's intention (any text)
+   * @param {number|bigint} max - Maximum value (exclusive, returns 0 to max-1)
+   * @returns {Object} { index: number|bigint, reversed?: boolean, timestamp: string, window?: Object, hrtime?: string, receipt?: Object }
+   * @throws {Error} If the crypto backend has not been loaded
+   */
+  drawSync(intention, max) {
+    assertValidIntention(intention);
+    assertValidMax(max);
+
+    const { result, ...rest } = this.#drawFromMomentSync(intention, 'draw', { max });
+
+    return {
+      index: result,
+      ...rest
+    };
+  }
+
+  /**
+   * Draw an index with probability proportional to its weight
+   *
+   * Index i is drawn with probability exactly weights[i] / sum(weights),
+   * for integer and float weights alike. Building the alias table is O(n);
+   * to draw repeatedly from a large set, build a WeightedTable once and
+   * pass it instead of the array.
+   *
+   * @param {string} intention - The user's intention (any text)
+   * @param {number[]|WeightedTable} weights - Positive finite weights, or a prebuilt table
+   * @returns {Promise<Object>} { index: number, reversed?: boolean, timestamp: string, window?: Object, hrtime?: string, receipt?: Object }
+   */
+  async drawWeighted(intention, weights) {
+    assertValidIntention(intention);
+    const table = WeightedTable.from(weights);
+
+    const { result, ...rest } = await this.#drawFromMoment(intention, 'drawWeighted', { weights: table });
+
+    return {
+      index: result,
+      ...rest
+    };
+  }
+
+  /**
+   * Draw a float in [0, 1) with full 53-bit precision
+   * @param {string} intention - The user's intention (any text)
+   * @returns {Promise<Object>} { value: number, timestamp: string, window?: Object, hrtime?: string, receipt?: Object }
+   */
+  async drawFloat(intention) {
+    assertValidIntention(intention);
+    return this.#drawValue(intention, 'drawFloat', {});
+  }
+
+  /**
+   * Draw an integer in [min, max], both inclusive
+   *
+   * Negative bounds are allowed; the value is an unbiased index into the
+   * range, offset by min.
+   *
+   * @param {string} intention - The user's intention (any text)
+   * @param {number} min - Smallest value
+   * @param {number} max - Largest value
+   * @returns {Promise<Object>} { value: number, timestamp: string, window?: Object, hrtime?: string, receipt?: Object }
+   */
+  async drawRange(intention, min, max) {
+    assertValidIntention(intention);
+    assertValidRange(min, max);
+    return this.#drawValue(intention, 'drawRange', { min, max });
+  }
+
+  /**
+   * Draw a normally distributed value
+   * @param {string} intention - The user's intention (any text)
+   * @param {number} mean - Mean (default: 0)
+   * @param {number} stdDev - Standard deviation (default: 1)
+   * @returns {Promise<Object>} { value: number, timestamp: string, window?: Object, hrtime?: string, receipt?: Object }
+   */
+  async drawNormal(intention, mean = 0, stdDev = 1) {
+    assertValidIntention(intention);
+    assertValidNormal(mean, stdDev);
+    return this.#drawValue(intention, 'drawNormal', { mean, stdDev });
+  }
+
+  /**
+   * Draw an exponentially distributed value, such as a waiting time
+   * @param {string} intention - The user's intention (any text)
+   * @param {number} rate - Events per unit, lambda (default: 1); the mean is 1 / rate
+   * @returns {Promise<Object>} { value: number, timestamp: string, window?: Object, hrtime?: string, receipt?: Object }
+   */
+  async drawExponential(intention, rate = 1) {
+    assertValidIntention(intention);
+    assertValidRate(rate);
+    return this.#drawValue(intention, 'drawExponential', { rate });
+  }
+
+  /**
+   * Capture a moment and open a stream of values seeded by it
+   *
+   * The timestamp and entropy are captured once, and the seed is built once;
+   * every value read from the stream comes from that single moment.
+   *
+   * @param {string} intention - The user's intention (any text)
+   * @returns {Promise<IntentionStream>} Stream of indices, floats and bytes
+   */
+  async createStream(intention) {
+    assertValidIntention(intention);
+
+    const moment = await captureMoment(this.options);
+    
+    // Create seed from components (ephemeral - not stored)
+    return IntentionStream.fromSeed(
+      buildSeed(intention, moment, this.options), moment.timestamp, this.options.secret, this.options.backend
+    );
+  }
+
+  /**
+   * Begin forming an intention
+   *
+   * The returned session collects keystroke and pointer timing while the
+   * user contemplates; session.commit(intention, max) then draws with that
+   * timing and the contemplation time mixed into the seed.
+   *
+   * @param {Object} options - Session options
+   * @param {function(): number} options.now - Time source in milliseconds (default: performance.now)
+   * @returns {IntentionSession}
+   */
+  beginIntention(options = {}) {
+    return new IntentionSession(async (intention, max, gesture) => {
+      assertValidIntention(intention);
+      assertValidMax(max);
+
+      const { result, ...rest } = await this.#drawFromMoment(intention, 'draw', { max }, { gesture });
+
+      return {
+        index: result,
+        ...rest
+      };
+    }, { ...options, backend: this.options.backend });
+  }
+
   /**
    * Draw multiple random numbers with a single intention
+   *
+   * All values are read from one stream, so the spread comes from a single
+   * moment and seed. Without duplicates, the values come from a Fisher–Yates
+   * shuffle of that stream, so they are guaranteed distinct and cost one
+   * sample each. Drawing every value (count === max) returns a full order.
+   *
    * @param {string} intention - The user's intention
-   * @param {number} max - Maximum value for each draw
+   * @param {number|bigint} max - Maximum value for each draw
    * @param {number} count - Number of values to draw
    * @param {boolean} allowDuplicates - Whether to allow the same index multiple times (default: true)
-   * @returns {Promise<Object>} { indices: number[], timestamp: string }
+   * @returns {Promise<Object>} { indices: Array<number|bigint>, reversed?: boolean[], timestamp: string, window?: Object, hrtime?: string, receipt?: Object }
    */
   async drawMultiple(intention, max, count, allowDuplicates = true) {
-    if (!Number.isInteger(count) || count <= 0) {
-      throw new Error('Count must be a positive integer');
-    }
-    
-    if (!allowDuplicates && count > max) {
-      throw new Error('Cannot draw more unique values than max allows');
+    assertValidIntention(intention);
+    assertValidMax(max);
+    assertValidCount(count, max, allowDuplicates);
+
+    // One moment and one seed for the whole spread
+    const { result, ...rest } = await this.#drawFromMoment(
+      intention, 'drawMultiple', { max, count, allowDuplicates }
+    );
+
+    return {
+      indices: result,
+      ...rest
+    };
+  }
+
+  /**
+   * Synchronous drawMultiple(), once RngWithIntention.ready() has resolved to true
+   * @param {string} intention - The user's intention
+   * @param {number|bigint} max - Maximum value for each draw
+   * @param {number} count - Number of values to draw
+   * @param {boolean} allowDuplicates - Whether to allow the same index multiple times (default: true)
+   * @returns {Object} { indices: Array<number|bigint>, reversed?: boolean[], timestamp: string, window?: Object, hrtime?: string, receipt?: Object }
+   * @throws {Error} If the crypto backend has not been loaded
+   */
+  drawMultipleSync(intention, max, count, allowDuplicates = true) {
+    assertValidIntention(intention);
+    assertValidMax(max);
+    assertValidCount(count, max, allowDuplicates);
+
+    const { result, ...rest } = this.#drawFromMomentSync(
+      intention, 'drawMultiple', { max, count, allowDuplicates }
+    );
+
+    return {
+      indices: result,
+      ...rest
+    };
+  }
+
+  /**
+   * Draw a card for each position of a spread, without replacement
+   * @param {string} intention - The user's intention
+   * @param {number} deckSize - Number of cards in the deck
+   * @param {Spread|string|Object} spread - A Spread, a built-in spread id, or a spread definition
+   * @returns {Promise<Object>} { spread: string, positions: [{ position, index, reversed? }], timestamp: string, window?: Object, hrtime?: string, receipt?: Object }
+   */
+  async drawSpread(intention, deckSize, spread) {
+    const resolved = Spread.from(spread);
+    resolved.assertFitsDeck(deckSize);
+
+    const { indices, reversed, ...rest } = await this.drawMultiple(intention, deckSize, resolved.size, false);
+
+    return {
+      spread: resolved.id,
+      positions: resolved.positions.map((position, i) => ({
+        position,
+        index: indices[i],
+        ...(reversed ? { reversed: reversed[i] } : {})
+      })),
+      ...rest
+    };
+  }
+
+  /**
+   * Draw a single value and return it as `value`
+   * @param {string} intention - The user's intention
+   * @param {string} method - Public method name
+   * @param {Object} params - Draw parameters
+   * @returns {Promise<Object>} { value, timestamp: string, window?: Object, hrtime?: string, receipt?: Object }
+   */
+  async #drawValue(intention, method, params) {
+    const { result, ...rest } = await this.#drawFromMoment(intention, method, params);
+
+    return {
+      value: result,
+      ...rest
+    };
+  }
+
+  /**
+   * Capture a moment, commit to it if receipts are enabled, and read a result
+   * @param {string} intention - The user's intention
+   * @param {string} method - Public method name, selects the reader and is recorded in the receipt
+   * @param {Object} params - Draw parameters, recorded in the receipt
+   * @param {Object} extra - Additional moment components, such as a gesture digest
+   * @returns {Promise<Object>} { result, reversed?, timestamp: string, window?: Object, hrtime?: string, receipt?: Object }
+   */
+  async #drawFromMoment(intention, method, params, extra = {}) {
+    const moment = { ...await captureMoment(this.options), ...extra };
+    let commitment = null;
+    params = this.#withOrientation(method, params);
+
+    if (this.options.includeReceipt) {
+      // Publish the commitment before the result exists
+      commitment = await commitToMoment(moment, this.options.backend);
+      if (this.options.onCommit) {
+        await this.options.onCommit(commitment);
+      }
     }
 
-    const timestamp = new Date().toISOString();
-    const indices = [];
-    const used = new Set();
-
-    for (let i = 0; i < count; i++) {
-      // Modify intention slightly for each draw to ensure different results
-      const modifiedIntention = `${intention}::draw${i}`;
-      const result = await this.draw(modifiedIntention, max);
-      
-      if (allowDuplicates) {
-        indices.push(result.index);
-      } else {
-        // Keep drawing until we get an unused index
-        let attempts = 0;
-        let index = result.index;
-        while (used.has(index) && attempts < max * 2) {
-          const retry = await this.draw(`${modifiedIntention}::retry${attempts}`, max);
-          index = retry.index;
-          attempts++;
+    // Create seed from components (ephemeral - not stored)
+    const stream = await IntentionStream.fromSeed(
+      buildSeed(intention, moment, this.options), moment.timestamp, this.options.secret, this.options.backend
+    );
+    const output = await readResult(stream, method, params);
+
+    return this.#finishDraw(method, params, moment, commitment, output);
+  }
+
+  /**
+   * Synchronous #drawFromMoment()
+   * @param {string} intention - The user's intention
+   * @param {string} method - Public method name with a synchronous reader
+   * @param {Object} params - Draw parameters, recorded in the receipt
+   * @returns {Object} { result, reversed?, timestamp: string, window?: Object, hrtime?: string, receipt?: Object }
+   */
+  #drawFromMomentSync(intention, method, params) {
+    const moment = captureMomentSync(this.options);
+    let commitment = null;
+    params = this.#withOrientation(method, params);
+
+    if (this.options.includeReceipt) {
+      // Publish the commitment before the result exists
+      commitment = commitToMomentSync(moment, this.options.backend);
+      if (this.options.onCommit) {
+        const published = this.options.onCommit(commitment);
+        if (published && typeof published.then === 'function') {
+          throw new Error('onCommit returned a promise, which a synchronous draw cannot wait for');
         }
-        used.add(index);
-        indices.push(index);
       }
     }
 
+    // Create seed from components (ephemeral - not stored)
+    const stream = IntentionStream.fromSeedSync(
+      buildSeed(intention, moment, this.options), moment.timestamp, this.options.secret, this.options.backend
+    );
+    const output = readResultSync(stream, method, params);
+
+    return this.#finishDraw(method, params, moment, commitment, output);
+  }
+
+  /**
+   * Add the reversal probability to the parameters of card draws
+   * @param {string} method - Public method name
+   * @param {Object} params - Draw parameters
+   * @returns {Object} Parameters for the reader and receipt
+   */
+  #withOrientation(method, params) {
+    if (this.options.reversalProbability != null && ORIENTED_METHODS.has(method)) {
+      return { ...params, reversalProbability: this.options.reversalProbability };
+    }
+    return params;
+  }
+
+  /**
+   * Assemble a draw result, with a receipt when a commitment was made
+   * @param {string} method - Public method name
+   * @param {Object} params - Draw parameters
+   * @param {Object} moment - Captured moment
+   * @param {string|null} commitment - Commitment published before the draw
+   * @param {Object} output - Reader output { result, reversed? }
+   * @returns {Object} { result, reversed?, timestamp: string, window?: Object, hrtime?: string, receipt?: Object }
+   */
+  #finishDraw(method, params, moment, commitment, output) {
+    const receipt = commitment && createReceipt({
+      method,
+      params,
+      moment,
+      options: this.options,
+      commitment,
+      output
+    });
+
     return {
-      indices,
-      timestamp
+      ...output,
+      timestamp: moment.timestamp,
+      ...(moment.window ? { window: { ...moment.window } } : {}),
+      ...(moment.hrtime ? { hrtime: moment.hrtime } : {}),
+      ...(receipt ? { receipt } : {})
     };
   }
 }
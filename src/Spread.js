@@ -0,0 +1,205 @@
+/**
+ * Spread - Named positions for a reading
+ *
+ * A spread is a list of positions, each with an id, a label, an optional
+ * meaning and optional layout coordinates for drawing it on screen. Layout
+ * uses card-sized grid units with y growing downwards; `rotation` is in
+ * degrees (the crossing card of a Celtic Cross is rotated 90).
+ */
+export class Spread {
+  /**
+   * Create a spread, validating its positions
+   * @param {Object} definition - Spread definition
+   * @param {string} definition.id - Spread id
+   * @param {string} definition.name - Display name (default: id)
+   * @param {string} definition.description - Description (optional)
+   * @param {Object[]} definition.positions - [{ id, label, meaning?, layout?: { x, y, rotation? } }]
+   */
+  constructor(definition) {
+    if (!definition || typeof definition !== 'object') {
+      throw new Error('Spread definition must be an object');
+    }
+
+    const { id, name, description, positions } = definition;
+
+    if (!id || typeof id !== 'string') {
+      throw new Error('Spread must have a non-empty string id');
+    }
+
+    if (!Array.isArray(positions) || positions.length === 0) {
+      throw new Error(`Spread "${id}" must have at least one position`);
+    }
+
+    const ids = new Set();
+    this.id = id;
+    this.name = name || id;
+    this.description = description || null;
+    this.positions = Object.freeze(positions.map((position, i) => {
+      const where = `Spread "${id}" position ${i}`;
+
+      if (!position || typeof position !== 'object') {
+        throw new Error(`${where} must be an object`);
+      }
+
+      if (!position.id || typeof position.id !== 'string') {
+        throw new Error(`${where} must have a non-empty string id`);
+      }
+
+      if (ids.has(position.id)) {
+        throw new Error(`Spread "${id}" has duplicate position id: ${position.id}`);
+      }
+      ids.add(position.id);
+
+      if (!position.label || typeof position.label !== 'string') {
+        throw new Error(`${where} must have a non-empty string label`);
+      }
+
+      const checked = { id: position.id, label: position.label };
+
+      if (position.meaning !== undefined) {
+        checked.meaning = String(position.meaning);
+      }
+
+      if (position.layout !== undefined) {
+        const { x, y, rotation = 0 } = position.layout || {};
+        if (![x, y, rotation].every(Number.isFinite)) {
+          throw new Error(`${where} layout must have finite x, y and rotation`);
+        }
+        checked.layout = Object.freeze({ x, y, rotation });
+      }
+
+      return Object.freeze(checked);
+    }));
+  }
+
+  /**
+   * Load a spread from JSON, optionally checking it against a deck size
+   * @param {Object|string} json - Spread definition, or its JSON string
+   * @param {Object} options - Load options
+   * @param {number} options.deckSize - Reject the spread if it needs more cards than this
+   * @returns {Spread}
+   */
+  static fromJSON(json, options = {}) {
+    const spread = new Spread(typeof json === 'string' ? JSON.parse(json) : json);
+
+    if (options.deckSize !== undefined) {
+      spread.assertFitsDeck(options.deckSize);
+    }
+
+    return spread;
+  }
+
+  /**
+   * Look up a built-in spread by id
+   * @param {string} id - 'single', 'three-card', 'horseshoe' or 'celtic-cross'
+   * @returns {Spread}
+   */
+  static builtIn(id) {
+    const spread = BUILT_IN_SPREADS[id];
+    if (!spread) {
+      throw new Error(`Unknown spread: ${id} (available: ${Object.keys(BUILT_IN_SPREADS).join(', ')})`);
+    }
+    return spread;
+  }
+
+  /**
+   * Resolve a spread argument: a Spread, a built-in id, or a definition
+   * @param {Spread|string|Object} spread - Spread to resolve
+   * @returns {Spread}
+   */
+  static from(spread) {
+    if (spread instanceof Spread) return spread;
+    if (typeof spread === 'string') return Spread.builtIn(spread);
+    return new Spread(spread);
+  }
+
+  /**
+   * Number of positions (cards needed)
+   * @returns {number}
+   */
+  get size() {
+    return this.positions.length;
+  }
+
+  /**
+   * Check that a deck has enough cards for every position
+   * @param {number} deckSize - Number of cards in the deck
+   * @throws {Error} If the spread has more positions than the deck has cards
+   */
+  assertFitsDeck(deckSize) {
+    if (!Number.isInteger(deckSize) || deckSize <= 0) {
+      throw new Error('Deck size must be a positive integer');
+    }
+
+    if (this.size > deckSize) {
+      throw new Error(`Spread "${this.id}" has ${this.size} positions but the deck only has ${deckSize} cards`);
+    }
+  }
+
+  /**
+   * Serialize the spread definition
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      ...(this.description ? { description: this.description } : {}),
+      positions: this.positions.map(position => ({ ...position }))
+    };
+  }
+}
+
+/**
+ * Built-in spreads, by id
+ */
+export const BUILT_IN_SPREADS = Object.freeze({
+  'single': new Spread({
+    id: 'single',
+    name: 'Single Card',
+    positions: [
+      { id: 'focus', label: 'Focus', meaning: 'The heart of the matter', layout: { x: 0, y: 0 } }
+    ]
+  }),
+
+  'three-card': new Spread({
+    id: 'three-card',
+    name: 'Past, Present, Future',
+    positions: [
+      { id: 'past', label: 'Past', meaning: 'What has led here', layout: { x: 0, y: 0 } },
+      { id: 'present', label: 'Present', meaning: 'Where things stand', layout: { x: 1, y: 0 } },
+      { id: 'future', label: 'Future', meaning: 'Where things are heading', layout: { x: 2, y: 0 } }
+    ]
+  }),
+
+  'horseshoe': new Spread({
+    id: 'horseshoe',
+    name: 'Horseshoe',
+    positions: [
+      { id: 'past', label: 'Past', meaning: 'Influences from the past', layout: { x: 0, y: 0 } },
+      { id: 'present', label: 'Present', meaning: 'The current situation', layout: { x: 0.5, y: 1 } },
+      { id: 'hidden', label: 'Hidden Influences', meaning: 'What is not yet seen', layout: { x: 1.5, y: 2 } },
+      { id: 'obstacles', label: 'Obstacles', meaning: 'What stands in the way', layout: { x: 3, y: 2.5 } },
+      { id: 'others', label: 'External Influences', meaning: 'The people and world around', layout: { x: 4.5, y: 2 } },
+      { id: 'advice', label: 'Advice', meaning: 'A suggested approach', layout: { x: 5.5, y: 1 } },
+      { id: 'outcome', label: 'Outcome', meaning: 'The likely result', layout: { x: 6, y: 0 } }
+    ]
+  }),
+
+  'celtic-cross': new Spread({
+    id: 'celtic-cross',
+    name: 'Celtic Cross',
+    positions: [
+      { id: 'present', label: 'Present', meaning: 'The situation itself', layout: { x: 1, y: 1.5 } },
+      { id: 'challenge', label: 'Challenge', meaning: 'What crosses it', layout: { x: 1, y: 1.5, rotation: 90 } },
+      { id: 'foundation', label: 'Foundation', meaning: 'The root beneath it', layout: { x: 1, y: 2.5 } },
+      { id: 'past', label: 'Recent Past', meaning: 'What is passing away', layout: { x: 0, y: 1.5 } },
+      { id: 'crown', label: 'Crown', meaning: 'The best that can be achieved', layout: { x: 1, y: 0.5 } },
+      { id: 'near-future', label: 'Near Future', meaning: 'What is coming', layout: { x: 2, y: 1.5 } },
+      { id: 'self', label: 'Self', meaning: 'Your own attitude', layout: { x: 3.5, y: 3 } },
+      { id: 'environment', label: 'Environment', meaning: 'Those around you', layout: { x: 3.5, y: 2 } },
+      { id: 'hopes-fears', label: 'Hopes and Fears', meaning: 'What you hope for or dread', layout: { x: 3.5, y: 1 } },
+      { id: 'outcome', label: 'Outcome', meaning: 'Where this leads', layout: { x: 3.5, y: 0 } }
+    ]
+  })
+});
@@ -0,0 +1,440 @@
+/**
+ * Crypto backends
+ *
+ * A backend supplies random bytes and SHA-256 (and optionally HMAC-SHA-256)
+ * to every draw. Three are built in:
+ * - 'node': Node.js crypto (including Electron); synchronous
+ * - 'webcrypto': crypto.subtle with crypto.getRandomValues; async only
+ * - 'js': pure JavaScript SHA-256 with crypto.getRandomValues; synchronous,
+ *   for WebViews served from an insecure context, where crypto.subtle is missing
+ *
+ * 'auto' picks the first of these that works. Applications can register
+ * their own with registerBackend(), or pass a backend object directly as
+ * options.backend. Every backend must reproduce the same hash test vectors
+ * before it is used, so a draw comes out the same whichever one serves it.
+ */
+
+import { sha256 as jsSha256, hmacWith } from './sha256.js';
+
+// Tried in order by 'auto'
+const BUILT_IN_BACKENDS = ['node', 'webcrypto', 'js'];
+
+// crypto.getRandomValues() fills at most this many bytes per call
+const MAX_RANDOM_VALUES_BYTES = 65536;
+
+const encoder = new TextEncoder();
+
+// SHA-256 of '', 'abc' and the two-block message from FIPS 180-4, and
+// HMAC-SHA-256 test cases 1 and 2 from RFC 4231
+const TEST_VECTORS = [
+  {
+    label: "SHA-256('')",
+    data: () => new Uint8Array(0),
+    expected: 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'
+  },
+  {
+    label: "SHA-256('abc')",
+    data: () => encoder.encode('abc'),
+    expected: 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+  },
+  {
+    label: 'SHA-256 of the 448-bit message',
+    data: () => encoder.encode('abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq'),
+    expected: '248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1'
+  },
+  {
+    label: 'HMAC-SHA-256 RFC 4231 case 1',
+    key: () => new Uint8Array(20).fill(0x0b),
+    data: () => encoder.encode('Hi There'),
+    expected: 'b0344c61d8db38535ca8afceaf0bf12b881dc200c9833da726e9376c2e32cff7'
+  },
+  {
+    label: 'HMAC-SHA-256 RFC 4231 case 2',
+    key: () => encoder.encode('Jefe'),
+    data: () => encoder.encode('what do ya want for nothing?'),
+    expected: '5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843'
+  }
+];
+
+const registered = new Map();
+const resolvedByName = new Map();
+const resolvedByObject = new WeakMap();
+const settledByName = new Map();
+const settledByObject = new WeakMap();
+const listeners = new Set();
+
+/**
+ * View a Node.js Buffer as a plain Uint8Array
+ * @param {Buffer} buffer - Buffer to view
+ * @returns {Uint8Array}
+ */
+function asBytes(buffer) {
+  return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+}
+
+/**
+ * Whether a value is a promise (or any thenable)
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isPromise(value) {
+  return Boolean(value) && typeof value.then === 'function';
+}
+
+/**
+ * Hex-encode bytes
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string}
+ */
+function toHex(bytes) {
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Fill bytes from crypto.getRandomValues(), in chunks it accepts
+ * @param {Object} webCrypto - Object with getRandomValues
+ * @param {number} size - Number of bytes
+ * @returns {Uint8Array}
+ */
+function getRandomValues(webCrypto, size) {
+  const bytes = new Uint8Array(size);
+  for (let offset = 0; offset < size; offset += MAX_RANDOM_VALUES_BYTES) {
+    webCrypto.getRandomValues(bytes.subarray(offset, offset + MAX_RANDOM_VALUES_BYTES));
+  }
+  return bytes;
+}
+
+/**
+ * Find the Web Crypto object: the global one, or Node.js's on versions
+ * (before 19) that don't expose it globally
+ * @returns {Promise<Object|undefined>} Web Crypto, if there is one
+ */
+async function findWebCrypto() {
+  if (globalThis.crypto) {
+    return globalThis.crypto;
+  }
+
+  if (typeof process !== 'undefined' && process.versions && process.versions.node) {
+    try {
+      return (await import('node:crypto')).webcrypto;
+    } catch {
+      return undefined;
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Load a built-in backend
+ * @param {string} name - 'node', 'webcrypto' or 'js'
+ * @returns {Promise<Object>} Backend
+ * @throws {Error} Explaining why the backend is not available here
+ */
+async function loadBuiltIn(name) {
+  if (name === 'node') {
+    if (typeof process === 'undefined' || !process.versions || !process.versions.node) {
+      throw new Error('not running in Node.js');
+    }
+
+    let crypto;
+    try {
+      // Per Node.js docs: use dynamic import() so a build without crypto fails gracefully
+      crypto = await import('node:crypto');
+    } catch (err) {
+      throw new Error(`node:crypto could not be loaded (${err.message})`);
+    }
+
+    return {
+      name,
+      sync: true,
+      randomBytes: size => asBytes(crypto.randomBytes(size)),
+      sha256: data => asBytes(crypto.createHash('sha256').update(data).digest()),
+      hmacSha256: (key, data) => asBytes(crypto.createHmac('sha256', key).update(data).digest())
+    };
+  }
+
+  const webCrypto = await findWebCrypto();
+  if (!webCrypto || typeof webCrypto.getRandomValues !== 'function') {
+    throw new Error('crypto.getRandomValues is missing');
+  }
+
+  if (name === 'webcrypto') {
+    const subtle = webCrypto.subtle;
+    if (!subtle) {
+      throw new Error('crypto.subtle is missing (insecure context?)');
+    }
+
+    return {
+      name,
+      sync: false,
+      randomBytes: size => getRandomValues(webCrypto, size),
+      sha256: async data => new Uint8Array(await subtle.digest('SHA-256', data)),
+      hmacSha256: async (key, data) => {
+        const cryptoKey = await subtle.importKey('raw', key, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+        return new Uint8Array(await subtle.sign('HMAC', cryptoKey, data));
+      }
+    };
+  }
+
+  return {
+    name,
+    sync: true,
+    randomBytes: size => getRandomValues(webCrypto, size),
+    sha256: jsSha256,
+    hmacSha256: hmacWith(jsSha256)
+  };
+}
+
+/**
+ * Check a user-supplied backend definition and fill in HMAC if it has none
+ * @param {Object} definition - { name, sync?, randomBytes, sha256, hmacSha256? }
+ * @returns {Object} Backend
+ * @throws {Error} If a required function is missing
+ */
+function fromDefinition(definition) {
+  if (!definition || typeof definition !== 'object') {
+    throw new Error('Crypto backend must be an object');
+  }
+
+  if (typeof definition.name !== 'string' || definition.name === '') {
+    throw new Error('Crypto backend needs a name');
+  }
+
+  for (const fn of ['randomBytes', 'sha256']) {
+    if (typeof definition[fn] !== 'function') {
+      throw new Error(`Crypto backend '${definition.name}' needs a ${fn} function`);
+    }
+  }
+
+  if (definition.hmacSha256 != null && typeof definition.hmacSha256 !== 'function') {
+    throw new Error(`Crypto backend '${definition.name}' hmacSha256 must be a function`);
+  }
+
+  const sha256 = data => definition.sha256(data);
+
+  return {
+    name: definition.name,
+    sync: Boolean(definition.sync),
+    randomBytes: size => definition.randomBytes(size),
+    sha256,
+    hmacSha256: definition.hmacSha256 ? (key, data) => definition.hmacSha256(key, data) : hmacWith(sha256)
+  };
+}
+
+/**
+ * Check a backend against the test vectors
+ *
+ * A backend that claims to be synchronous must also return its hashes
+ * and random bytes directly rather than as promises.
+ *
+ * @param {Object} backend - Backend to check
+ * @returns {Promise<Object>} The same backend
+ * @throws {Error} Naming the first check that failed
+ */
+async function selfTest(backend) {
+  for (const vector of TEST_VECTORS) {
+    const data = vector.data();
+    const value = vector.key ? backend.hmacSha256(vector.key(), data) : backend.sha256(data);
+
+    if (backend.sync && isPromise(value)) {
+      throw new Error(`${vector.label} returned a promise from a synchronous backend`);
+    }
+
+    const digest = await value;
+    if (!(digest instanceof Uint8Array) || toHex(digest) !== vector.expected) {
+      throw new Error(`${vector.label} does not match its test vector`);
+    }
+  }
+
+  const pending = backend.randomBytes(16);
+  if (backend.sync && isPromise(pending)) {
+    throw new Error('randomBytes returned a promise from a synchronous backend');
+  }
+
+  const random = await pending;
+  if (!(random instanceof Uint8Array) || random.length !== 16) {
+    throw new Error('randomBytes(16) did not return 16 bytes');
+  }
+
+  return backend;
+}
+
+/**
+ * Tell listeners about a backend event
+ * @param {Object} event - { type, backend, ... }
+ */
+function emit(event) {
+  for (const listener of listeners) {
+    listener(event);
+  }
+}
+
+/**
+ * Load and self-test a single backend by name
+ * @param {string} name - Built-in or registered name
+ * @returns {Promise<Object>} Backend
+ * @throws {Error} If it is unknown, unavailable or fails its self-test
+ */
+async function loadNamed(name) {
+  let backend;
+  try {
+    backend = registered.has(name)
+      ? fromDefinition(registered.get(name))
+      : await loadBuiltIn(name);
+    await selfTest(backend);
+  } catch (err) {
+    throw new Error(`Crypto backend '${name}' is not available: ${err.message}`);
+  }
+  return backend;
+}
+
+/**
+ * Try each built-in backend in turn, keeping the first that works
+ * @returns {Promise<Object>} Backend, with the ones skipped and why
+ * @throws {Error} If none is available
+ */
+async function loadAuto() {
+  const skipped = [];
+
+  for (const name of BUILT_IN_BACKENDS) {
+    try {
+      const backend = await resolveBackend(name);
+      return { ...backend, skipped };
+    } catch (err) {
+      const reason = err.message.replace(`Crypto backend '${name}' is not available: `, '');
+      skipped.push({ name, reason });
+      emit({ type: 'backend-skipped', backend: name, reason });
+    }
+  }
+
+  const reasons = skipped.map(({ name, reason }) => `${name}: ${reason}`).join('; ');
+  throw new Error(`No crypto implementation available (${reasons})`);
+}
+
+/**
+ * Check that a backend choice names something usable
+ * @param {string|Object} choice - 'auto', a built-in or registered name, or a backend object
+ * @throws {Error} If it is unknown or malformed
+ */
+export function assertValidBackend(choice) {
+  if (typeof choice === 'string') {
+    if (choice !== 'auto' && !BUILT_IN_BACKENDS.includes(choice) && !registered.has(choice)) {
+      throw new Error(`Unknown crypto backend: ${choice} (use auto, ${BUILT_IN_BACKENDS.join(', ')} or a registered name)`);
+    }
+    return;
+  }
+
+  fromDefinition(choice);
+}
+
+/**
+ * Register a crypto backend under its name
+ *
+ * The backend is self-tested against the hash test vectors the first time
+ * it is used; a failing backend is never used for a draw.
+ *
+ * @param {Object} definition - Backend definition
+ * @param {string} definition.name - Name to select it by, as options.backend
+ * @param {boolean} definition.sync - Whether its functions return values directly, enabling the
+ *   synchronous draw methods (default: false)
+ * @param {function(number): (Uint8Array|Promise<Uint8Array>)} definition.randomBytes - Random bytes
+ * @param {function(Uint8Array): (Uint8Array|Promise<Uint8Array>)} definition.sha256 - SHA-256 digest
+ * @param {function(Uint8Array, Uint8Array): (Uint8Array|Promise<Uint8Array>)} definition.hmacSha256 -
+ *   HMAC-SHA-256 over key and data (default: built from sha256)
+ * @throws {Error} If the definition is malformed or the name is taken
+ */
+export function registerBackend(definition) {
+  fromDefinition(definition);
+
+  const { name } = definition;
+  if (name === 'auto' || BUILT_IN_BACKENDS.includes(name) || registered.has(name)) {
+    throw new Error(`Crypto backend already registered: ${name}`);
+  }
+
+  registered.set(name, definition);
+}
+
+/**
+ * Resolve a backend choice, loading and self-testing it once
+ * @param {string|Object} choice - 'auto', a built-in or registered name, or a backend object (default: 'auto')
+ * @returns {Promise<Object>} Backend { name, sync, randomBytes, sha256, hmacSha256, skipped? }
+ * @throws {Error} If the backend is unknown, unavailable or fails its self-test
+ */
+export function resolveBackend(choice = 'auto') {
+  if (typeof choice === 'object' && choice !== null) {
+    if (!resolvedByObject.has(choice)) {
+      const pending = (async () => {
+        const backend = fromDefinition(choice);
+        try {
+          await selfTest(backend);
+        } catch (err) {
+          throw new Error(`Crypto backend '${backend.name}' is not available: ${err.message}`);
+        }
+        settledByObject.set(choice, backend);
+        emit({ type: 'backend-selected', backend: backend.name, sync: backend.sync });
+        return backend;
+      })();
+      resolvedByObject.set(choice, pending);
+    }
+    return resolvedByObject.get(choice);
+  }
+
+  if (!resolvedByName.has(choice)) {
+    assertValidBackend(choice);
+
+    const pending = (choice === 'auto' ? loadAuto() : loadNamed(choice)).then(backend => {
+      settledByName.set(choice, backend);
+      if (choice === 'auto') {
+        emit({ type: 'backend-selected', backend: backend.name, sync: backend.sync });
+      }
+      return backend;
+    });
+    resolvedByName.set(choice, pending);
+  }
+  return resolvedByName.get(choice);
+}
+
+/**
+ * Get a backend that has already been resolved, without waiting
+ * @param {string|Object} choice - Backend choice (default: 'auto')
+ * @returns {Object|null} Backend, or null if it has not been resolved yet
+ */
+export function peekBackend(choice = 'auto') {
+  return (typeof choice === 'object' && choice !== null ? settledByObject.get(choice) : settledByName.get(choice)) || null;
+}
+
+/**
+ * Listen for backend events
+ *
+ * Events are { type: 'backend-skipped', backend, reason } when 'auto'
+ * passes over a backend that is not available here, and
+ * { type: 'backend-selected', backend, sync } when a backend is first
+ * chosen for 'auto' or a backend object.
+ *
+ * @param {function(Object): void} listener - Called with each event
+ * @returns {function(): void} Stops listening
+ */
+export function onBackendEvent(listener) {
+  if (typeof listener !== 'function') {
+    throw new Error('Backend event listener must be a function');
+  }
+
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Describe the backend a choice resolves to
+ * @param {string|Object} choice - Backend choice (default: 'auto')
+ * @returns {Promise<Object>} { name, sync, skipped: Array<{ name, reason }> }
+ * @throws {Error} If no backend is available for the choice
+ */
+export async function getBackendInfo(choice = 'auto') {
+  const backend = await resolveBackend(choice);
+  return {
+    name: backend.name,
+    sync: backend.sync,
+    skipped: (backend.skipped || []).map(entry => ({ ...entry }))
+  };
+}
@@ -2,93 +2,113 @@
  * Cross-platform crypto utilities
  * Works in both Node.js (Electron desktop) and browser (mobile WebView) environments
  * 
- * Per Node.js docs: https://nodejs.org/api/crypto.html#determining-if-crypto-support-is-unavailable
- * ESM requires dynamic import() in try/catch to handle missing crypto module gracefully
+ * Hashing and random bytes are served by a crypto backend (see backends.js):
+ * Node.js crypto, Web Crypto, or pure JavaScript SHA-256 where crypto.subtle
+ * is missing. Each function takes an optional backend choice; 'auto' uses
+ * the first one available.
  */
 
-// Cache for Node.js crypto - only populated on desktop
-let nodeCrypto = null;
-let nodeCryptoLoadAttempted = false;
+import { resolveBackend, peekBackend } from './backends.js';
+
+const encoder = new TextEncoder();
 
 /**
- * Attempt to load Node.js crypto module
- * Returns null on mobile/browser or if crypto support unavailable
- * @returns {Promise<Object|null>}
+ * Encode strings as UTF-8, passing bytes through
+ * @param {string|Uint8Array} data - Data to encode
+ * @returns {Uint8Array}
  */
-async function tryLoadNodeCrypto() {
-  if (nodeCryptoLoadAttempted) {
-    return nodeCrypto;
-  }
-  
-  nodeCryptoLoadAttempted = true;
-  
-  // Check if we're in Node.js environment
-  if (typeof process === 'undefined' || !process.versions || !process.versions.node) {
-    return null;
-  }
-  
-  try {
-    // Per Node.js docs: Use dynamic import() for ESM to handle missing crypto gracefully
-    // This prevents crashes on mobile where 'node:crypto' doesn't exist
-    nodeCrypto = await import('node:crypto');
-    return nodeCrypto;
-  } catch (err) {
-    // Mobile browser, or Node.js built without crypto support
-    console.warn('Node.js crypto module not available, falling back to Web Crypto API');
-    return null;
-  }
+function toBytes(data) {
+  return typeof data === 'string' ? encoder.encode(data) : data;
 }
 
 /**
  * Get random bytes - works in both Node.js and browser
  * @param {number} size - Number of bytes to generate
+ * @param {string|Object} backend - Crypto backend choice (default: 'auto')
  * @returns {Promise<Uint8Array>} Random bytes
  */
-export async function randomBytes(size) {
-  // Try Node.js crypto first (desktop Electron)
-  const crypto = await tryLoadNodeCrypto();
-  if (crypto && crypto.randomBytes) {
-    return crypto.randomBytes(size);
-  }
-  
-  // Fallback to Web Crypto API (mobile browsers)
-  const bytes = new Uint8Array(size);
-  if (typeof window !== 'undefined' && window.crypto && window.crypto.getRandomValues) {
-    window.crypto.getRandomValues(bytes);
-    return bytes;
-  } else if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
-    crypto.getRandomValues(bytes);
-    return bytes;
-  } else {
-    throw new Error('No crypto implementation available');
-  }
+export async function randomBytes(size, backend = 'auto') {
+  return (await resolveBackend(backend)).randomBytes(size);
 }
 
 /**
  * Create SHA-256 hash - works in both Node.js and browser
- * @param {string} data - Data to hash
+ * @param {string|Uint8Array} data - Data to hash (strings are UTF-8 encoded)
+ * @param {string|Object} backend - Crypto backend choice (default: 'auto')
  * @returns {Promise<Uint8Array>} Hash bytes
  */
-export async function sha256(data) {
-  // Try Node.js crypto first (desktop Electron)
-  const crypto = await tryLoadNodeCrypto();
-  if (crypto && crypto.createHash) {
-    return crypto.createHash('sha256').update(data).digest();
+export async function sha256(data, backend = 'auto') {
+  return (await resolveBackend(backend)).sha256(toBytes(data));
+}
+
+/**
+ * Create HMAC-SHA-256 - works in both Node.js and browser
+ * @param {Uint8Array} key - Secret key bytes
+ * @param {string|Uint8Array} data - Data to authenticate (strings are UTF-8 encoded)
+ * @param {string|Object} backend - Crypto backend choice (default: 'auto')
+ * @returns {Promise<Uint8Array>} MAC bytes
+ */
+export async function hmacSha256(key, data, backend = 'auto') {
+  return (await resolveBackend(backend)).hmacSha256(key, toBytes(data));
+}
+
+/**
+ * Load the crypto backend, so synchronous hashing can be used
+ * @param {string|Object} backend - Crypto backend choice (default: 'auto')
+ * @returns {Promise<boolean>} Whether synchronous crypto is available with it
+ */
+export async function loadSyncCrypto(backend = 'auto') {
+  return (await resolveBackend(backend)).sync;
+}
+
+/**
+ * Get a loaded synchronous backend for a synchronous call
+ * @param {string|Object} choice - Crypto backend choice
+ * @returns {Object} Backend
+ * @throws {Error} If it has not been loaded, or only works asynchronously
+ */
+function requireSyncBackend(choice) {
+  const backend = peekBackend(choice);
+
+  if (!backend) {
+    throw new Error('Synchronous crypto is not ready: await RngWithIntention.ready() first');
   }
-  
-  // Fallback to Web Crypto API (mobile browsers)
-  const encoder = new TextEncoder();
-  const dataBuffer = encoder.encode(data);
-  
-  if (typeof window !== 'undefined' && window.crypto && window.crypto.subtle) {
-    const hashBuffer = await window.crypto.subtle.digest('SHA-256', dataBuffer);
-    return new Uint8Array(hashBuffer);
-  } else if (typeof crypto !== 'undefined' && crypto.subtle) {
-    const hashBuffer = await crypto.subtle.digest('SHA-256', dataBuffer);
-    return new Uint8Array(hashBuffer);
-  } else {
-    throw new Error('No crypto implementation available');
+
+  if (!backend.sync) {
+    throw new Error(`Synchronous crypto needs a synchronous backend, but '${backend.name}' is async only; use backend 'js' or the async methods`);
   }
+  return backend;
+}
+
+/**
+ * Get random bytes synchronously (after loadSyncCrypto())
+ * @param {number} size - Number of bytes to generate
+ * @param {string|Object} backend - Crypto backend choice (default: 'auto')
+ * @returns {Uint8Array} Random bytes
+ */
+export function randomBytesSync(size, backend = 'auto') {
+  return requireSyncBackend(backend).randomBytes(size);
+}
+
+/**
+ * Create SHA-256 hash synchronously (after loadSyncCrypto())
+ * @param {string|Uint8Array} data - Data to hash (strings are UTF-8 encoded)
+ * @param {string|Object} backend - Crypto backend choice (default: 'auto')
+ * @returns {Uint8Array} Hash bytes
+ */
+export function sha256Sync(data, backend = 'auto') {
+  return requireSyncBackend(backend).sha256(toBytes(data));
+}
+
+/**
+ * Create HMAC-SHA-256 synchronously (after loadSyncCrypto())
+ * @param {Uint8Array} key - Secret key bytes
+ * @param {string|Uint8Array} data - Data to authenticate (strings are UTF-8 encoded)
+ * @param {string|Object} backend - Crypto backend choice (default: 'auto')
+ * @returns {Uint8Array} MAC bytes
+ */
+export function hmacSha256Sync(key, data, backend = 'auto') {
+  return requireSyncBackend(backend).hmacSha256(key, toBytes(data));
 }
 
 /**
@@ -102,6 +122,24 @@ export function bytesToHex(bytes) {
     .join('');
 }
 
+/**
+ * Convert a hex string to bytes
+ * @param {string} hex - Hex string with an even number of digits
+ * @returns {Uint8Array} Bytes
+ * @throws {Error} If the string is not hex
+ */
+export function hexToBytes(hex) {
+  if (typeof hex !== 'string' || hex.length % 2 !== 0 || !/^[0-9a-f]*$/i.test(hex)) {
+    throw new Error('Expected a hex string with an even number of digits');
+  }
+  
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+  }
+  return bytes;
+}
+
 /**
  * Read a 32-bit unsigned integer from bytes (big-endian)
  * @param {Uint8Array} bytes - Bytes to read from
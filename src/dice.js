@@ -0,0 +1,233 @@
+/**
+ * Dice-notation rolls seeded by intention
+ *
+ * Supported notation (case-insensitive, spaces ignored):
+ *   NdM      N dice with M sides (N defaults to 1); d% is d100
+ *   NdF      Fudge dice: -1, 0 or +1 each
+ *   khK/kK   keep the highest K dice      klK   keep the lowest K
+ *   dhK      drop the highest K dice      dlK   drop the lowest K
+ *   !        exploding: a die showing its maximum adds another die
+ *   +N / -N  constant modifiers, and further dice groups, e.g. 2d6+1d4-1
+ *
+ * Each extra die from an explosion joins the pool as a die of its own, so
+ * keep and drop choose from the whole pool: 4d6!kh3 keeps the three highest
+ * of however many dice were rolled, and 4d6!dl1 drops only the lowest. The
+ * counts allowed for keep and drop are checked against the dice rolled
+ * before any explosion, so they hold however large the pool grows.
+ */
+
+import { RngWithIntention } from './RngWithIntention.js';
+
+export const MAX_DICE = 1000;
+export const MAX_SIDES = 1000000;
+
+// An exploding die rolls at most this many extra dice, so d2! can't run forever
+export const MAX_EXPLOSIONS = 100;
+
+/**
+ * Throw a parse error pointing at a position in the notation
+ * @param {string} notation - The notation being parsed
+ * @param {number} position - Zero-based position of the problem
+ * @param {string} message - What was expected
+ */
+function parseError(notation, position, message) {
+  throw new Error(`Invalid dice notation "${notation}": ${message} at position ${position}`);
+}
+
+/**
+ * Parse dice notation into terms
+ * @param {string} notation - Dice notation, e.g. "4d6kh3+2"
+ * @returns {Object[]} Terms: { type: 'dice', sign, count, sides, explode, keep } or { type: 'constant', sign, value },
+ *   where keep is null or { drop: boolean, highest: boolean, count }
+ * @throws {Error} If the notation is malformed or out of range
+ */
+export function parseDiceNotation(notation) {
+  if (typeof notation !== 'string' || notation.trim() === '') {
+    throw new Error('Dice notation must be a non-empty string');
+  }
+
+  const text = notation.replace(/\s+/g, '').toLowerCase();
+  const terms = [];
+  let pos = 0;
+
+  const readInt = () => {
+    const match = /^\d+/.exec(text.slice(pos));
+    if (!match) return null;
+    pos += match[0].length;
+    return Number(match[0]);
+  };
+
+  while (pos < text.length) {
+    let sign = 1;
+    if (text[pos] === '+' || text[pos] === '-') {
+      sign = text[pos] === '-' ? -1 : 1;
+      pos++;
+    } else if (terms.length > 0) {
+      parseError(notation, pos, "expected '+' or '-'");
+    }
+
+    const start = pos;
+    const number = readInt();
+
+    if (text[pos] !== 'd') {
+      if (number === null) {
+        parseError(notation, pos, 'expected a number or dice');
+      }
+      terms.push({ type: 'constant', sign, value: number });
+      continue;
+    }
+
+    pos++;
+    const count = number ?? 1;
+    let sides;
+
+    if (text[pos] === 'f') {
+      sides = 'F';
+      pos++;
+    } else if (text[pos] === '%') {
+      sides = 100;
+      pos++;
+    } else {
+      sides = readInt();
+      if (sides === null) {
+        parseError(notation, pos, 'expected number of sides');
+      }
+    }
+
+    if (count < 1 || count > MAX_DICE) {
+      parseError(notation, start, `number of dice must be between 1 and ${MAX_DICE}`);
+    }
+
+    if (sides !== 'F' && (sides < 1 || sides > MAX_SIDES)) {
+      parseError(notation, start, `number of sides must be between 1 and ${MAX_SIDES}`);
+    }
+
+    let explode = false;
+    let keep = null;
+
+    while (pos < text.length && text[pos] !== '+' && text[pos] !== '-') {
+      const at = pos;
+
+      if (text[pos] === '!') {
+        pos++;
+        if (explode) parseError(notation, at, 'dice can only explode once');
+        if (sides === 'F' || sides < 2) parseError(notation, at, 'only dice with 2 or more sides can explode');
+        explode = true;
+        continue;
+      }
+
+      const modifier = /^(kh|kl|dh|dl|k)/.exec(text.slice(pos));
+      if (!modifier) {
+        parseError(notation, pos, `unexpected '${text[pos]}'`);
+      }
+      pos += modifier[0].length;
+
+      const amount = readInt();
+      if (amount === null) parseError(notation, pos, 'expected how many dice to keep or drop');
+      if (keep) parseError(notation, at, 'only one keep or drop modifier is allowed');
+
+      const kind = modifier[0] === 'k' ? 'kh' : modifier[0];
+      if (kind[0] === 'k') {
+        if (amount < 1 || amount > count) parseError(notation, at, `can keep between 1 and ${count} dice`);
+        keep = { drop: false, highest: kind === 'kh', count: amount };
+      } else {
+        if (amount >= count) parseError(notation, at, `can drop between 0 and ${count - 1} dice`);
+        keep = { drop: true, highest: kind === 'dh', count: amount };
+      }
+    }
+
+    terms.push({ type: 'dice', sign, count, sides, explode, keep });
+  }
+
+  if (terms.length === 0) {
+    parseError(notation, 0, 'expected a number or dice');
+  }
+
+  return terms;
+}
+
+/**
+ * Write a dice term back as canonical notation
+ * @param {Object} term - Parsed dice term
+ * @returns {string}
+ */
+function formatDiceTerm(term) {
+  const keep = term.keep
+    ? `${term.keep.drop ? 'd' : 'k'}${term.keep.highest ? 'h' : 'l'}${term.keep.count}`
+    : '';
+  return `${term.count}d${term.sides}${term.explode ? '!' : ''}${keep}`;
+}
+
+/**
+ * Roll dice described by standard notation
+ *
+ * All dice come from one captured moment. Kept dice are chosen after
+ * explosions, so extra dice compete for a keep-highest slot like any other
+ * and a keep or drop count applies to the whole pool.
+ *
+ * @param {string} intention - The user's intention
+ * @param {string} notation - Dice notation, e.g. "3d6+2", "4d6kh3", "2d10!", "4dF"
+ * @param {Object} options - Roll options
+ * @param {RngWithIntention} options.rng - Generator to roll with (default: new RngWithIntention())
+ * @returns {Promise<Object>} { notation, groups: [{ notation, sign, sides, dice, kept, subtotal }], modifier, total, timestamp }
+ */
+export async function roll(intention, notation, options = {}) {
+  const terms = parseDiceNotation(notation);
+  const { rng = new RngWithIntention() } = options;
+  const stream = await rng.createStream(intention);
+
+  const rollDie = async (sides) => (sides === 'F' ? (await stream.nextIndex(3)) - 1 : (await stream.nextIndex(sides)) + 1);
+
+  const groups = [];
+  let modifier = 0;
+
+  for (const term of terms) {
+    if (term.type === 'constant') {
+      modifier += term.sign * term.value;
+      continue;
+    }
+
+    const dice = [];
+    for (let i = 0; i < term.count; i++) {
+      let value = await rollDie(term.sides);
+      let explosions = 0;
+
+      while (term.explode && value === term.sides && explosions < MAX_EXPLOSIONS) {
+        dice.push({ value, exploded: true });
+        value = await rollDie(term.sides);
+        explosions++;
+      }
+      dice.push({ value, exploded: false });
+    }
+
+    // Rank dice by value (ties by position) and keep or drop from the top
+    let rolled = dice.map(die => ({ ...die, kept: true }));
+    if (term.keep) {
+      const { drop, highest, count } = term.keep;
+      const ranked = dice
+        .map((die, i) => ({ value: die.value, i }))
+        .sort((a, b) => (highest ? b.value - a.value : a.value - b.value) || a.i - b.i);
+      const chosen = new Set(ranked.slice(0, count).map(entry => entry.i));
+      rolled = dice.map((die, i) => ({ ...die, kept: drop ? !chosen.has(i) : chosen.has(i) }));
+    }
+
+    const kept = rolled.filter(die => die.kept).map(die => die.value);
+
+    groups.push({
+      notation: formatDiceTerm(term),
+      sign: term.sign,
+      sides: term.sides,
+      dice: rolled,
+      kept,
+      subtotal: term.sign * kept.reduce((sum, value) => sum + value, 0)
+    });
+  }
+
+  return {
+    notation,
+    groups,
+    modifier,
+    total: groups.reduce((sum, group) => sum + group.subtotal, modifier),
+    timestamp: stream.timestamp
+  };
+}
@@ -0,0 +1,75 @@
+/**
+ * Continuous and ranged distributions
+ *
+ * These turn the stream's uniform values into other shapes: inclusive
+ * integer ranges (an offset uniform index, so still unbiased), normal
+ * values by the Box–Muller transform, and exponential values by inverting
+ * the CDF. Uniform floats are in [0, 1), so 1 - u is used wherever a
+ * logarithm needs a value in (0, 1].
+ */
+
+/**
+ * Check that [min, max] is a usable inclusive integer range
+ * @param {number} min - Smallest value (inclusive)
+ * @param {number} max - Largest value (inclusive)
+ * @throws {Error} If the bounds are not safe integers, are reversed, or span too many values
+ */
+export function assertValidRange(min, max) {
+  if (!Number.isSafeInteger(min) || !Number.isSafeInteger(max)) {
+    throw new Error('Range bounds must be safe integers');
+  }
+
+  if (min > max) {
+    throw new Error('Range min must not be greater than max');
+  }
+
+  if (!Number.isSafeInteger(max - min + 1)) {
+    throw new Error('Range must span at most Number.MAX_SAFE_INTEGER values');
+  }
+}
+
+/**
+ * Check normal distribution parameters
+ * @param {number} mean - Mean
+ * @param {number} stdDev - Standard deviation
+ * @throws {Error} If mean is not finite or stdDev is not positive and finite
+ */
+export function assertValidNormal(mean, stdDev) {
+  if (!Number.isFinite(mean)) {
+    throw new Error('Mean must be a finite number');
+  }
+
+  if (!Number.isFinite(stdDev) || stdDev <= 0) {
+    throw new Error('Standard deviation must be a positive number');
+  }
+}
+
+/**
+ * Check an exponential rate
+ * @param {number} rate - Events per unit (lambda)
+ * @throws {Error} If rate is not positive and finite
+ */
+export function assertValidRate(rate) {
+  if (!Number.isFinite(rate) || rate <= 0) {
+    throw new Error('Rate must be a positive number');
+  }
+}
+
+/**
+ * Standard normal value from two uniform floats (Box–Muller)
+ * @param {number} u1 - Uniform float in [0, 1)
+ * @param {number} u2 - Uniform float in [0, 1)
+ * @returns {number}
+ */
+export function normalFromUniforms(u1, u2) {
+  return Math.sqrt(-2 * Math.log(1 - u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+/**
+ * Exponential value with rate 1 from a uniform float (inverse CDF)
+ * @param {number} u - Uniform float in [0, 1)
+ * @returns {number}
+ */
+export function exponentialFromUniform(u) {
+  return -Math.log(1 - u);
+}
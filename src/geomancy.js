@@ -0,0 +1,109 @@
+/**
+ * Geomantic charts
+ *
+ * A figure has four rows, head to feet, each of one point (odd) or two
+ * points (even). The four Mothers come from 16 seeded bits; every other
+ * figure is derived from them by the traditional rules:
+ *
+ *   Daughters    Daughter n is row n of Mothers 1-4, read in order
+ *   Nieces       M1+M2, M3+M4, D1+D2, D3+D4
+ *   Witnesses    right = N1+N2, left = N3+N4
+ *   Judge        right witness + left witness
+ *   Reconciler   Judge + first Mother
+ *
+ * Adding two figures adds their points row by row: odd + odd and
+ * even + even give two points, odd + even gives one.
+ */
+
+import { RngWithIntention } from './RngWithIntention.js';
+
+// Figure names by row pattern, head to feet (1 = one point, 2 = two points)
+const FIGURE_NAMES = {
+  '1111': 'Via',
+  '2222': 'Populus',
+  '2112': 'Conjunctio',
+  '1221': 'Carcer',
+  '2211': 'Fortuna Major',
+  '1122': 'Fortuna Minor',
+  '2121': 'Acquisitio',
+  '1212': 'Amissio',
+  '1222': 'Laetitia',
+  '2221': 'Tristitia',
+  '1211': 'Puella',
+  '1121': 'Puer',
+  '2122': 'Rubeus',
+  '2212': 'Albus',
+  '2111': 'Caput Draconis',
+  '1112': 'Cauda Draconis'
+};
+
+/**
+ * Describe a figure from its rows
+ * @param {number[]} rows - Four rows, head to feet, each 1 or 2 points
+ * @returns {Object} { name, rows, points }
+ */
+export function describeFigure(rows) {
+  return {
+    name: FIGURE_NAMES[rows.join('')],
+    rows: [...rows],
+    points: rows.reduce((sum, row) => sum + row, 0)
+  };
+}
+
+/**
+ * Add two figures row by row
+ * @param {Object} a - Figure { rows }
+ * @param {Object} b - Figure { rows }
+ * @returns {Object} The resulting figure
+ */
+export function addFigures(a, b) {
+  return describeFigure(a.rows.map((row, i) => ((row + b.rows[i]) % 2 === 0 ? 2 : 1)));
+}
+
+/**
+ * Cast a geomantic chart seeded by intention
+ *
+ * The Mothers' 16 rows are read as 16 bits from one captured moment, first
+ * Mother's head first; a set bit is one point.
+ *
+ * @param {string} intention - The question or focus
+ * @param {Object} options - Casting options
+ * @param {RngWithIntention} options.rng - Generator to cast with (default: new RngWithIntention())
+ * @returns {Promise<Object>} { mothers, daughters, nieces, witnesses: { right, left }, judge, reconciler, houses, timestamp }
+ */
+export async function castGeomancy(intention, options = {}) {
+  const { rng = new RngWithIntention() } = options;
+  const stream = await rng.createStream(intention);
+  const bytes = await stream.nextBytes(2);
+  const bits = ((bytes[0] << 8) | bytes[1]).toString(2).padStart(16, '0');
+
+  const mothers = [0, 1, 2, 3].map(m =>
+    describeFigure([0, 1, 2, 3].map(row => (bits[m * 4 + row] === '1' ? 1 : 2)))
+  );
+  const daughters = [0, 1, 2, 3].map(d =>
+    describeFigure(mothers.map(mother => mother.rows[d]))
+  );
+  const nieces = [
+    addFigures(mothers[0], mothers[1]),
+    addFigures(mothers[2], mothers[3]),
+    addFigures(daughters[0], daughters[1]),
+    addFigures(daughters[2], daughters[3])
+  ];
+  const right = addFigures(nieces[0], nieces[1]);
+  const left = addFigures(nieces[2], nieces[3]);
+  const judge = addFigures(right, left);
+
+  // The shield's first twelve figures fill the twelve houses in order
+  const houses = [...mothers, ...daughters, ...nieces].map((figure, i) => ({ house: i + 1, figure }));
+
+  return {
+    mothers,
+    daughters,
+    nieces,
+    witnesses: { right, left },
+    judge,
+    reconciler: addFigures(judge, mothers[0]),
+    houses,
+    timestamp: stream.timestamp
+  };
+}
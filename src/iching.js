@@ -0,0 +1,120 @@
+/**
+ * I Ching hexagram casting
+ *
+ * Lines are cast bottom to top and take the traditional values:
+ *   6 - old yin (changing)    7 - young yang
+ *   8 - young yin             9 - old yang (changing)
+ *
+ * The two methods give moving lines with different probabilities:
+ *   coins  (three coins, heads 3 / tails 2):  6: 1/8   7: 3/8   8: 3/8   9: 1/8
+ *   yarrow (stalk procedure):                 6: 1/16  7: 5/16  8: 7/16  9: 3/16
+ */
+
+import { RngWithIntention } from './RngWithIntention.js';
+
+/**
+ * Casting methods: each draws one of `outcomes` equally likely outcomes and
+ * maps it to a line value
+ */
+export const CASTING_METHODS = {
+  coins: {
+    // Three coins as three bits; heads (1) counts 3, tails (0) counts 2
+    outcomes: 8,
+    toLine: outcome => [0, 1, 2].reduce((sum, bit) => sum + ((outcome >> bit) & 1 ? 3 : 2), 0)
+  },
+  yarrow: {
+    // Sixteen outcomes split 1 / 5 / 7 / 3, matching the stalk probabilities
+    outcomes: 16,
+    toLine: outcome => outcome < 1 ? 6 : outcome < 6 ? 7 : outcome < 13 ? 8 : 9
+  }
+};
+
+// Trigrams by line pattern, bottom line first (1 = yang)
+const TRIGRAMS = {
+  '111': 'qian',
+  '100': 'zhen',
+  '010': 'kan',
+  '001': 'gen',
+  '000': 'kun',
+  '011': 'xun',
+  '101': 'li',
+  '110': 'dui'
+};
+
+const TRIGRAM_ORDER = ['qian', 'zhen', 'kan', 'gen', 'kun', 'xun', 'li', 'dui'];
+
+// King Wen numbers: rows are the upper trigram, columns the lower, both in TRIGRAM_ORDER
+const KING_WEN = [
+  [1, 25, 6, 33, 12, 44, 13, 10],
+  [34, 51, 40, 62, 16, 32, 55, 54],
+  [5, 3, 29, 39, 8, 48, 63, 60],
+  [26, 27, 4, 52, 23, 18, 22, 41],
+  [11, 24, 7, 15, 2, 46, 36, 19],
+  [9, 42, 59, 53, 20, 57, 37, 61],
+  [14, 21, 64, 56, 35, 50, 30, 38],
+  [43, 17, 47, 31, 45, 28, 49, 58]
+];
+
+/**
+ * Describe a hexagram from its six lines
+ * @param {boolean[]} yang - Six lines, bottom to top, true for yang
+ * @returns {Object} { number, lower, upper, lines }
+ */
+export function describeHexagram(yang) {
+  const pattern = yang.map(line => (line ? '1' : '0')).join('');
+  const lower = TRIGRAMS[pattern.slice(0, 3)];
+  const upper = TRIGRAMS[pattern.slice(3)];
+
+  return {
+    number: KING_WEN[TRIGRAM_ORDER.indexOf(upper)][TRIGRAM_ORDER.indexOf(lower)],
+    lower,
+    upper,
+    lines: pattern
+  };
+}
+
+/**
+ * Cast a hexagram seeded by intention
+ *
+ * All six lines come from one captured moment.
+ *
+ * @param {string} intention - The question or focus
+ * @param {Object} options - Casting options
+ * @param {string} options.method - 'coins' (default) or 'yarrow'
+ * @param {RngWithIntention} options.rng - Generator to cast with (default: new RngWithIntention())
+ * @returns {Promise<Object>} { method, lines, changingLines, primary, relating, timestamp }
+ */
+export async function castHexagram(intention, options = {}) {
+  const { method = 'coins', rng = new RngWithIntention() } = options;
+
+  if (!Object.hasOwn(CASTING_METHODS, method)) {
+    throw new Error(`Unknown casting method: ${method} (use 'coins' or 'yarrow')`);
+  }
+
+  const casting = CASTING_METHODS[method];
+  const stream = await rng.createStream(intention);
+  const lines = [];
+
+  for (let i = 0; i < 6; i++) {
+    lines.push(casting.toLine(await stream.nextIndex(casting.outcomes)));
+  }
+
+  // Positions are numbered 1 (bottom) to 6 (top), as in the texts
+  const changingLines = lines
+    .map((line, i) => (line === 6 || line === 9 ? i + 1 : null))
+    .filter(position => position !== null);
+
+  const primary = describeHexagram(lines.map(line => line === 7 || line === 9));
+  const relating = changingLines.length > 0
+    ? describeHexagram(lines.map(line => line === 7 || line === 6))
+    : null;
+
+  return {
+    method,
+    lines,
+    changingLines,
+    primary,
+    relating,
+    timestamp: stream.timestamp
+  };
+}
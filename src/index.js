@@ -1 +1,15 @@
 export { RngWithIntention } from './RngWithIntention.js';
+export { IntentionStream } from './IntentionStream.js';
+export { IntentionSession } from './IntentionSession.js';
+export { verify } from './receipt.js';
+export { Deck } from './Deck.js';
+export { DECK_PRESETS } from './presets.js';
+export { Spread, BUILT_IN_SPREADS } from './Spread.js';
+export { castHexagram } from './iching.js';
+export { roll } from './dice.js';
+export { WeightedTable } from './weighted.js';
+export { castGeomancy } from './geomancy.js';
+export { shuffleDeck } from './physical-shuffle.js';
+export { DeckSession } from './DeckSession.js';
+export { generateSecret, exportSecret, importSecret } from './secret.js';
+export { registerBackend, getBackendInfo, onBackendEvent } from './backends.js';
@@ -0,0 +1,151 @@
+/**
+ * Physical shuffle simulation
+ *
+ * Models the ways people shuffle real cards, step by step, so a UI can
+ * animate each pass. Orders list original card indices from the top of the
+ * deck down.
+ *
+ *   riffle    Gilbert–Shannon–Reeds: cut at a Binomial(n, 1/2) position,
+ *             then drop cards from either half with probability
+ *             proportional to the cards left in it
+ *   overhand  Each gap between cards breaks with probability 1/8; the
+ *             packets are moved across one at a time, reversing their order
+ *   cut       Move the top Binomial(n, 1/2) cards to the bottom
+ *
+ * Unlike drawMultiple(), a few physical shuffles are not uniform. For a
+ * 52-card deck, seven riffles bring the total variation distance from
+ * uniform to about 0.33 and ten to about 0.04; in general about
+ * (3/2) log2(n) riffles are needed. Overhand shuffles mix far more slowly,
+ * needing thousands of passes for 52 cards.
+ */
+
+import { RngWithIntention } from './RngWithIntention.js';
+import { uniformIndex } from './sampling.js';
+
+// Seven riffles and a cut: the usual recommendation for a 52-card deck
+export const DEFAULT_SHUFFLE = Object.freeze([
+  'riffle', 'riffle', 'riffle', 'riffle', 'riffle', 'riffle', 'riffle', 'cut'
+]);
+
+// An overhand packet ends after each card with this chance, 1 / OVERHAND_BREAK
+const OVERHAND_BREAK = 8;
+
+/**
+ * Count heads in n fair coin flips
+ * @param {function(number): Promise<Uint8Array>} readBytes - Byte source
+ * @param {number} n - Number of flips
+ * @returns {Promise<number>} Binomial(n, 1/2) value
+ */
+async function binomialHalf(readBytes, n) {
+  const bytes = await readBytes(Math.ceil(n / 8));
+  let heads = 0;
+  for (let i = 0; i < n; i++) {
+    heads += (bytes[i >> 3] >> (7 - (i & 7))) & 1;
+  }
+  return heads;
+}
+
+/**
+ * Riffle shuffle (Gilbert–Shannon–Reeds model)
+ * @param {function(number): Promise<Uint8Array>} readBytes - Byte source
+ * @param {number[]} order - Deck order, top first
+ * @returns {Promise<Object>} { order, cut } where cut is the size of the top half
+ */
+export async function riffle(readBytes, order) {
+  const cut = await binomialHalf(readBytes, order.length);
+  const top = order.slice(0, cut);
+  const bottom = order.slice(cut);
+  const riffled = [];
+
+  while (top.length > 0 && bottom.length > 0) {
+    // Drop from a half with probability proportional to its size
+    const fromTop = await uniformIndex(readBytes, top.length + bottom.length) < top.length;
+    riffled.push(fromTop ? top.shift() : bottom.shift());
+  }
+
+  return { order: [...riffled, ...top, ...bottom], cut };
+}
+
+/**
+ * Overhand shuffle: packets from the top are moved across in reverse order
+ * @param {function(number): Promise<Uint8Array>} readBytes - Byte source
+ * @param {number[]} order - Deck order, top first
+ * @returns {Promise<Object>} { order, packets } where packets is the number of packets moved
+ */
+export async function overhand(readBytes, order) {
+  const packets = [];
+  let packet = [];
+
+  for (let i = 0; i < order.length; i++) {
+    packet.push(order[i]);
+    const last = i === order.length - 1;
+    if (last || await uniformIndex(readBytes, OVERHAND_BREAK) === 0) {
+      packets.push(packet);
+      packet = [];
+    }
+  }
+
+  return { order: packets.reverse().flat(), packets: packets.length };
+}
+
+/**
+ * Cut the deck: move the top part to the bottom
+ * @param {function(number): Promise<Uint8Array>} readBytes - Byte source
+ * @param {number[]} order - Deck order, top first
+ * @returns {Promise<Object>} { order, cut } where cut is the number of cards moved
+ */
+export async function cut(readBytes, order) {
+  const at = await binomialHalf(readBytes, order.length);
+  return { order: [...order.slice(at), ...order.slice(0, at)], cut: at };
+}
+
+const SHUFFLE_STEPS = { riffle, overhand, cut };
+
+/**
+ * Shuffle a deck by hand, seeded by intention
+ *
+ * All steps read from one captured moment. Each entry in `steps` records
+ * the order after that step, so a UI can animate the shuffle; the final
+ * order can be dealt from the top like drawMultiple()'s indices.
+ *
+ * @param {string} intention - The user's intention
+ * @param {number} deckSize - Number of cards, starting in order 0 to deckSize-1
+ * @param {string[]} steps - 'riffle', 'overhand' or 'cut', in order (default: seven riffles and a cut)
+ * @param {Object} options - Shuffle options
+ * @param {RngWithIntention} options.rng - Generator to shuffle with (default: new RngWithIntention())
+ * @returns {Promise<Object>} { order: number[], steps: [{ type, order, cut?, packets? }], timestamp }
+ */
+export async function shuffleDeck(intention, deckSize, steps = DEFAULT_SHUFFLE, options = {}) {
+  if (!Number.isSafeInteger(deckSize) || deckSize <= 0) {
+    throw new Error('Deck size must be a positive integer');
+  }
+
+  if (!Array.isArray(steps)) {
+    throw new Error('Shuffle steps must be an array');
+  }
+
+  steps.forEach(step => {
+    if (!Object.hasOwn(SHUFFLE_STEPS, step)) {
+      throw new Error(`Unknown shuffle step: ${step} (use 'riffle', 'overhand' or 'cut')`);
+    }
+  });
+
+  const { rng = new RngWithIntention() } = options;
+  const stream = await rng.createStream(intention);
+  const readBytes = size => stream.nextBytes(size);
+
+  let order = Array.from({ length: deckSize }, (_, i) => i);
+  const recorded = [];
+
+  for (const type of steps) {
+    const step = await SHUFFLE_STEPS[type](readBytes, order);
+    order = step.order;
+    recorded.push({ type, ...step });
+  }
+
+  return {
+    order,
+    steps: recorded,
+    timestamp: stream.timestamp
+  };
+}
@@ -0,0 +1,118 @@
+/**
+ * Built-in deck presets
+ *
+ * Each preset is a list of card objects with a unique `id`, a `name`, and
+ * metadata for the tradition. Cards are listed in their conventional order,
+ * so a card's position matches the index returned by draw().
+ */
+
+const MAJOR_ARCANA_NAMES = [
+  'The Fool', 'The Magician', 'The High Priestess', 'The Empress',
+  'The Emperor', 'The Hierophant', 'The Lovers', 'The Chariot',
+  'Strength', 'The Hermit', 'Wheel of Fortune', 'Justice',
+  'The Hanged Man', 'Death', 'Temperance', 'The Devil',
+  'The Tower', 'The Star', 'The Moon', 'The Sun',
+  'Judgement', 'The World'
+];
+
+const MINOR_SUITS = ['Wands', 'Cups', 'Swords', 'Pentacles'];
+
+const MINOR_RANKS = [
+  'Ace', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven',
+  'Eight', 'Nine', 'Ten', 'Page', 'Knight', 'Queen', 'King'
+];
+
+const LENORMAND_NAMES = [
+  'Rider', 'Clover', 'Ship', 'House', 'Tree', 'Clouds',
+  'Snake', 'Coffin', 'Bouquet', 'Scythe', 'Whip', 'Birds',
+  'Child', 'Fox', 'Bear', 'Stars', 'Stork', 'Dog',
+  'Tower', 'Garden', 'Mountain', 'Crossroads', 'Mice', 'Heart',
+  'Ring', 'Book', 'Letter', 'Gentleman', 'Lady', 'Lily',
+  'Sun', 'Moon', 'Key', 'Fish', 'Anchor', 'Cross'
+];
+
+const ELDER_FUTHARK = [
+  ['Fehu', 'ᚠ'], ['Uruz', 'ᚢ'], ['Thurisaz', 'ᚦ'], ['Ansuz', 'ᚨ'],
+  ['Raidho', 'ᚱ'], ['Kenaz', 'ᚲ'], ['Gebo', 'ᚷ'], ['Wunjo', 'ᚹ'],
+  ['Hagalaz', 'ᚺ'], ['Nauthiz', 'ᚾ'], ['Isa', 'ᛁ'], ['Jera', 'ᛃ'],
+  ['Eihwaz', 'ᛇ'], ['Perthro', 'ᛈ'], ['Algiz', 'ᛉ'], ['Sowilo', 'ᛊ'],
+  ['Tiwaz', 'ᛏ'], ['Berkano', 'ᛒ'], ['Ehwaz', 'ᛖ'], ['Mannaz', 'ᛗ'],
+  ['Laguz', 'ᛚ'], ['Ingwaz', 'ᛜ'], ['Dagaz', 'ᛞ'], ['Othala', 'ᛟ']
+];
+
+const AETTIR = ["Freyr's", "Heimdall's", "Tyr's"];
+
+/**
+ * Turn a card name into an id ("The High Priestess" -> "the-high-priestess")
+ * @param {string} name - Card name
+ * @returns {string}
+ */
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * The 22 Major Arcana, numbered 0 (The Fool) to 21 (The World)
+ * @returns {Object[]}
+ */
+function majorArcana() {
+  return MAJOR_ARCANA_NAMES.map((name, number) => ({
+    id: slugify(name),
+    name,
+    arcana: 'major',
+    number
+  }));
+}
+
+/**
+ * The full 78-card Rider–Waite deck: Major Arcana, then Wands, Cups,
+ * Swords and Pentacles from Ace to King
+ * @returns {Object[]}
+ */
+function riderWaite() {
+  const minors = MINOR_SUITS.flatMap(suit => MINOR_RANKS.map((rank, i) => ({
+    id: slugify(`${rank} of ${suit}`),
+    name: `${rank} of ${suit}`,
+    arcana: 'minor',
+    suit: suit.toLowerCase(),
+    rank: rank.toLowerCase(),
+    number: i + 1
+  })));
+  return [...majorArcana(), ...minors];
+}
+
+/**
+ * The 36-card Petit Lenormand, numbered 1 (Rider) to 36 (Cross)
+ * @returns {Object[]}
+ */
+function lenormand() {
+  return LENORMAND_NAMES.map((name, i) => ({
+    id: slugify(name),
+    name,
+    number: i + 1
+  }));
+}
+
+/**
+ * The 24 runes of the Elder Futhark, in three aettir of eight
+ * @returns {Object[]}
+ */
+function elderFuthark() {
+  return ELDER_FUTHARK.map(([name, symbol], i) => ({
+    id: slugify(name),
+    name,
+    symbol,
+    aett: AETTIR[Math.floor(i / 8)],
+    number: i + 1
+  }));
+}
+
+/**
+ * Preset name -> card factory (a fresh array each call)
+ */
+export const DECK_PRESETS = {
+  'rider-waite': riderWaite,
+  'major-arcana': majorArcana,
+  'lenormand': lenormand,
+  'elder-futhark': elderFuthark
+};
@@ -0,0 +1,132 @@
+/**
+ * Result readers
+ *
+ * Each public draw method reads its result from an IntentionStream in a
+ * fixed order. Keeping those reads here, keyed by method name, means a
+ * receipt can be replayed by exactly the code that produced it.
+ */
+
+/**
+ * Read an orientation for each drawn value, if reversals are enabled
+ * @param {IntentionStream} stream - Stream to read from
+ * @param {number} count - Number of values drawn
+ * @param {number|null} reversalProbability - Chance of a reversal, or null for none
+ * @returns {Promise<boolean[]|null>}
+ */
+async function readReversals(stream, count, reversalProbability) {
+  if (reversalProbability == null) {
+    return null;
+  }
+
+  const reversed = [];
+  for (let i = 0; i < count; i++) {
+    reversed.push(await stream.nextBoolean(reversalProbability));
+  }
+  return reversed;
+}
+
+/**
+ * Synchronous readReversals()
+ * @param {IntentionStream} stream - Stream to read from
+ * @param {number} count - Number of values drawn
+ * @param {number|null} reversalProbability - Chance of a reversal, or null for none
+ * @returns {boolean[]|null}
+ */
+function readReversalsSync(stream, count, reversalProbability) {
+  if (reversalProbability == null) {
+    return null;
+  }
+
+  return Array.from({ length: count }, () => stream.nextBooleanSync(reversalProbability));
+}
+
+/**
+ * Method name -> function(stream, params) returning { result, reversed? }
+ */
+export const READERS = {
+  async draw(stream, { max, reversalProbability }) {
+    const result = await stream.nextIndex(max);
+    const reversed = await readReversals(stream, 1, reversalProbability);
+    return reversed ? { result, reversed: reversed[0] } : { result };
+  },
+
+  async drawMultiple(stream, { max, count, allowDuplicates, reversalProbability }) {
+    const result = await stream.nextIndices(max, count, allowDuplicates);
+    const reversed = await readReversals(stream, count, reversalProbability);
+    return reversed ? { result, reversed } : { result };
+  },
+
+  async drawWeighted(stream, { weights, reversalProbability }) {
+    const result = await stream.nextWeighted(weights);
+    const reversed = await readReversals(stream, 1, reversalProbability);
+    return reversed ? { result, reversed: reversed[0] } : { result };
+  },
+
+  async drawFloat(stream) {
+    return { result: await stream.nextFloat() };
+  },
+
+  async drawRange(stream, { min, max }) {
+    return { result: await stream.nextRange(min, max) };
+  },
+
+  async drawNormal(stream, { mean, stdDev }) {
+    return { result: await stream.nextNormal(mean, stdDev) };
+  },
+
+  async drawExponential(stream, { rate }) {
+    return { result: await stream.nextExponential(rate) };
+  }
+};
+
+/**
+ * Synchronous readers, reading exactly what the async reader of the same name reads
+ */
+export const SYNC_READERS = {
+  draw(stream, { max, reversalProbability }) {
+    const result = stream.nextIndexSync(max);
+    const reversed = readReversalsSync(stream, 1, reversalProbability);
+    return reversed ? { result, reversed: reversed[0] } : { result };
+  },
+
+  drawMultiple(stream, { max, count, allowDuplicates, reversalProbability }) {
+    const result = stream.nextIndicesSync(max, count, allowDuplicates);
+    const reversed = readReversalsSync(stream, count, reversalProbability);
+    return reversed ? { result, reversed } : { result };
+  }
+};
+
+/**
+ * Methods whose results are cards, and so can be reversed
+ */
+export const ORIENTED_METHODS = new Set(['draw', 'drawMultiple', 'drawWeighted']);
+
+/**
+ * Read the result of a draw method from a stream
+ * @param {IntentionStream} stream - Stream seeded for the draw
+ * @param {string} method - Public method name
+ * @param {Object} params - Draw parameters
+ * @returns {Promise<Object>} { result, reversed? }
+ */
+export function readResult(stream, method, params) {
+  const reader = READERS[method];
+  if (!reader) {
+    throw new Error(`Unknown draw method: ${method}`);
+  }
+  return reader(stream, params);
+}
+
+/**
+ * Read the result of a draw method from a stream, synchronously
+ * @param {IntentionStream} stream - Stream seeded for the draw
+ * @param {string} method - Public method name with a synchronous reader
+ * @param {Object} params - Draw parameters
+ * @returns {Object} { result, reversed? }
+ */
+export function readResultSync(stream, method, params) {
+  const reader = SYNC_READERS[method];
+  if (!reader) {
+    throw new Error(`No synchronous reader for draw method: ${method}`);
+  }
+  return reader(stream, params);
+}
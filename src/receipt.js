@@ -0,0 +1,247 @@
+/**
+ * Verifiable draw receipts
+ *
+ * A receipt lets anyone who knows the intention replay a draw. Before the
+ * result is computed, the moment (timestamp and entropy) is committed to
+ * with a hash that can be published; afterwards the receipt reveals the
+ * moment itself, so a verifier can check the commitment and recompute the
+ * result. Receipts never contain the intention.
+ */
+
+import { sha256, sha256Sync, bytesToHex } from './crypto-polyfill.js';
+import { assertValidIntention, buildSeed, resolveNormalization } from './seed.js';
+import { resolveSecret } from './secret.js';
+import { IntentionStream } from './IntentionStream.js';
+import { READERS, readResult } from './readers.js';
+
+export const RECEIPT_VERSION = 1;
+
+// Seed hash, counter-mode expansion, rejection sampling
+export const RECEIPT_ALGORITHM = 'sha256-ctr-rejection';
+
+/**
+ * Hash a captured moment into a commitment
+ * @param {Object} moment - Captured moment { timestamp, window?, hrtime?, entropy, gesture? }
+ * @param {string|Object} backend - Crypto backend (default: 'auto')
+ * @returns {Promise<string>} Commitment as a hex string
+ */
+export async function commitToMoment(moment, backend = 'auto') {
+  return bytesToHex(await sha256(commitmentData(moment), backend));
+}
+
+/**
+ * Synchronous commitToMoment(), once the crypto backend is loaded
+ * @param {Object} moment - Captured moment { timestamp, window?, hrtime?, entropy, gesture? }
+ * @param {string|Object} backend - Crypto backend, which must be synchronous (default: 'auto')
+ * @returns {string} Commitment as a hex string
+ */
+export function commitToMomentSync(moment, backend = 'auto') {
+  return bytesToHex(sha256Sync(commitmentData(moment), backend));
+}
+
+/**
+ * The string a moment's commitment hashes
+ * @param {Object} moment - Captured moment
+ * @returns {string}
+ */
+function commitmentData(moment) {
+  let data = `rngi-commit-v${RECEIPT_VERSION}::${moment.timestamp}::${moment.entropy || ''}`;
+  if (moment.gesture) {
+    data += `::${moment.gesture}`;
+  }
+  if (moment.hrtime) {
+    data += `::hrtime:${moment.hrtime}`;
+  }
+  if (moment.window) {
+    data += `::window:${moment.window.start}/${moment.window.end}`;
+  }
+  return data;
+}
+
+/**
+ * Encode a value for JSON, writing BigInts as decimal strings
+ * @param {number|bigint} value - Value to encode
+ * @returns {number|string}
+ */
+function encodeValue(value) {
+  return typeof value === 'bigint' ? value.toString() : value;
+}
+
+/**
+ * Encode a result (a value or an array of values) for JSON
+ * @param {*} result - Reader result
+ * @returns {*}
+ */
+function encodeResult(result) {
+  return Array.isArray(result) ? result.map(encodeValue) : encodeValue(result);
+}
+
+/**
+ * Record a normalization policy in a receipt
+ *
+ * Policy objects are stored as-is; a custom function can't be, so it is
+ * recorded as 'custom' and must be passed to verify() again.
+ *
+ * @param {Object|function} policy - Resolved normalization policy
+ * @returns {Object|string}
+ */
+function describeNormalization(policy) {
+  return typeof policy === 'function' ? 'custom' : { ...policy };
+}
+
+/**
+ * Assemble a receipt for a finished draw
+ * @param {Object} details - Draw details
+ * @param {string} details.method - Public draw method name, e.g. 'draw' or 'drawRange'
+ * @param {Object} details.params - Draw parameters, e.g. { max, count?, allowDuplicates? }
+ * @param {Object} details.moment - Captured moment { timestamp, window?, hrtime?, entropy, gesture? }
+ * @param {Object} details.options - Instance options used for the seed
+ * @param {string} details.commitment - Commitment published before the draw
+ * @param {Object} details.output - Reader output { result, reversed? }
+ * @returns {Object} JSON-safe receipt
+ */
+export function createReceipt({ method, params, moment, options, commitment, output }) {
+  const { result, reversed } = output;
+  const bigint = typeof params.max === 'bigint';
+
+  return {
+    version: RECEIPT_VERSION,
+    algorithm: RECEIPT_ALGORITHM,
+    method,
+    params: {
+      ...params,
+      max: encodeValue(params.max),
+      ...(params.weights ? { weights: params.weights.toJSON() } : {}),
+      ...(bigint ? { bigint: true } : {})
+    },
+    seed: {
+      includeTimestamp: options.includeTimestamp,
+      includeEntropy: options.includeEntropy,
+      ...(options.secret ? { sealed: true } : {}),
+      ...(options.normalizeIntention ? { normalizeIntention: describeNormalization(options.normalizeIntention) } : {})
+    },
+    timestamp: moment.timestamp,
+    ...(moment.window ? { window: { ...moment.window } } : {}),
+    ...(moment.hrtime ? { hrtime: moment.hrtime } : {}),
+    entropy: moment.entropy,
+    ...(moment.gesture ? { gesture: moment.gesture } : {}),
+    commitment,
+    result: encodeResult(result),
+    ...(reversed !== undefined ? { reversed } : {})
+  };
+}
+
+/**
+ * Whether a value is a plain (non-array) object
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Name the first receipt field verify() can't work from
+ * @param {Object} receipt - Receipt to check
+ * @returns {string|null} 'seed' or 'params', or null if both are usable
+ */
+function malformedField(receipt) {
+  const { seed, params } = receipt;
+  if (!isPlainObject(seed) || typeof seed.includeTimestamp !== 'boolean' || typeof seed.includeEntropy !== 'boolean') {
+    return 'seed';
+  }
+  return isPlainObject(params) ? null : 'params';
+}
+
+/**
+ * Verify a receipt against the intention it was drawn with
+ *
+ * Checks that the revealed moment matches the commitment, then rebuilds the
+ * seed and recomputes the result. Intentions are normalized with the policy
+ * recorded in the receipt; a custom normalizer must be passed again, as
+ * must the secret for a sealed draw.
+ *
+ * @param {Object} receipt - Receipt returned with a draw
+ * @param {string} intention - The intention used for the draw
+ * @param {Object} options - Verify options
+ * @param {function(string): string} options.normalizeIntention - The custom normalizer, if the draw used one
+ * @param {Uint8Array|ArrayBuffer|string} options.secret - The secret, if the draw was sealed with one
+ * @param {string|Object} options.backend - Crypto backend to recompute with (default: 'auto');
+ *   every backend gives the same result
+ * @returns {Promise<Object>} { valid: boolean, reason: string|null, result }
+ */
+export async function verify(receipt, intention, options = {}) {
+  if (!receipt || typeof receipt !== 'object') {
+    throw new Error('Receipt must be an object');
+  }
+
+  assertValidIntention(intention);
+
+  if (receipt.version !== RECEIPT_VERSION || receipt.algorithm !== RECEIPT_ALGORITHM) {
+    return { valid: false, reason: 'Unsupported receipt version or algorithm', result: null };
+  }
+
+  const malformed = malformedField(receipt);
+  if (malformed) {
+    return { valid: false, reason: `Receipt field '${malformed}' is missing or malformed`, result: null };
+  }
+
+  const moment = {
+    timestamp: receipt.timestamp,
+    window: receipt.window || null,
+    hrtime: receipt.hrtime || null,
+    entropy: receipt.entropy,
+    gesture: receipt.gesture || null
+  };
+
+  const backend = options.backend ?? 'auto';
+
+  if (await commitToMoment(moment, backend) !== receipt.commitment) {
+    return { valid: false, reason: 'Revealed moment does not match commitment', result: null };
+  }
+
+  let normalization = receipt.seed.normalizeIntention || null;
+  if (normalization === 'custom') {
+    if (typeof options.normalizeIntention !== 'function') {
+      return { valid: false, reason: 'Receipt used a custom intention normalizer; pass it to verify()', result: null };
+    }
+    normalization = options.normalizeIntention;
+  }
+
+  const secret = resolveSecret(options.secret);
+  if (receipt.seed.sealed && !secret) {
+    return { valid: false, reason: 'Receipt was sealed with a secret; pass it to verify()', result: null };
+  }
+
+  const { params } = receipt;
+  let max;
+  try {
+    max = params.bigint ? BigInt(params.max) : params.max;
+  } catch {
+    return { valid: false, reason: "Receipt field 'params' is missing or malformed", result: null };
+  }
+  const seedOptions = { ...receipt.seed, normalizeIntention: resolveNormalization(normalization) };
+  const stream = await IntentionStream.fromSeed(
+    buildSeed(intention, moment, seedOptions), moment.timestamp, receipt.seed.sealed ? secret : null, backend
+  );
+
+  if (!Object.hasOwn(READERS, receipt.method)) {
+    return { valid: false, reason: `Unknown draw method: ${receipt.method}`, result: null };
+  }
+
+  let output;
+  try {
+    output = await readResult(stream, receipt.method, { ...params, max });
+  } catch (err) {
+    // Draw parameters are validated as they are read
+    return { valid: false, reason: `Receipt field 'params' is malformed: ${err.message}`, result: null };
+  }
+  const result = encodeResult(output.result);
+
+  if (JSON.stringify(result) !== JSON.stringify(receipt.result) ||
+      JSON.stringify(output.reversed) !== JSON.stringify(receipt.reversed)) {
+    return { valid: false, reason: 'Recomputed result does not match receipt', result };
+  }
+
+  return { valid: true, reason: null, result };
+}
@@ -0,0 +1,248 @@
+/**
+ * Unbiased sampling from hash bytes
+ *
+ * Turning hash output into an index with `value % max` favours the low
+ * values whenever max doesn't divide the hash space evenly. These helpers
+ * use rejection sampling instead: read just enough bits to cover the range,
+ * and if the value lands outside it, read fresh bytes and try again.
+ *
+ * Ranges are handled with BigInt internally, so values beyond 2^32 (and
+ * beyond Number.MAX_SAFE_INTEGER when max is itself a BigInt) stay exact.
+ */
+
+/**
+ * Check that max describes a usable range
+ * Accepts a positive safe integer or a positive BigInt
+ * @param {number|bigint} max - Maximum value (exclusive)
+ * @throws {Error} If max is not a positive integer
+ */
+export function assertValidMax(max) {
+  if (typeof max === 'bigint') {
+    if (max <= 0n) {
+      throw new Error('Max must be a positive integer');
+    }
+    return;
+  }
+
+  if (!Number.isInteger(max) || max <= 0) {
+    throw new Error('Max must be a positive integer');
+  }
+
+  if (!Number.isSafeInteger(max)) {
+    throw new Error('Max above Number.MAX_SAFE_INTEGER must be passed as a BigInt');
+  }
+}
+
+/**
+ * Check that count values can be drawn from [0, max)
+ * @param {number} count - Number of values to draw
+ * @param {number|bigint} max - Maximum value (exclusive)
+ * @param {boolean} allowDuplicates - Whether values may repeat
+ * @throws {Error} If count is not a positive integer, or exceeds max for unique draws
+ */
+export function assertValidCount(count, max, allowDuplicates) {
+  if (!Number.isInteger(count) || count <= 0) {
+    throw new Error('Count must be a positive integer');
+  }
+
+  if (!allowDuplicates && count > max) {
+    throw new Error('Cannot draw more unique values than max allows');
+  }
+}
+
+/**
+ * Number of bits needed to write n in binary
+ * @param {bigint} n - Non-negative integer
+ * @returns {number} Bit length (0 for 0n)
+ */
+export function bitLength(n) {
+  return n === 0n ? 0 : n.toString(2).length;
+}
+
+/**
+ * Read bytes as a big-endian unsigned integer
+ * @param {Uint8Array} bytes - Bytes to read
+ * @returns {bigint} Unsigned integer value
+ */
+export function bytesToBigInt(bytes) {
+  let value = 0n;
+  for (const byte of bytes) {
+    value = (value << 8n) | BigInt(byte);
+  }
+  return value;
+}
+
+/**
+ * Run a sampling routine against an async byte source
+ *
+ * Routines are generators that yield the number of bytes they need and
+ * receive those bytes back, so one routine serves both the async and the
+ * synchronous draws and the two always consume bytes identically.
+ *
+ * @param {Generator} routine - Sampling routine
+ * @param {function(number): Promise<Uint8Array>} readBytes - Byte source
+ * @returns {Promise<*>} The routine's result
+ */
+export async function runRoutine(routine, readBytes) {
+  let step = routine.next();
+  while (!step.done) {
+    step = routine.next(await readBytes(step.value));
+  }
+  return step.value;
+}
+
+/**
+ * Run a sampling routine against a synchronous byte source
+ * @param {Generator} routine - Sampling routine
+ * @param {function(number): Uint8Array} readBytes - Byte source
+ * @returns {*} The routine's result
+ */
+export function runRoutineSync(routine, readBytes) {
+  let step = routine.next();
+  while (!step.done) {
+    step = routine.next(readBytes(step.value));
+  }
+  return step.value;
+}
+
+/**
+ * Rejection sampling routine for a uniform index in [0, max)
+ *
+ * Reads the smallest number of bytes that can hold max - 1, keeps only the
+ * bits that are needed, and rejects values >= max. Each attempt succeeds
+ * with probability > 1/2, so the expected number of reads is below two.
+ *
+ * @param {number|bigint} max - Maximum value (exclusive)
+ * @yields {number} Number of bytes needed
+ * @returns {number|bigint} Index, as a BigInt when max is a BigInt
+ */
+export function* uniformIndexRoutine(max) {
+  const range = BigInt(max);
+  const wrap = typeof max === 'bigint' ? (v => v) : Number;
+
+  if (range === 1n) {
+    return wrap(0n);
+  }
+
+  const bits = bitLength(range - 1n);
+  const byteCount = Math.ceil(bits / 8);
+  const excessBits = BigInt(byteCount * 8 - bits);
+
+  for (;;) {
+    const candidate = bytesToBigInt(yield byteCount) >> excessBits;
+    if (candidate < range) {
+      return wrap(candidate);
+    }
+  }
+}
+
+/**
+ * Fisher–Yates routine ordering [0, max)
+ * @param {number} max - Number of values to order
+ * @yields {number} Number of bytes needed
+ * @returns {number[]} Permutation of 0 to max-1
+ */
+function* shuffleRoutine(max) {
+  const order = Array.from({ length: max }, (_, i) => i);
+
+  for (let i = 0; i < max - 1; i++) {
+    const j = i + (yield* uniformIndexRoutine(max - i));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+
+  return order;
+}
+
+/**
+ * Partial Fisher–Yates routine picking count distinct values from [0, max)
+ * @param {number|bigint} max - Maximum value (exclusive)
+ * @param {number} count - Number of values to pick (at most max)
+ * @yields {number} Number of bytes needed
+ * @returns {Array<number|bigint>} Distinct values, BigInts when max is a BigInt
+ */
+function* sampleWithoutReplacementRoutine(max, count) {
+  const range = BigInt(max);
+  const wrap = typeof max === 'bigint' ? (v => v) : Number;
+  const swapped = new Map();
+  const picked = [];
+
+  for (let i = 0n; i < BigInt(count); i++) {
+    const j = i + (yield* uniformIndexRoutine(range - i));
+    const atJ = swapped.has(j) ? swapped.get(j) : j;
+    const atI = swapped.has(i) ? swapped.get(i) : i;
+    swapped.set(j, atI);
+    picked.push(wrap(atJ));
+  }
+
+  return picked;
+}
+
+/**
+ * Pick a uniformly distributed index in [0, max) using rejection sampling
+ * @param {function(number): Promise<Uint8Array>} readBytes - Byte source
+ * @param {number|bigint} max - Maximum value (exclusive)
+ * @returns {Promise<number|bigint>} Index, as a BigInt when max is a BigInt
+ */
+export function uniformIndex(readBytes, max) {
+  return runRoutine(uniformIndexRoutine(max), readBytes);
+}
+
+/**
+ * Synchronous uniformIndex()
+ * @param {function(number): Uint8Array} readBytes - Byte source
+ * @param {number|bigint} max - Maximum value (exclusive)
+ * @returns {number|bigint}
+ */
+export function uniformIndexSync(readBytes, max) {
+  return runRoutineSync(uniformIndexRoutine(max), readBytes);
+}
+
+/**
+ * Shuffle [0, max) into a uniformly random order (Fisher–Yates)
+ *
+ * Every one of the max! orders is equally likely, given unbiased bytes.
+ *
+ * @param {function(number): Promise<Uint8Array>} readBytes - Byte source
+ * @param {number} max - Number of values to order
+ * @returns {Promise<number[]>} Permutation of 0 to max-1
+ */
+export function shuffle(readBytes, max) {
+  return runRoutine(shuffleRoutine(max), readBytes);
+}
+
+/**
+ * Synchronous shuffle()
+ * @param {function(number): Uint8Array} readBytes - Byte source
+ * @param {number} max - Number of values to order
+ * @returns {number[]}
+ */
+export function shuffleSync(readBytes, max) {
+  return runRoutineSync(shuffleRoutine(max), readBytes);
+}
+
+/**
+ * Pick count distinct values from [0, max), in draw order
+ *
+ * A partial Fisher–Yates shuffle that only records the positions it has
+ * swapped, so drawing a few values from a huge range (even a BigInt one)
+ * costs count samples rather than max. Never returns duplicates.
+ *
+ * @param {function(number): Promise<Uint8Array>} readBytes - Byte source
+ * @param {number|bigint} max - Maximum value (exclusive)
+ * @param {number} count - Number of values to pick (at most max)
+ * @returns {Promise<Array<number|bigint>>} Distinct values, BigInts when max is a BigInt
+ */
+export function sampleWithoutReplacement(readBytes, max, count) {
+  return runRoutine(sampleWithoutReplacementRoutine(max, count), readBytes);
+}
+
+/**
+ * Synchronous sampleWithoutReplacement()
+ * @param {function(number): Uint8Array} readBytes - Byte source
+ * @param {number|bigint} max - Maximum value (exclusive)
+ * @param {number} count - Number of values to pick (at most max)
+ * @returns {Array<number|bigint>}
+ */
+export function sampleWithoutReplacementSync(readBytes, max, count) {
+  return runRoutineSync(sampleWithoutReplacementRoutine(max, count), readBytes);
+}
@@ -0,0 +1,89 @@
+/**
+ * Secrets for sealed seeds
+ *
+ * Without a secret the seed is hashed with plain SHA-256, so when the
+ * timestamp and entropy are known (or left out), anyone who sees a shared
+ * result can try likely intentions until one reproduces it. A secret turns
+ * the hash into HMAC-SHA-256 keyed by the user's secret, so results can be
+ * shared without revealing what was asked.
+ *
+ * Generated secrets are 32 random bytes. A passphrase is used as its UTF-8
+ * bytes; it only protects as well as it is hard to guess.
+ */
+
+import { randomBytes, bytesToHex, hexToBytes } from './crypto-polyfill.js';
+
+// Bytes in a generated secret: 256 bits, matching SHA-256
+export const SECRET_BYTES = 32;
+
+/**
+ * Convert a secret option to key bytes
+ * @param {Uint8Array|ArrayBuffer|string|null} secret - Secret bytes or a passphrase
+ * @returns {Uint8Array|null} Key bytes, or null for no secret
+ * @throws {Error} If the secret is empty or not bytes or a string
+ */
+export function resolveSecret(secret) {
+  if (secret == null) {
+    return null;
+  }
+
+  let bytes;
+
+  if (typeof secret === 'string') {
+    bytes = new TextEncoder().encode(secret);
+  } else if (secret instanceof ArrayBuffer) {
+    bytes = new Uint8Array(secret);
+  } else if (ArrayBuffer.isView(secret)) {
+    bytes = new Uint8Array(secret.buffer, secret.byteOffset, secret.byteLength);
+  } else {
+    throw new Error('secret must be a Uint8Array, ArrayBuffer or passphrase string');
+  }
+
+  if (bytes.length === 0) {
+    throw new Error('secret must not be empty');
+  }
+
+  // Copy, so later changes to the caller's buffer don't change the key
+  return Uint8Array.from(bytes);
+}
+
+/**
+ * Generate a random secret
+ * @param {number} size - Number of bytes (default: 32)
+ * @returns {Promise<Uint8Array>}
+ */
+export async function generateSecret(size = SECRET_BYTES) {
+  if (!Number.isInteger(size) || size < 16) {
+    throw new Error('Secret size must be an integer of at least 16 bytes');
+  }
+
+  return Uint8Array.from(await randomBytes(size));
+}
+
+/**
+ * Export a secret as a hex string for storage or backup
+ * @param {Uint8Array|ArrayBuffer|string} secret - Secret bytes or a passphrase
+ * @returns {string} Hex string
+ * @throws {Error} If there is no secret
+ */
+export function exportSecret(secret) {
+  const bytes = resolveSecret(secret);
+  if (!bytes) {
+    throw new Error('No secret to export');
+  }
+  return bytesToHex(bytes);
+}
+
+/**
+ * Import a secret exported with exportSecret()
+ * @param {string} hex - Hex string
+ * @returns {Uint8Array} Secret bytes
+ * @throws {Error} If the string is not a hex-encoded secret
+ */
+export function importSecret(hex) {
+  const bytes = hexToBytes(hex);
+  if (bytes.length === 0) {
+    throw new Error('secret must not be empty');
+  }
+  return bytes;
+}
@@ -0,0 +1,322 @@
+/**
+ * Seed construction
+ *
+ * A seed joins the intention with the components of a captured moment.
+ * Drawing and verifying both build seeds here, so a receipt can always be
+ * replayed into exactly the seed that produced it.
+ */
+
+import { randomBytes, randomBytesSync, bytesToHex } from './crypto-polyfill.js';
+import { windowAt } from './windows.js';
+
+// Bytes of system entropy captured per moment
+export const ENTROPY_BYTES = 16;
+
+// Custom entropy sources may return between 1 and this many bytes
+export const MAX_CUSTOM_ENTROPY_BYTES = 1024;
+
+const NORMALIZATION_FORMS = ['NFC', 'NFKC', 'NFD', 'NFKD'];
+const WHITESPACE_MODES = ['collapse', 'trim', 'preserve'];
+
+/**
+ * Read the time from the configured clock
+ * @param {function(): (Date|number)} clock - Returns a Date or epoch milliseconds
+ * @returns {Date}
+ * @throws {Error} If the clock returns anything else
+ */
+function readClock(clock) {
+  const value = clock();
+  const date = value instanceof Date ? value : new Date(value);
+
+  if ((typeof value !== 'number' && !(value instanceof Date)) || Number.isNaN(date.getTime())) {
+    throw new Error('Clock must return a valid Date or a finite number of milliseconds');
+  }
+
+  return date;
+}
+
+/**
+ * Parse an explicit moment
+ * @param {Date|string|number} value - A Date, an ISO 8601 string or epoch milliseconds
+ * @returns {Date}
+ * @throws {Error} If the value is not a valid moment
+ */
+export function parseMoment(value) {
+  const valid = value instanceof Date || typeof value === 'string' || Number.isFinite(value);
+  const date = valid ? new Date(value instanceof Date ? value.getTime() : value) : null;
+
+  if (!date || Number.isNaN(date.getTime())) {
+    throw new Error('Moment must be a valid Date, ISO 8601 string or number of milliseconds');
+  }
+
+  return date;
+}
+
+/**
+ * Read the high-resolution monotonic clock
+ *
+ * Uses process.hrtime.bigint() where it exists, otherwise performance.now().
+ * The value counts nanoseconds from an arbitrary origin, so it orders and
+ * separates draws within the same millisecond but is not a wall-clock time.
+ *
+ * @returns {string|null} Nanoseconds as a decimal string, or null if neither clock exists
+ */
+function readHighResolutionTime() {
+  if (typeof process !== 'undefined' && process.hrtime && typeof process.hrtime.bigint === 'function') {
+    return process.hrtime.bigint().toString();
+  }
+
+  if (typeof performance !== 'undefined' && typeof performance.now === 'function') {
+    return Math.round(performance.now() * 1e6).toString();
+  }
+
+  return null;
+}
+
+/**
+ * Convert entropy source output to bytes
+ * @param {*} value - Output of an entropy source
+ * @returns {Uint8Array}
+ * @throws {Error} If the output is not 1 to MAX_CUSTOM_ENTROPY_BYTES bytes
+ */
+function toEntropyBytes(value) {
+  let bytes;
+
+  if (value instanceof Uint8Array) {
+    bytes = value;
+  } else if (value instanceof ArrayBuffer) {
+    bytes = new Uint8Array(value);
+  } else if (ArrayBuffer.isView(value)) {
+    bytes = new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+  } else if (Array.isArray(value) && value.every(b => Number.isInteger(b) && b >= 0 && b <= 255)) {
+    bytes = Uint8Array.from(value);
+  } else {
+    throw new Error('Entropy source must return a Uint8Array, ArrayBuffer or array of bytes');
+  }
+
+  if (bytes.length === 0 || bytes.length > MAX_CUSTOM_ENTROPY_BYTES) {
+    throw new Error(`Entropy source must return between 1 and ${MAX_CUSTOM_ENTROPY_BYTES} bytes`);
+  }
+
+  return bytes;
+}
+
+/**
+ * Gather entropy from the configured source, or from the system
+ * @param {Object} options - Instance options
+ * @returns {Promise<Uint8Array>}
+ */
+async function gatherEntropy(options) {
+  if (!options.entropySource) {
+    return randomBytes(ENTROPY_BYTES, options.backend);
+  }
+
+  try {
+    return toEntropyBytes(await options.entropySource(ENTROPY_BYTES));
+  } catch (err) {
+    if (options.entropyFallback === 'system') {
+      return randomBytes(ENTROPY_BYTES, options.backend);
+    }
+    throw new Error(`Entropy source failed: ${err.message}`);
+  }
+}
+
+/**
+ * Synchronous gatherEntropy(); a custom source must return bytes, not a promise
+ * @param {Object} options - Instance options
+ * @returns {Uint8Array}
+ */
+function gatherEntropySync(options) {
+  if (!options.entropySource) {
+    return randomBytesSync(ENTROPY_BYTES, options.backend);
+  }
+
+  try {
+    const value = options.entropySource(ENTROPY_BYTES);
+    if (value && typeof value.then === 'function') {
+      throw new Error('it returned a promise, which a synchronous draw cannot wait for');
+    }
+    return toEntropyBytes(value);
+  } catch (err) {
+    if (options.entropyFallback === 'system') {
+      return randomBytesSync(ENTROPY_BYTES, options.backend);
+    }
+    throw new Error(`Entropy source failed: ${err.message}`);
+  }
+}
+
+/**
+ * Check that an intention is usable as a seed
+ * @param {string} intention - The user's intention
+ * @throws {Error} If intention is not a non-empty string
+ */
+export function assertValidIntention(intention) {
+  if (!intention || typeof intention !== 'string') {
+    throw new Error('Intention must be a non-empty string');
+  }
+}
+
+/**
+ * Resolve the normalizeIntention option into a policy
+ *
+ * Accepts true (NFC, collapse whitespace), a form name ('NFC', 'NFKC',
+ * 'NFD', 'NFKD'), an object { form, whitespace, caseFold }, or a function
+ * that maps the intention to the string to seed with.
+ *
+ * @param {boolean|string|Object|function(string): string|null} option - normalizeIntention option
+ * @returns {Object|function|null} { form, whitespace, caseFold }, the function, or null for none
+ * @throws {Error} If the option is not a recognised policy
+ */
+export function resolveNormalization(option) {
+  if (option == null || option === false) {
+    return null;
+  }
+
+  if (typeof option === 'function') {
+    return option;
+  }
+
+  const policy = option === true ? {} : typeof option === 'string' ? { form: option } : option;
+  if (typeof policy !== 'object') {
+    throw new Error('normalizeIntention must be true, a Unicode form, a policy object or a function');
+  }
+
+  const { form = 'NFC', whitespace = 'collapse', caseFold = false } = policy;
+
+  if (form !== null && !NORMALIZATION_FORMS.includes(form)) {
+    throw new Error(`normalizeIntention form must be one of ${NORMALIZATION_FORMS.join(', ')} or null`);
+  }
+
+  if (!WHITESPACE_MODES.includes(whitespace)) {
+    throw new Error(`normalizeIntention whitespace must be one of ${WHITESPACE_MODES.join(', ')}`);
+  }
+
+  if (typeof caseFold !== 'boolean') {
+    throw new Error('normalizeIntention caseFold must be a boolean');
+  }
+
+  return { form, whitespace, caseFold };
+}
+
+/**
+ * Apply a normalization policy to an intention
+ *
+ * Case folding maps to upper and then lower case, which folds letters like
+ * 'ß' and final 'ς' the way Unicode case folding does; the Unicode form is
+ * applied after it, since case mapping can decompose characters.
+ *
+ * @param {string} intention - The user's intention
+ * @param {Object|function|null} policy - Resolved policy from resolveNormalization()
+ * @returns {string} Intention to seed with
+ * @throws {Error} If the result is not a non-empty string
+ */
+export function normalizeIntention(intention, policy) {
+  if (!policy) {
+    return intention;
+  }
+
+  let normalized;
+
+  if (typeof policy === 'function') {
+    normalized = policy(intention);
+  } else {
+    normalized = intention;
+
+    if (policy.caseFold) {
+      normalized = normalized.toUpperCase().toLowerCase();
+    }
+
+    if (policy.form) {
+      normalized = normalized.normalize(policy.form);
+    }
+
+    if (policy.whitespace === 'collapse') {
+      normalized = normalized.trim().replace(/\s+/gu, ' ');
+    } else if (policy.whitespace === 'trim') {
+      normalized = normalized.trim();
+    }
+  }
+
+  if (!normalized || typeof normalized !== 'string') {
+    throw new Error('Intention must be a non-empty string after normalization');
+  }
+
+  return normalized;
+}
+
+/**
+ * Capture the components of the current moment
+ * @param {Object} options - Instance options
+ * @returns {Promise<Object>} { timestamp: string, window?: { start, end }, hrtime?: string, entropy: string|null }
+ */
+export async function captureMoment(options) {
+  const moment = captureTime(options);
+  let entropy = null;
+
+  if (options.includeEntropy) {
+    // Add cryptographic randomness (async for cross-platform support)
+    entropy = bytesToHex(await gatherEntropy(options));
+  }
+
+  return { ...moment, entropy };
+}
+
+/**
+ * Synchronous captureMoment(), once the crypto backend is loaded
+ * @param {Object} options - Instance options
+ * @returns {Object} { timestamp: string, window?: { start, end }, hrtime?: string, entropy: string|null }
+ */
+export function captureMomentSync(options) {
+  const moment = captureTime(options);
+  const entropy = options.includeEntropy ? bytesToHex(gatherEntropySync(options)) : null;
+  return { ...moment, entropy };
+}
+
+/**
+ * Capture the time components of the current moment
+ * @param {Object} options - Instance options
+ * @returns {Object} { timestamp: string, window?: { start, end }, hrtime?: string }
+ */
+function captureTime(options) {
+  // Capture the exact moment
+  const date = options.clock ? readClock(options.clock) : new Date();
+  const timestamp = date.toISOString();
+  const window = options.window ? windowAt(date, options.window, options.timeZone) : null;
+
+  // A window shares one seed across its whole length, so no finer time
+  const hrtime = options.includeTimestamp && options.highResolutionTime && !window ? readHighResolutionTime() : null;
+
+  return { timestamp, ...(window ? { window } : {}), ...(hrtime ? { hrtime } : {}) };
+}
+
+/**
+ * Build the seed string for a captured moment
+ * @param {string} intention - The user's intention
+ * @param {Object} moment - Captured moment { timestamp, window?, hrtime?, entropy, gesture? }
+ * @param {Object} options - Which components to include, and normalizeIntention (a resolved policy)
+ * @returns {string} Seed string (ephemeral - never stored)
+ */
+export function buildSeed(intention, moment, options) {
+  const seedComponents = [normalizeIntention(intention, options.normalizeIntention)];
+
+  if (options.includeTimestamp) {
+    // Every draw in a window is seeded with the window's start
+    seedComponents.push(moment.window ? moment.window.start : moment.timestamp);
+
+    if (moment.hrtime) {
+      // Separates draws that share a millisecond
+      seedComponents.push(`hrtime:${moment.hrtime}`);
+    }
+  }
+
+  if (options.includeEntropy) {
+    seedComponents.push(moment.entropy);
+  }
+
+  if (moment.gesture) {
+    // Digest of contemplation timing from an IntentionSession
+    seedComponents.push(`gesture:${moment.gesture}`);
+  }
+
+  return seedComponents.join('::');
+}
@@ -0,0 +1,137 @@
+/**
+ * Pure JavaScript SHA-256 and HMAC-SHA-256 (FIPS 180-4, RFC 2104)
+ *
+ * Used by the 'js' crypto backend where neither Node.js crypto nor
+ * crypto.subtle is available, such as WebViews served from an insecure
+ * context. It is synchronous and much slower than native hashing, but a
+ * draw only hashes a few blocks.
+ */
+
+const K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+const INITIAL_STATE = [
+  0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+];
+
+const BLOCK_BYTES = 64;
+
+/**
+ * Rotate a 32-bit word right
+ * @param {number} x - Word
+ * @param {number} n - Bits to rotate by
+ * @returns {number}
+ */
+function rotr(x, n) {
+  return (x >>> n) | (x << (32 - n));
+}
+
+/**
+ * Hash bytes with SHA-256
+ * @param {Uint8Array} data - Data to hash
+ * @returns {Uint8Array} 32-byte digest
+ */
+export function sha256(data) {
+  // Pad: a 1 bit, zeros, then the message length in bits as 64-bit big-endian
+  const padded = new Uint8Array(Math.ceil((data.length + 9) / BLOCK_BYTES) * BLOCK_BYTES);
+  padded.set(data);
+  padded[data.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setBigUint64(padded.length - 8, BigInt(data.length) * 8n);
+
+  const state = INITIAL_STATE.slice();
+  const w = new Uint32Array(64);
+
+  for (let block = 0; block < padded.length; block += BLOCK_BYTES) {
+    for (let t = 0; t < 16; t++) {
+      w[t] = view.getUint32(block + t * 4);
+    }
+    for (let t = 16; t < 64; t++) {
+      const s0 = rotr(w[t - 15], 7) ^ rotr(w[t - 15], 18) ^ (w[t - 15] >>> 3);
+      const s1 = rotr(w[t - 2], 17) ^ rotr(w[t - 2], 19) ^ (w[t - 2] >>> 10);
+      w[t] = w[t - 16] + s0 + w[t - 7] + s1;
+    }
+
+    let [a, b, c, d, e, f, g, h] = state;
+    for (let t = 0; t < 64; t++) {
+      const t1 = h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[t] + w[t];
+      const t2 = (rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c));
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+
+    state[0] = (state[0] + a) | 0;
+    state[1] = (state[1] + b) | 0;
+    state[2] = (state[2] + c) | 0;
+    state[3] = (state[3] + d) | 0;
+    state[4] = (state[4] + e) | 0;
+    state[5] = (state[5] + f) | 0;
+    state[6] = (state[6] + g) | 0;
+    state[7] = (state[7] + h) | 0;
+  }
+
+  const digest = new Uint8Array(32);
+  const out = new DataView(digest.buffer);
+  state.forEach((word, i) => out.setUint32(i * 4, word >>> 0));
+  return digest;
+}
+
+/**
+ * Build HMAC-SHA-256 on top of a SHA-256 function
+ *
+ * The hash may be synchronous or return a promise; the MAC follows suit,
+ * so one construction serves every backend without native HMAC.
+ *
+ * @param {function(Uint8Array): (Uint8Array|Promise<Uint8Array>)} hash - SHA-256 over bytes
+ * @returns {function(Uint8Array, Uint8Array): (Uint8Array|Promise<Uint8Array>)} HMAC over key and data bytes
+ */
+export function hmacWith(hash) {
+  const then = (value, next) => (value && typeof value.then === 'function' ? value.then(next) : next(value));
+
+  /**
+   * XOR a block-sized key with a pad byte, then append data
+   * @param {Uint8Array} key - Key of at most one block
+   * @param {number} pad - 0x36 (inner) or 0x5c (outer)
+   * @param {Uint8Array} data - Data to append
+   * @returns {Uint8Array}
+   */
+  const padded = (key, pad, data) => {
+    const out = new Uint8Array(BLOCK_BYTES + data.length);
+    out.set(key);
+    for (let i = 0; i < BLOCK_BYTES; i++) {
+      out[i] ^= pad;
+    }
+    out.set(data, BLOCK_BYTES);
+    return out;
+  };
+
+  return (key, data) => {
+    // Keys longer than a block are hashed first
+    const blockKey = key.length > BLOCK_BYTES ? hash(key) : key;
+    return then(blockKey, k =>
+      then(hash(padded(k, 0x36, data)), inner => hash(padded(k, 0x5c, inner)))
+    );
+  };
+}
+
+/**
+ * HMAC-SHA-256 with the pure JavaScript hash
+ * @param {Uint8Array} key - Secret key bytes
+ * @param {Uint8Array} data - Data to authenticate
+ * @returns {Uint8Array} 32-byte MAC
+ */
+export const hmacSha256 = hmacWith(sha256);
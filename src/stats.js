@@ -0,0 +1,644 @@
+/**
+ * Statistical tests for randomness quality
+ *
+ * Goodness of fit (chi-square for categories, Kolmogorov–Smirnov for
+ * continuous values), independence (runs above and below the mean, and
+ * serial correlation) and multiple-testing correction, with p-values from
+ * the regularized incomplete gamma function rather than a normal
+ * approximation, so they hold for small degrees of freedom too.
+ *
+ * testRandomness() runs them all against any draw function, so an
+ * application's own tests can assert that its decks, weighted draws or
+ * floats look random:
+ *
+ *   import { testRandomness } from 'rng-with-intention/stats';
+ *   const { passed } = await testRandomness(i => deck.draw(`q-${i}`, 1), { categories: 78 });
+ */
+
+const MAX_ITERATIONS = 1000;
+const EPSILON = 1e-15;
+const TINY = 1e-300;
+
+// Lanczos approximation, g = 7, n = 9
+const LANCZOS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+  -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+  1.5056327351493116e-7
+];
+
+export const CORRECTIONS = ['holm', 'bonferroni', 'benjamini-hochberg', 'none'];
+
+export const TESTS = ['goodness-of-fit', 'runs', 'serial-correlation'];
+
+/**
+ * Natural logarithm of the gamma function
+ * @param {number} x - Positive number
+ * @returns {number} ln Γ(x)
+ */
+export function logGamma(x) {
+  if (x < 0.5) {
+    // Reflection formula
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+
+  x -= 1;
+  const t = x + 7.5;
+  let sum = LANCZOS[0];
+  for (let i = 1; i < LANCZOS.length; i++) {
+    sum += LANCZOS[i] / (x + i);
+  }
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+/**
+ * Iteration limit for the incomplete gamma expansions
+ *
+ * Both need on the order of sqrt(a) terms when x is near a.
+ *
+ * @param {number} a - Shape parameter
+ * @returns {number}
+ */
+function iterationLimit(a) {
+  return MAX_ITERATIONS + Math.ceil(10 * Math.sqrt(a));
+}
+
+/**
+ * Lower regularized incomplete gamma by its series, for x < a + 1
+ * @param {number} a - Shape parameter
+ * @param {number} x - Upper limit of integration
+ * @returns {number} P(a, x)
+ */
+function gammaSeries(a, x) {
+  let term = 1 / a;
+  let sum = term;
+
+  for (let n = 1; n < iterationLimit(a); n++) {
+    term *= x / (a + n);
+    sum += term;
+    if (Math.abs(term) < Math.abs(sum) * EPSILON) {
+      return sum * Math.exp(-x + a * Math.log(x) - logGamma(a));
+    }
+  }
+
+  throw new Error(`Incomplete gamma series did not converge for a = ${a}, x = ${x}`);
+}
+
+/**
+ * Upper regularized incomplete gamma by its continued fraction (modified
+ * Lentz), for x >= a + 1
+ * @param {number} a - Shape parameter
+ * @param {number} x - Lower limit of integration
+ * @returns {number} Q(a, x)
+ */
+function gammaContinuedFraction(a, x) {
+  let b = x + 1 - a;
+  let c = 1 / TINY;
+  let d = 1 / b;
+  let h = d;
+
+  for (let i = 1; i < iterationLimit(a); i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = b + an / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < EPSILON) {
+      return Math.exp(-x + a * Math.log(x) - logGamma(a)) * h;
+    }
+  }
+
+  throw new Error(`Incomplete gamma continued fraction did not converge for a = ${a}, x = ${x}`);
+}
+
+/**
+ * Check the arguments of the incomplete gamma functions
+ * @param {number} a - Shape parameter
+ * @param {number} x - Limit of integration
+ * @throws {Error} If a is not positive or x is negative
+ */
+function assertValidGammaArguments(a, x) {
+  if (!Number.isFinite(a) || a <= 0) {
+    throw new Error('Gamma shape must be a positive number');
+  }
+  if (Number.isNaN(x) || x < 0) {
+    throw new Error('Gamma limit must be a non-negative number');
+  }
+}
+
+/**
+ * Lower regularized incomplete gamma function
+ * @param {number} a - Shape parameter (positive)
+ * @param {number} x - Upper limit of integration (non-negative)
+ * @returns {number} P(a, x) = γ(a, x) / Γ(a), in [0, 1]
+ */
+export function regularizedGammaP(a, x) {
+  assertValidGammaArguments(a, x);
+  if (x === 0) return 0;
+  if (x === Infinity) return 1;
+  return x < a + 1 ? gammaSeries(a, x) : 1 - gammaContinuedFraction(a, x);
+}
+
+/**
+ * Upper regularized incomplete gamma function
+ *
+ * Computed directly rather than as 1 - P, so tiny tail probabilities keep
+ * their precision.
+ *
+ * @param {number} a - Shape parameter (positive)
+ * @param {number} x - Lower limit of integration (non-negative)
+ * @returns {number} Q(a, x) = Γ(a, x) / Γ(a), in [0, 1]
+ */
+export function regularizedGammaQ(a, x) {
+  assertValidGammaArguments(a, x);
+  if (x === 0) return 1;
+  if (x === Infinity) return 0;
+  return x < a + 1 ? 1 - gammaSeries(a, x) : gammaContinuedFraction(a, x);
+}
+
+/**
+ * Chance that a chi-square variable is at least x
+ * @param {number} x - Chi-square statistic
+ * @param {number} degreesOfFreedom - Degrees of freedom (positive)
+ * @returns {number} p-value
+ */
+export function chiSquarePValue(x, degreesOfFreedom) {
+  if (!Number.isFinite(degreesOfFreedom) || degreesOfFreedom <= 0) {
+    throw new Error('Degrees of freedom must be a positive number');
+  }
+  return x <= 0 ? 1 : regularizedGammaQ(degreesOfFreedom / 2, x / 2);
+}
+
+/**
+ * Standard normal cumulative distribution function
+ *
+ * Uses erfc(t) = Q(1/2, t²), accurate across the whole range.
+ *
+ * @param {number} z - Standard normal value
+ * @returns {number} P(Z <= z)
+ */
+export function normalCdf(z) {
+  const tail = regularizedGammaQ(0.5, (z * z) / 2) / 2;
+  return z >= 0 ? 1 - tail : tail;
+}
+
+/**
+ * Two-sided p-value for a standard normal statistic
+ * @param {number} z - Standard normal value
+ * @returns {number} P(|Z| >= |z|)
+ */
+function twoSidedPValue(z) {
+  return regularizedGammaQ(0.5, (z * z) / 2);
+}
+
+/**
+ * Asymptotic Kolmogorov distribution: P(K > lambda)
+ * @param {number} lambda - Scaled KS statistic
+ * @returns {number}
+ */
+function kolmogorovSurvival(lambda) {
+  // The alternating series converges too slowly to be useful here, and the value is 1 to double precision
+  if (lambda < 0.2) return 1;
+
+  let sum = 0;
+  for (let k = 1; k <= 100; k++) {
+    const term = 2 * (k % 2 === 1 ? 1 : -1) * Math.exp(-2 * k * k * lambda * lambda);
+    sum += term;
+    if (Math.abs(term) <= EPSILON * Math.abs(sum)) break;
+  }
+  return Math.min(1, Math.max(0, sum));
+}
+
+/**
+ * Turn a list of sample values into numbers
+ * @param {Array<number|bigint>} values - Sample values
+ * @param {number} minimum - Fewest values the test needs
+ * @param {string} name - Test name, for errors
+ * @returns {number[]}
+ * @throws {Error} If there are too few values or one is not a finite number
+ */
+function toNumbers(values, minimum, name) {
+  if (!Array.isArray(values) || values.length < minimum) {
+    throw new Error(`${name} needs at least ${minimum} values`);
+  }
+
+  return values.map(value => {
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+      throw new Error(`${name} values must be finite numbers`);
+    }
+    return number;
+  });
+}
+
+/**
+ * Check and normalize expected proportions
+ * @param {number[]} proportions - Non-negative weights, one per category
+ * @returns {number[]} Proportions summing to 1
+ * @throws {Error} If they are not usable
+ */
+function normalizeProportions(proportions) {
+  if (!Array.isArray(proportions) || proportions.length < 2) {
+    throw new Error('Expected proportions need at least two categories');
+  }
+
+  if (proportions.some(p => !Number.isFinite(p) || p <= 0)) {
+    throw new Error('Expected proportions must be positive finite numbers');
+  }
+
+  const total = proportions.reduce((sum, p) => sum + p, 0);
+  return proportions.map(p => p / total);
+}
+
+/**
+ * Chi-square goodness-of-fit test
+ * @param {number[]} observed - Count per category
+ * @param {number[]} proportions - Expected share of each category; weights are normalized
+ *   (default: uniform)
+ * @returns {Object} { statistic, degreesOfFreedom, pValue }
+ */
+export function chiSquareTest(observed, proportions = null) {
+  if (!Array.isArray(observed) || observed.length < 2) {
+    throw new Error('Chi-square test needs counts for at least two categories');
+  }
+
+  if (observed.some(count => !Number.isInteger(count) || count < 0)) {
+    throw new Error('Observed counts must be non-negative integers');
+  }
+
+  const expected = normalizeProportions(proportions || new Array(observed.length).fill(1));
+  if (expected.length !== observed.length) {
+    throw new Error('Expected proportions and observed counts must have the same length');
+  }
+
+  const total = observed.reduce((sum, count) => sum + count, 0);
+  if (total === 0) {
+    throw new Error('Chi-square test needs at least one observation');
+  }
+
+  // Σ((O - E)² / E)
+  let statistic = 0;
+  for (let i = 0; i < observed.length; i++) {
+    const e = total * expected[i];
+    statistic += (observed[i] - e) ** 2 / e;
+  }
+
+  const degreesOfFreedom = observed.length - 1;
+  return { statistic, degreesOfFreedom, pValue: chiSquarePValue(statistic, degreesOfFreedom) };
+}
+
+/**
+ * Pearson chi-square test of independence for a contingency table
+ *
+ * Tests whether the row a count falls in tells anything about its column,
+ * such as whether a card is more likely in one spread position than
+ * another. Rows and columns with no counts are left out.
+ *
+ * @param {number[][]} table - Counts, one array per row, all the same length
+ * @returns {Object} { statistic, degreesOfFreedom, pValue }
+ * @throws {Error} If fewer than two rows and two columns have counts
+ */
+export function contingencyTest(table) {
+  if (!Array.isArray(table) || table.length === 0 || !table.every(row => Array.isArray(row) && row.length === table[0].length)) {
+    throw new Error('Contingency table must be an array of equal-length rows');
+  }
+
+  if (table.some(row => row.some(count => !Number.isInteger(count) || count < 0))) {
+    throw new Error('Observed counts must be non-negative integers');
+  }
+
+  const rowTotals = table.map(row => row.reduce((sum, count) => sum + count, 0));
+  const columnTotals = table[0].map((_, j) => table.reduce((sum, row) => sum + row[j], 0));
+  const total = rowTotals.reduce((sum, count) => sum + count, 0);
+
+  const rows = rowTotals.filter(count => count > 0).length;
+  const columns = columnTotals.filter(count => count > 0).length;
+  if (rows < 2 || columns < 2) {
+    throw new Error('Contingency test needs at least two rows and two columns with counts');
+  }
+
+  // Σ((O - E)² / E), with E = row total × column total / total
+  let statistic = 0;
+  table.forEach((row, i) => {
+    row.forEach((count, j) => {
+      const expected = (rowTotals[i] * columnTotals[j]) / total;
+      if (expected > 0) {
+        statistic += (count - expected) ** 2 / expected;
+      }
+    });
+  });
+
+  const degreesOfFreedom = (rows - 1) * (columns - 1);
+  return { statistic, degreesOfFreedom, pValue: chiSquarePValue(statistic, degreesOfFreedom) };
+}
+
+/**
+ * One-sample Kolmogorov–Smirnov test against a continuous distribution
+ *
+ * The p-value uses the asymptotic Kolmogorov distribution with Stephens'
+ * correction for sample size, accurate to within a few percent from
+ * about 5 values.
+ *
+ * @param {number[]} values - Sample values
+ * @param {function(number): number} cdf - Cumulative distribution function of the expected distribution
+ * @returns {Object} { statistic, pValue }
+ */
+export function ksTest(values, cdf) {
+  if (typeof cdf !== 'function') {
+    throw new Error('Kolmogorov–Smirnov test needs a cdf function');
+  }
+
+  const sorted = toNumbers(values, 1, 'Kolmogorov–Smirnov test').sort((a, b) => a - b);
+  const n = sorted.length;
+
+  // Largest gap between the empirical and expected CDFs, on either side of each step
+  let statistic = 0;
+  for (let i = 0; i < n; i++) {
+    const expected = cdf(sorted[i]);
+    statistic = Math.max(statistic, (i + 1) / n - expected, expected - i / n);
+  }
+
+  const root = Math.sqrt(n);
+  return { statistic, pValue: kolmogorovSurvival((root + 0.12 + 0.11 / root) * statistic) };
+}
+
+/**
+ * Wald–Wolfowitz runs test for independence
+ *
+ * Counts runs of values above and below the sample mean; values equal to
+ * it are skipped. Too few runs means values cluster, too many means they
+ * alternate. The mean is used rather than the median so that discrete
+ * values, such as coin flips, split cleanly.
+ *
+ * @param {Array<number|bigint>} values - Sample values, in draw order
+ * @returns {Object} { runs, expectedRuns, z, pValue }
+ * @throws {Error} If no values fall on one side of the mean
+ */
+export function runsTest(values) {
+  const numbers = toNumbers(values, 2, 'Runs test');
+  const mean = numbers.reduce((sum, x) => sum + x, 0) / numbers.length;
+  const sides = numbers.filter(x => x !== mean).map(x => x > mean);
+
+  const above = sides.filter(Boolean).length;
+  const below = sides.length - above;
+  if (above === 0 || below === 0) {
+    throw new Error('Runs test needs values on both sides of the mean');
+  }
+
+  let runs = 1;
+  for (let i = 1; i < sides.length; i++) {
+    if (sides[i] !== sides[i - 1]) runs++;
+  }
+
+  const n = above + below;
+  const expectedRuns = (2 * above * below) / n + 1;
+  const variance = (2 * above * below * (2 * above * below - n)) / (n * n * (n - 1));
+  const z = variance > 0 ? (runs - expectedRuns) / Math.sqrt(variance) : 0;
+
+  return { runs, expectedRuns, z, pValue: twoSidedPValue(z) };
+}
+
+/**
+ * Serial correlation test for independence
+ *
+ * Measures the correlation between each value and the one lag places
+ * later. For independent values it is approximately normal with mean -1/n
+ * and variance 1/n.
+ *
+ * @param {Array<number|bigint>} values - Sample values, in draw order
+ * @param {number} lag - Distance between compared values (default: 1)
+ * @returns {Object} { correlation, lag, z, pValue }
+ * @throws {Error} If the values are all equal
+ */
+export function serialCorrelationTest(values, lag = 1) {
+  if (!Number.isInteger(lag) || lag < 1) {
+    throw new Error('Lag must be a positive integer');
+  }
+
+  const numbers = toNumbers(values, lag + 2, 'Serial correlation test');
+  const n = numbers.length;
+  const mean = numbers.reduce((sum, x) => sum + x, 0) / n;
+
+  let variance = 0;
+  for (const x of numbers) {
+    variance += (x - mean) ** 2;
+  }
+  if (variance === 0) {
+    throw new Error('Serial correlation test needs values that are not all equal');
+  }
+
+  let covariance = 0;
+  for (let i = 0; i + lag < n; i++) {
+    covariance += (numbers[i] - mean) * (numbers[i + lag] - mean);
+  }
+
+  const correlation = covariance / variance;
+  const z = (correlation + 1 / n) * Math.sqrt(n);
+  return { correlation, lag, z, pValue: twoSidedPValue(z) };
+}
+
+/**
+ * Adjust p-values for running several tests at once
+ *
+ * 'holm' and 'bonferroni' bound the chance of any false failure;
+ * 'benjamini-hochberg' bounds the expected share of false failures and
+ * is less strict when many tests are run.
+ *
+ * @param {number[]} pValues - Unadjusted p-values
+ * @param {string} method - 'holm', 'bonferroni', 'benjamini-hochberg' or 'none' (default: 'holm')
+ * @returns {number[]} Adjusted p-values, in the same order
+ */
+export function adjustPValues(pValues, method = 'holm') {
+  if (!CORRECTIONS.includes(method)) {
+    throw new Error(`Unknown correction: ${method} (use ${CORRECTIONS.join(', ')})`);
+  }
+
+  if (!Array.isArray(pValues) || pValues.some(p => !(p >= 0 && p <= 1))) {
+    throw new Error('p-values must be numbers between 0 and 1');
+  }
+
+  const m = pValues.length;
+  if (method === 'none') return pValues.slice();
+  if (method === 'bonferroni') return pValues.map(p => Math.min(1, p * m));
+
+  const order = pValues.map((p, i) => i).sort((a, b) => pValues[a] - pValues[b]);
+  const adjusted = new Array(m);
+
+  if (method === 'holm') {
+    // Step down: the kth smallest is scaled by (m - k), never below an earlier one
+    let running = 0;
+    order.forEach((index, k) => {
+      running = Math.max(running, Math.min(1, (m - k) * pValues[index]));
+      adjusted[index] = running;
+    });
+  } else {
+    // Step up: the kth smallest is scaled by m / k, never above a later one
+    let running = 1;
+    for (let k = m - 1; k >= 0; k--) {
+      const index = order[k];
+      running = Math.min(running, (m * pValues[index]) / (k + 1));
+      adjusted[index] = running;
+    }
+  }
+
+  return adjusted;
+}
+
+/**
+ * Pull the sampled values out of whatever a draw function returned
+ *
+ * Numbers and BigInts are used as-is. Result objects give their `index`,
+ * `value`, or every entry of `indices` (so a deck or drawMultiple() result
+ * adds one value per card); arrays add every entry.
+ *
+ * @param {*} result - Draw function result
+ * @returns {Array<number|bigint>}
+ * @throws {Error} If no value can be found
+ */
+export function sampleValues(result) {
+  if (typeof result === 'number' || typeof result === 'bigint') return [result];
+  if (Array.isArray(result)) return result.flatMap(sampleValues);
+
+  if (result && typeof result === 'object') {
+    if (Array.isArray(result.indices)) return result.indices.slice();
+    if (result.index !== undefined) return [result.index];
+    if (result.value !== undefined) return [result.value];
+  }
+
+  throw new Error('Draw function must return a number, a BigInt, an array, or a result with index, value or indices');
+}
+
+/**
+ * Call a draw function repeatedly and collect the values it returns
+ * @param {function(number): *} draw - Called with the draw number (0, 1, 2...); may be async
+ * @param {number} draws - Number of calls
+ * @returns {Promise<number[]>} Values in draw order
+ */
+export async function collectSamples(draw, draws) {
+  if (typeof draw !== 'function') {
+    throw new Error('draw must be a function');
+  }
+
+  if (!Number.isInteger(draws) || draws <= 0) {
+    throw new Error('draws must be a positive integer');
+  }
+
+  const values = [];
+  for (let i = 0; i < draws; i++) {
+    for (const value of sampleValues(await draw(i))) {
+      values.push(Number(value));
+    }
+  }
+  return values;
+}
+
+/**
+ * Count values into categories 0 to categories-1
+ * @param {number[]} values - Sampled values
+ * @param {number} categories - Number of categories
+ * @returns {number[]} Count per category
+ * @throws {Error} If a value is not one of the categories
+ */
+export function countCategories(values, categories) {
+  const counts = new Array(categories).fill(0);
+  for (const value of values) {
+    if (!Number.isInteger(value) || value < 0 || value >= categories) {
+      throw new Error(`Value ${value} is not a category from 0 to ${categories - 1}`);
+    }
+    counts[value]++;
+  }
+  return counts;
+}
+
+/**
+ * Run a battery of randomness tests against a draw function
+ *
+ * Draws `draws` times, then tests goodness of fit (chi-square over
+ * categories, or Kolmogorov–Smirnov against a cdf), runs and serial
+ * correlation, adjusting the p-values for the number of tests. Use
+ * distinct intentions per call (the draw number is passed in) or live
+ * entropy, or every draw will repeat.
+ *
+ * Values drawn together without duplicates, such as a multi-card deck
+ * draw, are not independent of each other; draw one value per call for
+ * the independence tests to be exact.
+ *
+ * @param {function(number): *} draw - Draw function, called with the draw number; may be async
+ * @param {Object} options - Test options
+ * @param {number} options.categories - Number of equally likely values 0 to categories-1
+ * @param {number[]} options.proportions - Expected weight of each value 0 to length-1, e.g. the
+ *   weights given to drawWeighted() (instead of categories)
+ * @param {function(number): number} options.cdf - Cumulative distribution function for continuous
+ *   values, e.g. x => x for drawFloat() (instead of categories)
+ * @param {number} options.draws - Number of calls to draw (default: 1000)
+ * @param {number} options.alpha - Significance level for the adjusted p-values (default: 0.01)
+ * @param {string} options.correction - 'holm', 'bonferroni', 'benjamini-hochberg' or 'none' (default: 'holm')
+ * @param {string[]} options.tests - Tests to run (default: all of TESTS)
+ * @param {number} options.lag - Lag for the serial correlation test (default: 1)
+ * @returns {Promise<Object>} { passed, alpha, correction, sampleCount, tests: [{ name, pValue, adjustedPValue, passed, ... }] }
+ */
+export async function testRandomness(draw, options = {}) {
+  const {
+    categories = null,
+    proportions = null,
+    cdf = null,
+    draws = 1000,
+    alpha = 0.01,
+    correction = 'holm',
+    tests = TESTS,
+    lag = 1
+  } = options;
+
+  if ([categories, proportions, cdf].filter(x => x != null).length !== 1) {
+    throw new Error('Pass exactly one of categories, proportions or cdf');
+  }
+
+  if (categories != null && (!Number.isInteger(categories) || categories < 2)) {
+    throw new Error('categories must be an integer of at least 2');
+  }
+
+  if (!(alpha > 0 && alpha < 1)) {
+    throw new Error('alpha must be between 0 and 1');
+  }
+
+  if (!CORRECTIONS.includes(correction)) {
+    throw new Error(`Unknown correction: ${correction} (use ${CORRECTIONS.join(', ')})`);
+  }
+
+  if (!Array.isArray(tests) || tests.length === 0 || tests.some(name => !TESTS.includes(name))) {
+    throw new Error(`tests must list some of: ${TESTS.join(', ')}`);
+  }
+
+  const values = await collectSamples(draw, draws);
+  const results = [];
+
+  for (const name of tests) {
+    if (name === 'goodness-of-fit') {
+      const result = cdf
+        ? { method: 'kolmogorov-smirnov', ...ksTest(values, cdf) }
+        : { method: 'chi-square', ...chiSquareTest(countCategories(values, categories || proportions.length), proportions) };
+      results.push({ name, ...result });
+    } else if (name === 'runs') {
+      results.push({ name, ...runsTest(values) });
+    } else {
+      results.push({ name, ...serialCorrelationTest(values, lag) });
+    }
+  }
+
+  const adjusted = adjustPValues(results.map(result => result.pValue), correction);
+  results.forEach((result, i) => {
+    result.adjustedPValue = adjusted[i];
+    result.passed = adjusted[i] > alpha;
+  });
+
+  return {
+    passed: results.every(result => result.passed),
+    alpha,
+    correction,
+    sampleCount: values.length,
+    tests: results
+  };
+}
@@ -0,0 +1,175 @@
+/**
+ * Weighted sampling
+ *
+ * Weights are converted to exact integers first: every finite double is a
+ * whole number times a power of two, so scaling all weights by the largest
+ * power of two needed turns them into BigInts with the same ratios. Draws
+ * then use Vose's alias method in integer arithmetic, so index i comes up
+ * with probability exactly weights[i] / sum(weights), in two samples per
+ * draw however many weights there are.
+ */
+
+import { uniformIndex, bitLength } from './sampling.js';
+
+/**
+ * Check that weights describe a usable distribution
+ * @param {number[]} weights - Relative weights, one per option
+ * @throws {Error} If weights is not a non-empty array of positive finite numbers
+ */
+export function assertValidWeights(weights) {
+  if (!Array.isArray(weights) || weights.length === 0) {
+    throw new Error('Weights must be a non-empty array');
+  }
+
+  // A loop rather than forEach, which would skip the holes of a sparse array
+  for (let i = 0; i < weights.length; i++) {
+    const weight = weights[i];
+    if (typeof weight !== 'number' || !Number.isFinite(weight)) {
+      throw new Error(`Weight at position ${i} must be a finite number`);
+    }
+
+    if (weight <= 0) {
+      throw new Error(`Weight at position ${i} must be positive`);
+    }
+  }
+}
+
+/**
+ * Greatest common divisor of two non-negative BigInts
+ * @param {bigint} a
+ * @param {bigint} b
+ * @returns {bigint}
+ */
+function gcd(a, b) {
+  while (b !== 0n) {
+    [a, b] = [b, a % b];
+  }
+  return a;
+}
+
+/**
+ * Scale weights to BigInts with exactly the same ratios
+ * @param {number[]} weights - Positive finite weights
+ * @returns {bigint[]} Integer weights with no common factor
+ */
+function toExactIntegers(weights) {
+  // Doubling a non-integer double is exact, and it becomes an integer within 1074 steps
+  const parts = weights.map(weight => {
+    let shift = 0;
+    while (!Number.isInteger(weight)) {
+      weight *= 2;
+      shift++;
+    }
+    return { value: BigInt(weight), shift };
+  });
+
+  // reduce, not Math.max(...), which overflows the stack for very many weights
+  const maxShift = parts.reduce((max, part) => Math.max(max, part.shift), 0);
+  const integers = parts.map(({ value, shift }) => value << BigInt(maxShift - shift));
+  const divisor = integers.reduce(gcd);
+
+  return integers.map(value => value / divisor);
+}
+
+/**
+ * WeightedTable - A precomputed alias table for repeated weighted draws
+ *
+ * Building the table costs O(n); each draw afterwards costs two samples.
+ * Pass the same table to drawWeighted() or stream.nextWeighted() to reuse it.
+ */
+export class WeightedTable {
+  #integers;
+  #total;
+  #threshold;
+  #alias;
+
+  /**
+   * Build an alias table from weights
+   * @param {number[]} weights - Relative weights, integers or floats, all positive
+   */
+  constructor(weights) {
+    assertValidWeights(weights);
+
+    const integers = toExactIntegers(weights);
+    const n = BigInt(integers.length);
+    const total = integers.reduce((sum, value) => sum + value, 0n);
+
+    // Column i keeps itself with probability threshold[i] / total, else goes to alias[i]
+    const scaled = integers.map(value => value * n);
+    const threshold = new Array(integers.length).fill(total);
+    const alias = integers.map((_, i) => i);
+    const small = [];
+    const large = [];
+
+    scaled.forEach((value, i) => (value < total ? small : large).push(i));
+
+    while (small.length > 0 && large.length > 0) {
+      const less = small.pop();
+      const more = large.pop();
+
+      threshold[less] = scaled[less];
+      alias[less] = more;
+      scaled[more] -= total - scaled[less];
+      (scaled[more] < total ? small : large).push(more);
+    }
+
+    this.weights = Object.freeze([...weights]);
+    this.#integers = integers;
+    this.#total = total;
+    this.#threshold = threshold;
+    this.#alias = alias;
+  }
+
+  /**
+   * Use a table as-is, or build one from weights
+   * @param {WeightedTable|number[]} weights - Table or weights
+   * @returns {WeightedTable}
+   */
+  static from(weights) {
+    return weights instanceof WeightedTable ? weights : new WeightedTable(weights);
+  }
+
+  /**
+   * Number of options
+   * @returns {number}
+   */
+  get size() {
+    return this.weights.length;
+  }
+
+  /**
+   * Probability of drawing an index
+   * @param {number} index - Option index
+   * @returns {number} weights[index] / sum(weights), from the same exact
+   *   integers the draws use
+   * @throws {Error} If index is not an option index
+   */
+  probability(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= this.size) {
+      throw new Error(`Index must be an integer from 0 to ${this.size - 1}`);
+    }
+
+    // Drop low bits past double precision so both sides convert to finite numbers
+    const shift = BigInt(Math.max(0, bitLength(this.#total) - 64));
+    return Number(this.#integers[index] >> shift) / Number(this.#total >> shift);
+  }
+
+  /**
+   * Pick an index with probability proportional to its weight
+   * @param {function(number): Promise<Uint8Array>} readBytes - Byte source
+   * @returns {Promise<number>} Index in [0, size)
+   */
+  async sample(readBytes) {
+    const column = await uniformIndex(readBytes, this.size);
+    const coin = await uniformIndex(readBytes, this.#total);
+    return coin < this.#threshold[column] ? column : this.#alias[column];
+  }
+
+  /**
+   * Serialize as the weights it was built from
+   * @returns {number[]}
+   */
+  toJSON() {
+    return [...this.weights];
+  }
+}
@@ -0,0 +1,212 @@
+/**
+ * Time windows
+ *
+ * A window buckets the moment of a draw, so every draw inside it shares one
+ * timestamp in the seed - the same card all day, a new one tomorrow.
+ *
+ *   minute, hour, day  Start at the top of the minute, the hour or at
+ *                      midnight, in the given time zone
+ *   week               Starts at midnight on Monday, in the given time zone
+ *   lunarMonth         One mean synodic month (29.530588853 days) from the
+ *                      new moon of 2000-01-06 18:14 UTC; actual new moons
+ *                      drift up to about 14 hours from the mean
+ *   number             A custom length in milliseconds, counted from the
+ *                      Unix epoch
+ */
+
+export const WINDOWS = Object.freeze(['minute', 'hour', 'day', 'week', 'lunarMonth']);
+
+const MS_PER_DAY = 86400000;
+
+// Mean synodic month and a reference new moon (2000-01-06 18:14 UTC)
+const SYNODIC_MONTH_MS = 29.530588853 * MS_PER_DAY;
+const REFERENCE_NEW_MOON_MS = Date.UTC(2000, 0, 6, 18, 14);
+
+// Formatters are costly to create, so keep one per time zone
+const formatters = new Map();
+
+/**
+ * Get a formatter that reads wall-clock fields in a time zone
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Intl.DateTimeFormat}
+ * @throws {Error} If the time zone is unknown
+ */
+function wallClockFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    try {
+      formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      }));
+    } catch {
+      throw new Error(`Unknown time zone: ${timeZone}`);
+    }
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Read the wall-clock time of an instant in a time zone
+ * @param {number} ms - Epoch milliseconds
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Object} { year, month (0-11), day, hour, minute, second }
+ */
+function wallClock(ms, timeZone) {
+  const fields = {};
+  for (const { type, value } of wallClockFormatter(timeZone).formatToParts(ms)) {
+    fields[type] = Number(value);
+  }
+  return { ...fields, month: fields.month - 1 };
+}
+
+/**
+ * Offset of a time zone from UTC at an instant, in milliseconds
+ * @param {number} ms - Epoch milliseconds
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number}
+ */
+function zoneOffset(ms, timeZone) {
+  const { year, month, day, hour, minute, second } = wallClock(ms, timeZone);
+  return Date.UTC(year, month, day, hour, minute, second) - (ms - (((ms % 1000) + 1000) % 1000));
+}
+
+/**
+ * Days since the epoch of a wall-clock date, for comparing dates
+ * @param {Object} wall - { year, month (0-11), day }
+ * @returns {number}
+ */
+function dayNumber({ year, month, day }) {
+  return Date.UTC(year, month, day) / MS_PER_DAY;
+}
+
+/**
+ * Find the instant a wall-clock day starts in a time zone
+ *
+ * The day may overflow (day 32) as with Date.UTC. A midnight skipped by a
+ * daylight saving change resolves to the change itself, the first instant
+ * that falls on the day.
+ *
+ * @param {Object} wall - { year, month (0-11), day }
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} Epoch milliseconds of the wall-clock midnight
+ */
+function wallToInstant({ year, month, day }, timeZone) {
+  const asUtc = Date.UTC(year, month, day);
+  const target = asUtc / MS_PER_DAY;
+
+  // Correct the guess until the offset stops changing
+  let instant = asUtc - zoneOffset(asUtc, timeZone);
+  for (let i = 0; i < 3; i++) {
+    const next = asUtc - zoneOffset(instant, timeZone);
+    if (next === instant) break;
+    instant = next;
+  }
+
+  const wall = wallClock(instant, timeZone);
+  if (dayNumber(wall) === target && wall.hour === 0 && wall.minute === 0 && wall.second === 0) {
+    return instant;
+  }
+
+  // Midnight was skipped: search for the first instant on the day. Offsets
+  // are within 14 hours of UTC, so it lies within 15 hours of asUtc
+  let before = asUtc - 15 * 3600000;
+  let after = asUtc + 15 * 3600000;
+  while (after - before > 1) {
+    const middle = Math.floor((before + after) / 2);
+    if (dayNumber(wallClock(middle, timeZone)) >= target) {
+      after = middle;
+    } else {
+      before = middle;
+    }
+  }
+  return after;
+}
+
+/**
+ * Check a window option
+ * @param {string|number|null} window - A window name or a length in milliseconds
+ * @returns {string|number|null}
+ * @throws {Error} If the window is not recognised
+ */
+export function assertValidWindow(window) {
+  if (window == null) {
+    return null;
+  }
+
+  if (typeof window === 'number') {
+    if (!Number.isSafeInteger(window) || window <= 0) {
+      throw new Error('window length must be a positive integer number of milliseconds');
+    }
+    return window;
+  }
+
+  if (!WINDOWS.includes(window)) {
+    throw new Error(`window must be one of ${WINDOWS.join(', ')} or a length in milliseconds`);
+  }
+
+  return window;
+}
+
+/**
+ * Check that a time zone is known
+ * @param {string} timeZone - IANA time zone name
+ * @throws {Error} If the time zone is unknown
+ */
+export function assertValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string') {
+    throw new Error(`Unknown time zone: ${timeZone}`);
+  }
+  wallClockFormatter(timeZone);
+}
+
+/**
+ * Find the window that contains an instant
+ * @param {Date} date - The moment of the draw
+ * @param {string|number} window - A window name or a length in milliseconds
+ * @param {string} timeZone - IANA time zone for minute, hour, day and week windows
+ * @returns {Object} { start: string, end: string } ISO timestamps; end is exclusive
+ */
+export function windowAt(date, window, timeZone) {
+  const ms = date.getTime();
+  let start;
+  let end;
+
+  if (typeof window === 'number') {
+    start = Math.floor(ms / window) * window;
+    end = start + window;
+  } else if (window === 'lunarMonth') {
+    const cycle = Math.floor((ms - REFERENCE_NEW_MOON_MS) / SYNODIC_MONTH_MS);
+    start = Math.round(REFERENCE_NEW_MOON_MS + cycle * SYNODIC_MONTH_MS);
+    end = Math.round(REFERENCE_NEW_MOON_MS + (cycle + 1) * SYNODIC_MONTH_MS);
+  } else {
+    const { year, month, day, minute, second } = wallClock(ms, timeZone);
+    const intoSecond = ((ms % 1000) + 1000) % 1000;
+
+    // Minutes and hours are cut from the instant itself, so a repeated
+    // hour when clocks go back is still two separate windows
+    if (window === 'minute') {
+      start = ms - second * 1000 - intoSecond;
+      end = start + 60000;
+    } else if (window === 'hour') {
+      start = ms - (minute * 60 + second) * 1000 - intoSecond;
+      end = start + 3600000;
+    } else {
+      // Days since Monday, for weeks
+      const back = window === 'week' ? (new Date(Date.UTC(year, month, day)).getUTCDay() + 6) % 7 : 0;
+      const length = window === 'week' ? 7 : 1;
+      start = wallToInstant({ year, month, day: day - back }, timeZone);
+      end = wallToInstant({ year, month, day: day - back + length }, timeZone);
+    }
+  }
+
+  return {
+    start: new Date(start).toISOString(),
+    end: new Date(end).toISOString()
+  };
+}
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { RngWithIntention, Deck, DECK_PRESETS } from '../src/index.js';
+
+test('Deck', async (t) => {
+  await t.test('presets have the expected sizes and unique ids', () => {
+    const expected = {
+      'rider-waite': 78,
+      'major-arcana': 22,
+      'lenormand': 36,
+      'elder-futhark': 24
+    };
+    for (const [preset, size] of Object.entries(expected)) {
+      const deck = Deck.fromPreset(preset);
+      assert.equal(deck.size, size, `${preset} should have ${size} cards`);
+      assert.equal(deck.name, preset);
+      assert.equal(new Set(deck.cards.map(c => c.id)).size, size);
+    }
+    assert.deepStrictEqual(Object.keys(DECK_PRESETS).sort(), Object.keys(expected).sort());
+  });
+
+  await t.test('preset cards carry metadata', () => {
+    const tarot = Deck.fromPreset('rider-waite');
+    assert.deepStrictEqual(tarot.cards[0], { id: 'the-fool', name: 'The Fool', arcana: 'major', number: 0 });
+    assert.equal(tarot.cards[21].name, 'The World');
+    assert.equal(tarot.cards[22].name, 'Ace of Wands');
+    assert.equal(tarot.cards[77].name, 'King of Pentacles');
+    assert.equal(tarot.cards[77].suit, 'pentacles');
+
+    const runes = Deck.fromPreset('elder-futhark');
+    assert.equal(runes.cards[0].symbol, 'ᚠ');
+    assert.equal(runes.cards[23].aett, "Tyr's");
+
+    const lenormand = Deck.fromPreset('lenormand');
+    assert.equal(lenormand.cards[35].name, 'Cross');
+  });
+
+  await t.test('draw returns cards with indices and timestamp', async () => {
+    const deck = Deck.fromPreset('rider-waite');
+    const result = await deck.draw('What should I focus on?', 3);
+    assert.equal(result.cards.length, 3);
+    assert.equal(result.indices.length, 3);
+    assert.equal(typeof result.timestamp, 'string');
+    result.indices.forEach((index, i) => assert.equal(result.cards[i], deck.cards[index]));
+    assert.equal(new Set(result.cards.map(c => c.id)).size, 3);
+  });
+
+  await t.test('draws one card by default', async () => {
+    const deck = Deck.fromPreset('major-arcana');
+    const { cards } = await deck.draw('one card');
+    assert.equal(cards.length, 1);
+  });
+
+  await t.test('uses the supplied generator', async () => {
+    const rng = new RngWithIntention({ includeTimestamp: false, includeEntropy: false });
+    const deck = Deck.fromPreset('lenormand', { rng });
+    const a = await deck.draw('nine card box', 9);
+    const b = await deck.draw('nine card box', 9);
+    assert.deepStrictEqual(a.indices, b.indices);
+    assert.deepStrictEqual(a.indices, (await rng.drawMultiple('nine card box', 36, 9, false)).indices);
+  });
+
+  await t.test('can draw the whole deck', async () => {
+    const deck = Deck.fromPreset('elder-futhark');
+    const { cards } = await deck.draw('all runes', 24);
+    assert.equal(new Set(cards.map(c => c.id)).size, 24);
+    await assert.rejects(() => deck.draw('too many', 25), /Cannot draw more unique values/);
+  });
+
+  await t.test('custom decks validate their cards', () => {
+    assert.throws(() => new Deck([]), /at least one card/);
+    assert.throws(() => new Deck('cards'), /at least one card/);
+    assert.throws(() => new Deck([{ name: 'No id' }]), /must have a non-empty string id/);
+    assert.throws(() => new Deck(['card']), /must be an object/);
+    assert.throws(
+      () => new Deck([{ id: 'sun' }, { id: 'moon' }, { id: 'sun' }]),
+      /Duplicate card id: sun/
+    );
+    assert.throws(() => Deck.fromPreset('thoth'), /Unknown deck preset: thoth/);
+  });
+
+  await t.test('cards are copied and frozen', () => {
+    const source = [{ id: 'a', name: 'A' }, { id: 'b', name: 'B' }];
+    const deck = new Deck(source);
+    source[0].name = 'Changed';
+    assert.equal(deck.cards[0].name, 'A');
+    assert.ok(Object.isFrozen(deck.cards[0]));
+  });
+
+  await t.test('round-trips through JSON', () => {
+    const deck = new Deck([
+      { id: 'seed', name: 'Seed', keywords: ['beginning'] },
+      { id: 'bloom', name: 'Bloom', keywords: ['fullness'] }
+    ], { name: 'garden-oracle' });
+
+    const json = JSON.stringify(deck);
+    const restored = Deck.fromJSON(json);
+    assert.equal(restored.name, 'garden-oracle');
+    assert.deepStrictEqual(restored.toJSON(), deck.toJSON());
+    assert.deepStrictEqual(Deck.fromJSON(JSON.parse(json)).cards, deck.cards);
+
+    assert.throws(() => Deck.fromJSON('null'), /Deck JSON must be an object/);
+    assert.throws(
+      () => Deck.fromJSON({ cards: [{ id: 'x' }, { id: 'x' }] }),
+      /Duplicate card id: x/
+    );
+  });
+});
@@ -0,0 +1,155 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { RngWithIntention, Deck, DeckSession } from '../src/index.js';
+
+test('DeckSession', async (t) => {
+  const deterministic = new RngWithIntention({ includeTimestamp: false, includeEntropy: false });
+
+  await t.test('starts with every card remaining', () => {
+    const session = new DeckSession(78);
+    assert.equal(session.deckSize, 78);
+    assert.equal(session.remaining.length, 78);
+    assert.deepStrictEqual(session.drawn, []);
+    assert.deepStrictEqual(session.history, []);
+  });
+
+  await t.test('drawn cards stay out of later draws', async () => {
+    const session = new DeckSession(22, { rng: deterministic });
+    const first = await session.draw('the situation', 3);
+    const clarifier = await session.draw('clarify the second card', 1);
+
+    assert.equal(first.indices.length, 3);
+    assert.ok(!first.indices.includes(clarifier.indices[0]));
+    assert.deepStrictEqual(session.drawn, [...first.indices, ...clarifier.indices]);
+    assert.equal(session.remaining.length, 18);
+    session.drawn.forEach(index => assert.ok(!session.remaining.includes(index)));
+  });
+
+  await t.test('the whole deck can be drawn, then no more', async () => {
+    const session = new DeckSession(5, { rng: deterministic });
+    const { indices } = await session.draw('all of it', 5);
+    assert.deepStrictEqual([...indices].sort(), [0, 1, 2, 3, 4]);
+    await assert.rejects(() => session.draw('one more'), /only 0 remain/);
+    await assert.rejects(() => session.draw('bad count', 0), /positive integer/);
+  });
+
+  await t.test('returned cards can be drawn again', async () => {
+    const session = new DeckSession(3, { rng: deterministic });
+    const { indices } = await session.draw('take two', 2);
+
+    assert.deepStrictEqual(session.returnCards([indices[0]]), [indices[0]]);
+    assert.deepStrictEqual(session.drawn, [indices[1]]);
+    assert.equal(session.remaining[session.remaining.length - 1], indices[0]);
+
+    assert.throws(() => session.returnCards([indices[0]]), /has not been drawn/);
+    assert.throws(() => session.returnCards([indices[1], indices[1]]), /has not been drawn/);
+    assert.throws(() => session.returnCards(indices[1]), /must be an array/);
+  });
+
+  await t.test('reshuffle gathers every card into a new order', async () => {
+    const session = new DeckSession(10, { rng: deterministic });
+    await session.draw('before', 4);
+    const { order, timestamp } = await session.reshuffle('start again');
+
+    assert.deepStrictEqual([...order].sort((a, b) => a - b), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    assert.deepStrictEqual(session.remaining, order);
+    assert.deepStrictEqual(session.drawn, []);
+    assert.deepStrictEqual(session.history.map(entry => entry.type), ['draw', 'reshuffle']);
+    assert.equal(session.history[1].timestamp, timestamp);
+  });
+
+  await t.test('history can not be changed through returned arrays', async () => {
+    const session = new DeckSession(22, { rng: new RngWithIntention({ reversalProbability: 0.5 }) });
+    const drawn = await session.draw('the situation', 3);
+    const recorded = [...drawn.indices];
+
+    drawn.indices[0] = 99;
+    drawn.reversed.fill(true);
+    assert.deepStrictEqual(session.history[0].indices, recorded);
+    assert.ok(Object.isFrozen(session.history[0]));
+    assert.throws(() => session.history[0].indices.push(5), TypeError);
+    assert.throws(() => { session.history[0].reversed[0] = true; }, TypeError);
+
+    session.toJSON().history[0].indices.push(5);
+    assert.deepStrictEqual(session.history[0].indices, recorded);
+
+    const resumed = DeckSession.fromJSON(session.toJSON());
+    assert.ok(Object.isFrozen(resumed.history[0].indices));
+  });
+
+  await t.test('reshuffle sets the order and draws set the orientation', async () => {
+    const rngi = new RngWithIntention({ includeTimestamp: false, includeEntropy: false, reversalProbability: 0.5 });
+    const session = new DeckSession(10, { rng: rngi });
+    const shuffled = await session.reshuffle('start again');
+    const remaining = [...session.remaining];
+
+    assert.equal(shuffled.reversed, undefined);
+    assert.deepStrictEqual(Object.keys(session.toJSON().history[0]).sort(), ['timestamp', 'type']);
+
+    // The returned order is a copy of the deck, not the deck itself
+    shuffled.order.reverse();
+    assert.deepStrictEqual(session.remaining, remaining);
+
+    // A draw's orientation depends on its own intention, whatever the reshuffle was
+    const { reversed } = await session.draw('clarify', 3);
+    const other = new DeckSession(10, { rng: rngi });
+    await other.reshuffle('a different start');
+    assert.deepStrictEqual((await other.draw('clarify', 3)).reversed, reversed);
+    assert.deepStrictEqual(session.history[1].reversed, reversed);
+  });
+
+  await t.test('sessions with a Deck return cards', async () => {
+    const deck = Deck.fromPreset('lenormand', { rng: deterministic });
+    const session = new DeckSession(deck);
+    const { indices, cards } = await session.draw('my week', 3);
+
+    assert.equal(session.deckSize, 36);
+    assert.deepStrictEqual(cards, indices.map(index => deck.cards[index]));
+  });
+
+  await t.test('JSON round trip resumes the reading', async () => {
+    const session = new DeckSession(78, { rng: deterministic });
+    await session.draw('first spread', 3);
+    session.returnCards([session.drawn[0]]);
+
+    const saved = JSON.stringify(session);
+    const resumed = DeckSession.fromJSON(saved, { rng: deterministic });
+    assert.deepStrictEqual(resumed.toJSON(), session.toJSON());
+
+    // Both continue identically
+    const a = await session.draw('clarifier', 2);
+    const b = await resumed.draw('clarifier', 2);
+    assert.deepStrictEqual(a.indices, b.indices);
+  });
+
+  await t.test('saved sessions hold indices and timestamps, never intentions', async () => {
+    const rngi = new RngWithIntention({ reversalProbability: 0.5, includeReceipt: true });
+    const session = new DeckSession(78, { rng: rngi });
+    await session.draw('my very private question', 2);
+    await session.reshuffle('another private thought');
+
+    const json = JSON.stringify(session);
+    assert.ok(!json.includes('private'));
+    assert.ok(!json.includes('receipt'));
+    assert.ok(!json.includes('entropy'));
+
+    const [draw] = session.toJSON().history;
+    assert.deepStrictEqual(Object.keys(draw).sort(), ['indices', 'reversed', 'timestamp', 'type']);
+  });
+
+  await t.test('fromJSON rejects inconsistent sessions', () => {
+    const valid = new DeckSession(4).toJSON();
+
+    assert.throws(() => DeckSession.fromJSON(null), /must be an object/);
+    assert.throws(() => DeckSession.fromJSON({ ...valid, version: 99 }), /Unsupported deck session version/);
+    assert.throws(() => DeckSession.fromJSON({ ...valid, remaining: [0, 1, 2] }), /accounts for 3 of 4 cards/);
+    assert.throws(() => DeckSession.fromJSON({ ...valid, drawn: [0] }), /repeated card index: 0/);
+    assert.throws(() => DeckSession.fromJSON({ ...valid, remaining: [0, 1, 2, 7] }), /invalid or repeated card index: 7/);
+    assert.throws(() => DeckSession.fromJSON(valid, { deck: Deck.fromPreset('lenormand') }), /36 cards but the session was saved with 4/);
+  });
+
+  await t.test('rejects invalid decks', () => {
+    assert.throws(() => new DeckSession(0), /Deck or a positive number of cards/);
+    assert.throws(() => new DeckSession('78'), /Deck or a positive number of cards/);
+  });
+});
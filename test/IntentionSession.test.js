@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { RngWithIntention, IntentionSession, verify } from '../src/index.js';
+import { estimateTimingEntropy } from '../src/IntentionSession.js';
+
+/**
+ * A manual time source so contemplation time is reproducible
+ */
+function manualClock(start = 1000) {
+  let now = start;
+  return {
+    now: () => now,
+    advance: (ms) => { now += ms; }
+  };
+}
+
+test('Intention sessions', async (t) => {
+  const deterministic = () => new RngWithIntention({
+    includeTimestamp: false,
+    includeEntropy: false
+  });
+
+  await t.test('beginIntention returns a session', () => {
+    const session = new RngWithIntention().beginIntention();
+    assert.ok(session instanceof IntentionSession);
+    assert.equal(session.eventCount, 0);
+  });
+
+  await t.test('commit draws and reports contemplation', async () => {
+    const clock = manualClock();
+    const session = new RngWithIntention().beginIntention({ now: clock.now });
+    const times = [0, 180, 310, 620, 700, 1150, 1290];
+    for (const time of times) {
+      session.record({ type: 'key', time });
+    }
+    session.record({ type: 'pointer', time: 1500, x: 120, y: 48 });
+    clock.advance(4200);
+
+    const result = await session.commit('What am I not seeing?', 78);
+    assert.ok(result.index >= 0 && result.index < 78);
+    assert.equal(typeof result.timestamp, 'string');
+    assert.equal(result.contemplationMs, 4200);
+    assert.equal(result.eventCount, 8);
+    assert.ok(result.entropyBits > 0 && result.entropyBits <= 8);
+  });
+
+  await t.test('gesture timing changes the seed', async () => {
+    const draw = async (times) => {
+      const clock = manualClock();
+      const session = deterministic().beginIntention({ now: clock.now });
+      times.forEach(time => session.record({ type: 'key', time }));
+      clock.advance(3000);
+      return (await session.commit('same words', 1_000_000)).index;
+    };
+
+    const a = await draw([0, 150, 320, 410]);
+    const b = await draw([0, 150, 320, 410]);
+    const c = await draw([0, 151, 320, 410]);
+    assert.equal(a, b, 'Identical timing should reproduce the draw');
+    assert.notEqual(a, c, 'A single millisecond of difference should change the draw');
+  });
+
+  await t.test('never keeps what was typed', async () => {
+    const session = new RngWithIntention().beginIntention();
+    session.record({ type: 'key', key: 'S', code: 'KeyS', time: 10 });
+    session.record({ type: 'key', key: 'e', time: 90 });
+    assert.ok(!JSON.stringify(session).includes('KeyS'));
+
+    const result = await session.commit('Secret question', 10);
+    assert.ok(!JSON.stringify(result).includes('Secret question'));
+    assert.equal(session.eventCount, 0);
+  });
+
+  await t.test('accepts DOM-style timeStamp and defaults to now', async () => {
+    const clock = manualClock(50);
+    const session = new RngWithIntention().beginIntention({ now: clock.now });
+    session.record({ type: 'pointer', timeStamp: 12.5, x: 1, y: 2 });
+    session.record({ type: 'key' });
+    assert.equal(session.eventCount, 2);
+  });
+
+  await t.test('rejects invalid events', () => {
+    const session = new RngWithIntention().beginIntention();
+    assert.throws(() => session.record(null), /Event type must be one of/);
+    assert.throws(() => session.record({ type: 'scroll', time: 1 }), /Event type must be one of/);
+    assert.throws(() => session.record({ type: 'key', time: NaN }), /Event time must be a finite number/);
+    assert.throws(() => session.record({ type: 'pointer', time: 1, x: 'left' }), /Event x must be a finite number/);
+  });
+
+  await t.test('can only be committed once', async () => {
+    const session = new RngWithIntention().beginIntention();
+    await session.commit('first', 10);
+    await assert.rejects(() => session.commit('second', 10), /already been committed/);
+    assert.throws(() => session.record({ type: 'key', time: 1 }), /already been committed/);
+  });
+
+  await t.test('concurrent commits draw only once', async () => {
+    const session = new RngWithIntention().beginIntention();
+    const first = session.commit('first', 10);
+    const second = session.commit('second', 10);
+
+    await assert.rejects(() => second, /already been committed/);
+    assert.ok((await first).index < 10);
+    assert.throws(() => session.record({ type: 'key', time: 1 }), /already been committed/);
+  });
+
+  await t.test('an invalid commit leaves the session open', async () => {
+    const session = new RngWithIntention().beginIntention();
+    await assert.rejects(() => session.commit('', 10), /Intention must be a non-empty string/);
+    const result = await session.commit('second try', 10);
+    assert.ok(result.index >= 0 && result.index < 10);
+  });
+
+  await t.test('session receipts verify', async () => {
+    const rngi = new RngWithIntention({ includeReceipt: true });
+    const session = rngi.beginIntention();
+    [5, 130, 270, 330, 560].forEach(time => session.record({ type: 'key', time }));
+    const { receipt } = await session.commit('verifiable contemplation', 78);
+    assert.match(receipt.gesture, /^[0-9a-f]{64}$/);
+    assert.equal((await verify(receipt, 'verifiable contemplation')).valid, true);
+  });
+
+  await t.test('entropy estimate is conservative', () => {
+    // Perfectly regular typing (e.g. key repeat) earns nothing
+    assert.equal(estimateTimingEntropy([0, 30, 60, 90, 120, 150]), 0);
+    // Fewer than four events can't show third-order variation
+    assert.equal(estimateTimingEntropy([0, 100, 350]), 0);
+    // Irregular human rhythm earns at most one bit per event
+    const times = [0, 180, 310, 620, 700, 1150, 1290];
+    const bits = estimateTimingEntropy(times);
+    assert.ok(bits > 0 && bits <= times.length);
+  });
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { RngWithIntention, IntentionStream } from '../src/index.js';
+
+test('IntentionStream', async (t) => {
+  const deterministic = () => new RngWithIntention({
+    includeTimestamp: false,
+    includeEntropy: false
+  });
+
+  await t.test('createStream captures one moment', async () => {
+    const rngi = new RngWithIntention();
+    const stream = await rngi.createStream('a question');
+    assert.ok(stream instanceof IntentionStream);
+    assert.equal(typeof stream.timestamp, 'string');
+    assert.ok(!Number.isNaN(Date.parse(stream.timestamp)));
+  });
+
+  await t.test('same seed gives the same stream', async () => {
+    const a = await deterministic().createStream('same');
+    const b = await deterministic().createStream('same');
+    assert.deepStrictEqual(await a.nextBytes(100), await b.nextBytes(100));
+    assert.equal(await a.nextIndex(78), await b.nextIndex(78));
+    assert.equal(await a.nextFloat(), await b.nextFloat());
+  });
+
+  await t.test('does not expose the intention', async () => {
+    const stream = await deterministic().createStream('secret question');
+    assert.ok(!JSON.stringify(stream).includes('secret question'));
+    assert.deepStrictEqual(Object.keys(stream), ['timestamp']);
+  });
+
+  await t.test('reads bytes across block boundaries consistently', async () => {
+    const whole = await deterministic().createStream('blocks');
+    const pieces = await deterministic().createStream('blocks');
+    const expected = await whole.nextBytes(100);
+    const joined = new Uint8Array([
+      ...(await pieces.nextBytes(7)),
+      ...(await pieces.nextBytes(60)),
+      ...(await pieces.nextBytes(33))
+    ]);
+    assert.deepStrictEqual(joined, expected);
+  });
+
+  await t.test('floats are in [0, 1) and spread out', async () => {
+    const stream = await deterministic().createStream('floats');
+    let sum = 0;
+    const n = 2000;
+    for (let i = 0; i < n; i++) {
+      const value = await stream.nextFloat();
+      assert.ok(value >= 0 && value < 1);
+      sum += value;
+    }
+    const mean = sum / n;
+    assert.ok(Math.abs(mean - 0.5) < 0.03, `Mean ${mean} should be near 0.5`);
+  });
+
+  await t.test('iterators yield indices, floats and bytes', async () => {
+    const stream = await deterministic().createStream('iterate');
+
+    const indices = [];
+    for await (const index of stream.indices(6)) {
+      assert.ok(index >= 0 && index < 6);
+      indices.push(index);
+      if (indices.length === 10) break;
+    }
+    assert.equal(indices.length, 10);
+
+    for await (const value of stream) {
+      assert.ok(value >= 0 && value < 1);
+      break;
+    }
+
+    for await (const chunk of stream.bytes(5)) {
+      assert.equal(chunk.length, 5);
+      break;
+    }
+  });
+
+  await t.test('nextBoolean respects its probability', async () => {
+    const stream = await deterministic().createStream('booleans');
+    assert.equal(await stream.nextBoolean(0), false);
+    assert.equal(await stream.nextBoolean(1), true);
+    await assert.rejects(() => stream.nextBoolean(2), /Probability must be a number between 0 and 1/);
+  });
+
+  await t.test('nextIndex validates max', async () => {
+    const stream = await deterministic().createStream('validate');
+    await assert.rejects(() => stream.nextIndex(0), /Max must be a positive integer/);
+  });
+
+  await t.test('drawMultiple reads a whole spread from one stream', async () => {
+    const rngi = deterministic();
+    const spread = await rngi.drawMultiple('three cards', 78, 3);
+    const stream = await rngi.createStream('three cards');
+    const expected = [await stream.nextIndex(78), await stream.nextIndex(78), await stream.nextIndex(78)];
+    assert.deepStrictEqual(spread.indices, expected);
+  });
+
+  await t.test('draw matches the first index of the stream', async () => {
+    const rngi = deterministic();
+    const { index } = await rngi.draw('single', 1000);
+    const stream = await rngi.createStream('single');
+    assert.equal(index, await stream.nextIndex(1000));
+  });
+
+  await t.test('rejects invalid intentions', async () => {
+    await assert.rejects(() => deterministic().createStream(''), /Intention must be a non-empty string/);
+  });
+});
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { RngWithIntention, Deck, Spread, BUILT_IN_SPREADS } from '../src/index.js';
+
+test('Spreads', async (t) => {
+  await t.test('built-in spreads are available by id', () => {
+    assert.equal(Spread.builtIn('single').size, 1);
+    assert.equal(Spread.builtIn('three-card').size, 3);
+    assert.equal(Spread.builtIn('horseshoe').size, 7);
+    assert.equal(Spread.builtIn('celtic-cross').size, 10);
+    assert.equal(Spread.builtIn('celtic-cross').positions[1].layout.rotation, 90);
+    assert.ok(Object.keys(BUILT_IN_SPREADS).includes('celtic-cross'));
+    assert.throws(() => Spread.builtIn('tree-of-life'), /Unknown spread: tree-of-life/);
+  });
+
+  await t.test('drawSpread assigns a distinct card to each position', async () => {
+    const rngi = new RngWithIntention();
+    const result = await rngi.drawSpread('Where am I headed?', 78, 'celtic-cross');
+
+    assert.equal(result.spread, 'celtic-cross');
+    assert.equal(typeof result.timestamp, 'string');
+    assert.equal(result.positions.length, 10);
+    assert.deepStrictEqual(
+      result.positions.map(p => p.position.id),
+      Spread.builtIn('celtic-cross').positions.map(p => p.id)
+    );
+    assert.equal(new Set(result.positions.map(p => p.index)).size, 10);
+    result.positions.forEach(({ index }) => assert.ok(index >= 0 && index < 78));
+  });
+
+  await t.test('drawSpread matches drawMultiple without duplicates', async () => {
+    const rngi = new RngWithIntention({ includeTimestamp: false, includeEntropy: false });
+    const spread = await rngi.drawSpread('three cards', 78, 'three-card');
+    const multiple = await rngi.drawMultiple('three cards', 78, 3, false);
+    assert.deepStrictEqual(spread.positions.map(p => p.index), multiple.indices);
+  });
+
+  await t.test('accepts plain definitions and Spread instances', async () => {
+    const rngi = new RngWithIntention();
+    const definition = {
+      id: 'choice',
+      positions: [
+        { id: 'a', label: 'Path A' },
+        { id: 'b', label: 'Path B' }
+      ]
+    };
+    assert.equal((await rngi.drawSpread('choose', 22, definition)).positions.length, 2);
+    assert.equal((await rngi.drawSpread('choose', 22, new Spread(definition))).positions.length, 2);
+  });
+
+  await t.test('rejects spreads with more positions than cards', async () => {
+    const rngi = new RngWithIntention();
+    await assert.rejects(
+      () => rngi.drawSpread('too big', 5, 'celtic-cross'),
+      /has 10 positions but the deck only has 5 cards/
+    );
+  });
+
+  await t.test('loads custom spreads from JSON and checks them at load time', () => {
+    const json = JSON.stringify({
+      id: 'relationship',
+      name: 'Relationship',
+      positions: [
+        { id: 'you', label: 'You', layout: { x: 0, y: 0 } },
+        { id: 'them', label: 'Them', layout: { x: 2, y: 0 } },
+        { id: 'bond', label: 'The Bond', meaning: 'What connects you', layout: { x: 1, y: 1 } }
+      ]
+    });
+
+    const spread = Spread.fromJSON(json, { deckSize: 36 });
+    assert.equal(spread.name, 'Relationship');
+    assert.equal(spread.positions[2].meaning, 'What connects you');
+    assert.deepStrictEqual(spread.positions[0].layout, { x: 0, y: 0, rotation: 0 });
+    assert.deepStrictEqual(Spread.fromJSON(JSON.stringify(spread)).toJSON(), spread.toJSON());
+
+    assert.throws(() => Spread.fromJSON(json, { deckSize: 2 }), /has 3 positions but the deck only has 2 cards/);
+  });
+
+  await t.test('rejects malformed definitions', () => {
+    assert.throws(() => new Spread(null), /must be an object/);
+    assert.throws(() => new Spread({ positions: [{ id: 'a', label: 'A' }] }), /non-empty string id/);
+    assert.throws(() => new Spread({ id: 'empty', positions: [] }), /at least one position/);
+    assert.throws(
+      () => new Spread({ id: 'dup', positions: [{ id: 'a', label: 'A' }, { id: 'a', label: 'B' }] }),
+      /duplicate position id: a/
+    );
+    assert.throws(() => new Spread({ id: 'nolabel', positions: [{ id: 'a' }] }), /non-empty string label/);
+    assert.throws(
+      () => new Spread({ id: 'layout', positions: [{ id: 'a', label: 'A', layout: { x: 'left', y: 0 } }] }),
+      /layout must have finite x, y and rotation/
+    );
+  });
+
+  await t.test('Deck.drawSpread includes the card for each position', async () => {
+    const deck = Deck.fromPreset('rider-waite');
+    const { positions } = await deck.drawSpread('deck spread', 'three-card');
+    assert.equal(positions.length, 3);
+    positions.forEach(({ index, card }) => assert.equal(card, deck.cards[index]));
+
+    const runes = Deck.fromPreset('major-arcana');
+    await assert.rejects(
+      () => runes.drawSpread('too big', { id: 'big', positions: Array.from({ length: 23 }, (_, i) => ({ id: `p${i}`, label: `P${i}` })) }),
+      /has 23 positions but the deck only has 22 cards/
+    );
+  });
+});
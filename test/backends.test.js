@@ -0,0 +1,139 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { createHash, randomBytes as nodeRandomBytes } from 'node:crypto';
+import { RngWithIntention, verify, registerBackend, getBackendInfo, onBackendEvent } from '../src/index.js';
+import { sha256, hmacSha256, bytesToHex } from '../src/crypto-polyfill.js';
+
+const BUILT_IN = ['node', 'webcrypto', 'js'];
+
+/**
+ * A deterministic generator on the given backend
+ */
+function deterministic(backend, options = {}) {
+  return new RngWithIntention({
+    includeTimestamp: false,
+    includeEntropy: false,
+    clock: () => new Date('2024-12-21T09:00:00.000Z'),
+    backend,
+    ...options
+  });
+}
+
+/**
+ * A user-supplied backend built on Node.js crypto, async and without HMAC
+ */
+function nodeBackedDefinition(name, overrides = {}) {
+  return {
+    name,
+    randomBytes: async size => new Uint8Array(nodeRandomBytes(size)),
+    sha256: async data => new Uint8Array(createHash('sha256').update(data).digest()),
+    ...overrides
+  };
+}
+
+test('Crypto backends', async (t) => {
+  await t.test('every built-in backend hashes like Node.js crypto', async () => {
+    const inputs = [new Uint8Array(0), nodeRandomBytes(55), nodeRandomBytes(64), nodeRandomBytes(1000)];
+    const keys = [nodeRandomBytes(16), nodeRandomBytes(64), nodeRandomBytes(100)];
+
+    for (const backend of BUILT_IN) {
+      for (const data of inputs) {
+        const expected = createHash('sha256').update(data).digest('hex');
+        assert.equal(bytesToHex(await sha256(data, backend)), expected, `${backend} sha256`);
+      }
+      for (const key of keys) {
+        const mac = bytesToHex(await hmacSha256(key, 'seed::ünïcode', backend));
+        assert.equal(mac, bytesToHex(await hmacSha256(key, 'seed::ünïcode', 'node')), `${backend} hmac`);
+      }
+    }
+  });
+
+  await t.test('draws are identical on every backend', async () => {
+    const expected = await deterministic('node').drawMultiple('same on all', 78, 10, false);
+    const sealed = await deterministic('node', { secret: 'passphrase' }).draw('sealed', 2n ** 70n);
+
+    for (const backend of ['webcrypto', 'js']) {
+      assert.deepStrictEqual(await deterministic(backend).drawMultiple('same on all', 78, 10, false), expected);
+      assert.deepStrictEqual(await deterministic(backend, { secret: 'passphrase' }).draw('sealed', 2n ** 70n), sealed);
+    }
+  });
+
+  await t.test('receipts verify on any backend', async () => {
+    const rngi = new RngWithIntention({ includeReceipt: true, backend: 'js' });
+    const { receipt } = await rngi.drawMultiple('portable', 78, 3, false);
+
+    for (const backend of BUILT_IN) {
+      assert.equal((await verify(receipt, 'portable', { backend })).valid, true);
+    }
+  });
+
+  await t.test('auto prefers Node.js crypto here', async () => {
+    assert.deepStrictEqual(await getBackendInfo(), { name: 'node', sync: true, skipped: [] });
+    assert.deepStrictEqual(await new RngWithIntention().getBackendInfo(), { name: 'node', sync: true, skipped: [] });
+    assert.deepStrictEqual(await new RngWithIntention({ backend: 'webcrypto' }).getBackendInfo(), {
+      name: 'webcrypto', sync: false, skipped: []
+    });
+  });
+
+  await t.test('synchronous draws need a synchronous backend', async () => {
+    assert.equal(await RngWithIntention.ready('js'), true);
+    const js = deterministic('js');
+    assert.deepStrictEqual(js.drawSync('sync js', 1000), await deterministic('node').draw('sync js', 1000));
+
+    assert.equal(await RngWithIntention.ready('webcrypto'), false);
+    assert.throws(() => deterministic('webcrypto').drawSync('sync web', 1000), /'webcrypto' is async only; use backend 'js'/);
+  });
+
+  await t.test('user-supplied backends can be registered', async () => {
+    registerBackend(nodeBackedDefinition('test-registered'));
+
+    const info = await getBackendInfo('test-registered');
+    assert.deepStrictEqual(info, { name: 'test-registered', sync: false, skipped: [] });
+
+    // HMAC is built from the backend's own sha256
+    const sealed = await deterministic('test-registered', { secret: 'passphrase' }).draw('custom', 1000000);
+    assert.deepStrictEqual(sealed, await deterministic('node', { secret: 'passphrase' }).draw('custom', 1000000));
+  });
+
+  await t.test('backend objects can be passed directly', async () => {
+    const definition = nodeBackedDefinition('test-inline', {
+      sync: true,
+      randomBytes: size => new Uint8Array(nodeRandomBytes(size)),
+      sha256: data => new Uint8Array(createHash('sha256').update(data).digest())
+    });
+
+    const rngi = deterministic(definition);
+    assert.equal(await RngWithIntention.ready(definition), true);
+    assert.deepStrictEqual(rngi.drawSync('inline', 78), await deterministic('node').draw('inline', 78));
+    assert.equal((await rngi.getBackendInfo()).name, 'test-inline');
+  });
+
+  await t.test('a backend failing its test vectors is never used', async () => {
+    const wrong = nodeBackedDefinition('test-wrong', { sha256: async () => new Uint8Array(32) });
+    await assert.rejects(() => deterministic(wrong).draw('q', 78), /'test-wrong' is not available: SHA-256\(''\) does not match/);
+
+    const misdeclared = nodeBackedDefinition('test-misdeclared', { sync: true });
+    await assert.rejects(() => getBackendInfo(misdeclared), /returned a promise from a synchronous backend/);
+  });
+
+  await t.test('backend events are reported to listeners', async () => {
+    const events = [];
+    const stop = onBackendEvent(event => events.push(event));
+    const definition = nodeBackedDefinition('test-events');
+
+    await deterministic(definition).draw('q', 78);
+    await deterministic(definition).draw('q', 78);
+    stop();
+    await getBackendInfo(nodeBackedDefinition('test-after-stop'));
+
+    assert.deepStrictEqual(events, [{ type: 'backend-selected', backend: 'test-events', sync: false }]);
+  });
+
+  await t.test('rejects invalid backends', () => {
+    assert.throws(() => new RngWithIntention({ backend: 'openssl' }), /Unknown crypto backend: openssl/);
+    assert.throws(() => new RngWithIntention({ backend: { name: 'x', sha256: () => {} } }), /needs a randomBytes function/);
+    assert.throws(() => registerBackend(nodeBackedDefinition('js')), /already registered: js/);
+    assert.throws(() => registerBackend({ randomBytes() {}, sha256() {} }), /needs a name/);
+    assert.throws(() => onBackendEvent('not a function'), /must be a function/);
+  });
+});
@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { RngWithIntention, Deck, roll } from '../src/index.js';
+
+const CLI = fileURLToPath(new URL('../bin/rngi.js', import.meta.url));
+
+/**
+ * Run the CLI, optionally piping input to stdin
+ * @returns {Promise<Object>} { code, stdout, stderr }
+ */
+function rngi(args, input = null) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [CLI, ...args], { timeout: 20000 });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('close', code => resolve({ code, stdout, stderr }));
+    child.stdin.end(input ?? '');
+  });
+}
+
+test('Command-line interface', async (t) => {
+  const deterministic = new RngWithIntention({ includeTimestamp: false, includeEntropy: false });
+
+  await t.test('draw matches the library', async () => {
+    const { code, stdout } = await rngi(['draw', 'pick three', '--max', '100', '--count', '3', '--unique', '--deterministic']);
+    const { indices } = await deterministic.drawMultiple('pick three', 100, 3, false);
+
+    assert.equal(code, 0);
+    assert.equal(stdout, indices.join('\n') + '\n');
+  });
+
+  await t.test('--json prints the full result', async () => {
+    const { stdout } = await rngi(['draw', 'as json', '--max', '78', '--deterministic', '--json']);
+    const result = JSON.parse(stdout);
+    const expected = await deterministic.drawMultiple('as json', 78, 1);
+
+    assert.deepStrictEqual(result.indices, expected.indices);
+    assert.equal(typeof result.timestamp, 'string');
+  });
+
+  await t.test('BigInt draws are written as strings', async () => {
+    const max = '100000000000000000000';
+    const { stdout } = await rngi(['draw', 'huge', '--max', max, '--deterministic', '--json']);
+    const expected = await deterministic.drawMultiple('huge', BigInt(max), 1);
+
+    assert.deepStrictEqual(JSON.parse(stdout).indices, [expected.indices[0].toString()]);
+  });
+
+  await t.test('intentions can be piped on stdin', async () => {
+    const piped = await rngi(['draw', '--max', '1000000', '--deterministic'], 'my private question\n');
+    const dashed = await rngi(['draw', '-', '--max', '1000000', '--deterministic'], 'my private question');
+    const argument = await rngi(['draw', 'my private question', '--max', '1000000', '--deterministic']);
+
+    assert.equal(piped.stdout, argument.stdout);
+    assert.equal(dashed.stdout, argument.stdout);
+  });
+
+  await t.test('decks and reversals print card names', async () => {
+    const { stdout } = await rngi(['draw', 'cards', '--deck', 'lenormand', '--count', '2', '--reversals', '1', '--deterministic']);
+    const deck = Deck.fromPreset('lenormand', { rng: deterministic });
+    const { cards } = await deck.draw('cards', 2);
+
+    assert.equal(stdout, cards.map(card => `${card.name} (reversed)`).join('\n') + '\n');
+  });
+
+  await t.test('spread prints each position', async () => {
+    const { code, stdout } = await rngi(['spread', 'a reading', '--deck', 'rider-waite', '--deterministic']);
+    const { positions } = await Deck.fromPreset('rider-waite', { rng: deterministic }).drawSpread('a reading', 'three-card');
+
+    assert.equal(code, 0);
+    assert.deepStrictEqual(
+      stdout.trim().split('\n'),
+      positions.map(drawn => `${drawn.position.label}: ${drawn.card.name}`)
+    );
+  });
+
+  await t.test('roll shows the total and kept dice', async () => {
+    const { stdout } = await rngi(['roll', 'ability score', '--dice', '4d6kh3+1', '--deterministic']);
+    const expected = await roll('ability score', '4d6kh3+1', { rng: deterministic });
+    const [summary, detail] = stdout.trim().split('\n');
+
+    assert.equal(summary, `4d6kh3+1 = ${expected.total}`);
+    assert.equal((detail.match(/\(\d+\)/g) || []).length, 1);
+  });
+
+  await t.test('usage errors exit with code 2', async () => {
+    const unknownCommand = await rngi(['deal', 'x']);
+    assert.equal(unknownCommand.code, 2);
+    assert.match(unknownCommand.stderr, /Unknown command: deal/);
+
+    const unknownOption = await rngi(['draw', 'x', '--maximum', '3']);
+    assert.match(unknownOption.stderr, /Unknown option: --maximum/);
+
+    const unquoted = await rngi(['draw', 'what', 'now']);
+    assert.match(unquoted.stderr, /quote the intention/);
+
+    const empty = await rngi(['draw'], '');
+    assert.equal(empty.code, 2);
+    assert.match(empty.stderr, /Intention must be a non-empty string/);
+
+    const badDice = await rngi(['roll', 'x', '--dice', '3x']);
+    assert.equal(badDice.code, 2);
+  });
+
+  await t.test('--help prints usage', async () => {
+    const { code, stdout } = await rngi(['--help']);
+    assert.equal(code, 0);
+    assert.match(stdout, /Usage: rngi <command>/);
+  });
+});
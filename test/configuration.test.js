@@ -63,4 +63,93 @@ test('Configuration options', async (t) => {
     const uniquePercent = (unique.size / results.length) * 100;
     assert.ok(uniquePercent >= 80, `Should get diverse results due to entropy, got ${unique.size}/${results.length} unique (${uniquePercent.toFixed(1)}%)`);
   });
+
+  await t.test('custom clock and entropy source make draws reproducible', async () => {
+    const options = {
+      clock: () => new Date('2024-12-21T09:00:00.000Z'),
+      entropySource: async (size) => new Uint8Array(size).fill(7)
+    };
+    const a = await new RngWithIntention(options).drawMultiple('solstice', 78, 5, false);
+    const b = await new RngWithIntention(options).drawMultiple('solstice', 78, 5, false);
+
+    assert.equal(a.timestamp, '2024-12-21T09:00:00.000Z');
+    assert.deepStrictEqual(a, b);
+  });
+
+  await t.test('entropy source receives the requested size and its bytes are used', async () => {
+    const sizes = [];
+    const rngi = new RngWithIntention({
+      includeReceipt: true,
+      entropySource: (size) => {
+        sizes.push(size);
+        // A dice roll typed in by the user
+        return [3, 5, 1, 6, 2];
+      }
+    });
+    const { receipt } = await rngi.draw('dice entropy', 78);
+    assert.deepStrictEqual(sizes, [16]);
+    assert.equal(receipt.entropy, '0305010602');
+  });
+
+  await t.test('clock may return epoch milliseconds', async () => {
+    const rngi = new RngWithIntention({ clock: () => 0 });
+    const { timestamp } = await rngi.draw('epoch', 10);
+    assert.equal(timestamp, '1970-01-01T00:00:00.000Z');
+  });
+
+  await t.test('invalid clock output is rejected', async () => {
+    await assert.rejects(
+      () => new RngWithIntention({ clock: () => 'yesterday' }).draw('test', 10),
+      /Clock must return a valid Date/
+    );
+    await assert.rejects(
+      () => new RngWithIntention({ clock: () => new Date('not a date') }).draw('test', 10),
+      /Clock must return a valid Date/
+    );
+  });
+
+  await t.test('invalid entropy output is rejected', async () => {
+    const cases = [
+      () => new Uint8Array(0),
+      () => new Uint8Array(2048),
+      () => 'random',
+      () => [1, 2, 300]
+    ];
+    for (const entropySource of cases) {
+      await assert.rejects(
+        () => new RngWithIntention({ entropySource }).draw('test', 10),
+        /Entropy source/
+      );
+    }
+  });
+
+  await t.test('system fallback covers a failing entropy source', async () => {
+    const rngi = new RngWithIntention({
+      includeReceipt: true,
+      entropySource: async () => { throw new Error('token unplugged'); },
+      entropyFallback: 'system'
+    });
+    const { receipt } = await rngi.draw('fallback', 78);
+    assert.match(receipt.entropy, /^[0-9a-f]{32}$/);
+
+    await assert.rejects(
+      () => new RngWithIntention({ entropySource: async () => { throw new Error('token unplugged'); } }).draw('test', 10),
+      /Entropy source failed: token unplugged/
+    );
+  });
+
+  await t.test('entropy source is not called when entropy is disabled', async () => {
+    const rngi = new RngWithIntention({
+      includeEntropy: false,
+      entropySource: () => { throw new Error('should not be called'); }
+    });
+    const result = await rngi.draw('no entropy', 10);
+    assert.ok(result.index >= 0 && result.index < 10);
+  });
+
+  await t.test('rejects invalid option types', () => {
+    assert.throws(() => new RngWithIntention({ entropySource: 'dice' }), /entropySource must be a function/);
+    assert.throws(() => new RngWithIntention({ clock: Date.now() }), /clock must be a function/);
+    assert.throws(() => new RngWithIntention({ entropyFallback: 'maybe' }), /entropyFallback must be/);
+  });
 });
@@ -0,0 +1,164 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { RngWithIntention, roll } from '../src/index.js';
+import { parseDiceNotation } from '../src/dice.js';
+
+test('Dice', async (t) => {
+  const deterministic = new RngWithIntention({ includeTimestamp: false, includeEntropy: false });
+
+  await t.test('parses dice groups and constant modifiers', () => {
+    assert.deepStrictEqual(parseDiceNotation('3d6+2'), [
+      { type: 'dice', sign: 1, count: 3, sides: 6, explode: false, keep: null },
+      { type: 'constant', sign: 1, value: 2 }
+    ]);
+    assert.deepStrictEqual(parseDiceNotation('2D10 - 1d4 - 3'), [
+      { type: 'dice', sign: 1, count: 2, sides: 10, explode: false, keep: null },
+      { type: 'dice', sign: -1, count: 1, sides: 4, explode: false, keep: null },
+      { type: 'constant', sign: -1, value: 3 }
+    ]);
+  });
+
+  await t.test('parses percentile, Fudge, exploding and keep/drop dice', () => {
+    assert.equal(parseDiceNotation('d%')[0].sides, 100);
+    assert.equal(parseDiceNotation('d20')[0].count, 1);
+    assert.equal(parseDiceNotation('4dF')[0].sides, 'F');
+    assert.equal(parseDiceNotation('2d6!')[0].explode, true);
+    assert.deepStrictEqual(parseDiceNotation('4d6kh3')[0].keep, { drop: false, highest: true, count: 3 });
+    assert.deepStrictEqual(parseDiceNotation('4d6k3')[0].keep, { drop: false, highest: true, count: 3 });
+    assert.deepStrictEqual(parseDiceNotation('2d20kl1')[0].keep, { drop: false, highest: false, count: 1 });
+    assert.deepStrictEqual(parseDiceNotation('4d6dl1')[0].keep, { drop: true, highest: false, count: 1 });
+    assert.deepStrictEqual(parseDiceNotation('3d8!dh1')[0].keep, { drop: true, highest: true, count: 1 });
+  });
+
+  await t.test('reports malformed notation with its position', () => {
+    const cases = [
+      ['', /non-empty string/],
+      ['3d', /expected number of sides at position 2/],
+      ['2d6x', /unexpected 'x' at position 3/],
+      ['3d6+', /expected a number or dice at position 4/],
+      ['3x', /expected '\+' or '-' at position 1/],
+      ['0d6', /number of dice must be between 1 and 1000 at position 0/],
+      ['1d0', /number of sides must be between 1 and 1000000 at position 0/],
+      ['1d1!', /only dice with 2 or more sides can explode at position 3/],
+      ['4dF!', /only dice with 2 or more sides can explode at position 3/],
+      ['2d6!!', /can only explode once at position 4/],
+      ['4d6kh5', /can keep between 1 and 4 dice at position 3/],
+      ['4d6dl4', /can drop between 0 and 3 dice at position 3/],
+      ['4d6kh', /expected how many dice to keep or drop at position 5/],
+      ['4d6kh3kl1', /only one keep or drop modifier is allowed at position 6/]
+    ];
+
+    for (const [notation, message] of cases) {
+      assert.throws(() => parseDiceNotation(notation), message, notation);
+    }
+  });
+
+  await t.test('rejects bad notation before capturing a moment', async () => {
+    await assert.rejects(() => roll('intention', '3d'), /Invalid dice notation "3d"/);
+    await assert.rejects(() => roll('intention', 42), /non-empty string/);
+  });
+
+  await t.test('totals are the kept dice plus the modifier', async () => {
+    for (let i = 0; i < 30; i++) {
+      const result = await roll(`prompt ${i}`, '3d6+2', { rng: deterministic });
+      const [group] = result.groups;
+
+      assert.equal(result.notation, '3d6+2');
+      assert.equal(group.notation, '3d6');
+      assert.equal(group.dice.length, 3);
+      group.dice.forEach(die => {
+        assert.ok(die.value >= 1 && die.value <= 6);
+        assert.equal(die.kept, true);
+      });
+      assert.equal(result.modifier, 2);
+      assert.equal(result.total, group.kept.reduce((sum, value) => sum + value, 0) + 2);
+      assert.ok(result.total >= 5 && result.total <= 20);
+    }
+  });
+
+  await t.test('keep highest keeps the largest dice', async () => {
+    for (let i = 0; i < 30; i++) {
+      const { groups: [group], total } = await roll(`stats ${i}`, '4d6kh3', { rng: deterministic });
+      const values = group.dice.map(die => die.value);
+      const expected = [...values].sort((a, b) => b - a).slice(0, 3);
+
+      assert.equal(group.kept.length, 3);
+      assert.deepStrictEqual([...group.kept].sort((a, b) => b - a), expected);
+      assert.equal(group.dice.filter(die => die.kept).length, 3);
+      assert.equal(total, expected.reduce((sum, value) => sum + value, 0));
+    }
+  });
+
+  await t.test('drop lowest matches keep highest on the same moment', async () => {
+    const kept = await roll('same moment', '4d6kh3', { rng: deterministic });
+    const dropped = await roll('same moment', '4d6dl1', { rng: deterministic });
+    const values = result => result.groups[0].dice.map(die => die.value);
+    const sortedKept = result => [...result.groups[0].kept].sort((a, b) => a - b);
+
+    assert.deepStrictEqual(values(dropped), values(kept));
+    assert.deepStrictEqual(sortedKept(dropped), sortedKept(kept));
+    assert.equal(dropped.total, kept.total);
+  });
+
+  await t.test('Fudge dice land on -1, 0 or +1', async () => {
+    const seen = new Set();
+    for (let i = 0; i < 20; i++) {
+      const { groups: [group], total } = await roll(`fate ${i}`, '4dF', { rng: deterministic });
+      group.dice.forEach(die => seen.add(die.value));
+      assert.ok(total >= -4 && total <= 4);
+    }
+    assert.deepStrictEqual([...seen].sort(), [-1, 0, 1]);
+  });
+
+  await t.test('exploding dice add a die for each maximum', async () => {
+    let explosions = 0;
+    for (let i = 0; i < 60; i++) {
+      const { groups: [group] } = await roll(`burst ${i}`, '2d4!', { rng: deterministic });
+      const exploded = group.dice.filter(die => die.exploded);
+
+      exploded.forEach(die => assert.equal(die.value, 4));
+      assert.equal(group.dice.length, 2 + exploded.length);
+      explosions += exploded.length;
+    }
+    assert.ok(explosions > 0, 'expected at least one explosion in 60 rolls of 2d4!');
+  });
+
+  await t.test('keep and drop choose from the exploded pool', async () => {
+    let explosions = 0;
+    for (let i = 0; i < 60; i++) {
+      const { groups: [kept] } = await roll(`pool ${i}`, '4d6!kh3', { rng: deterministic });
+      const { groups: [dropped] } = await roll(`pool ${i}`, '4d6!dl1', { rng: deterministic });
+      const values = kept.dice.map(die => die.value);
+      const pool = values.length;
+
+      assert.equal(pool, 4 + kept.dice.filter(die => die.exploded).length);
+      assert.deepStrictEqual([...kept.kept].sort((a, b) => b - a), [...values].sort((a, b) => b - a).slice(0, 3));
+      assert.equal(dropped.kept.length, pool - 1);
+      assert.equal(dropped.subtotal, values.reduce((sum, value) => sum + value, 0) - Math.min(...values));
+      if (pool > 4) explosions++;
+    }
+    assert.ok(explosions > 0, 'expected at least one explosion in 60 rolls of 4d6!');
+  });
+
+  await t.test('negative groups subtract', async () => {
+    const result = await roll('balance', '1d6-1d6', { rng: deterministic });
+    const [plus, minus] = result.groups;
+    assert.equal(minus.sign, -1);
+    assert.equal(result.total, plus.kept[0] - minus.kept[0]);
+  });
+
+  await t.test('deterministic rolls repeat and differ by intention', async () => {
+    const first = await roll('repeatable', '10d20', { rng: deterministic });
+    const second = await roll('repeatable', '10d20', { rng: deterministic });
+    const other = await roll('different', '10d20', { rng: deterministic });
+
+    assert.deepStrictEqual(first.groups, second.groups);
+    assert.notDeepStrictEqual(first.groups[0].dice, other.groups[0].dice);
+  });
+
+  await t.test('defaults to a fresh generator', async () => {
+    const result = await roll('default', 'd%');
+    assert.ok(result.total >= 1 && result.total <= 100);
+    assert.equal(typeof result.timestamp, 'string');
+  });
+});
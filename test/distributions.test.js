@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { RngWithIntention, verify } from '../src/index.js';
+
+const SAMPLES = 2000;
+
+// Kolmogorov–Smirnov critical value at alpha = 0.01
+const KS_CRITICAL = 1.628 / Math.sqrt(SAMPLES);
+
+/**
+ * Standard normal CDF (Abramowitz and Stegun 7.1.26, error below 1.5e-7)
+ */
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Largest gap between the empirical CDF of values and the expected CDF
+ */
+function ksStatistic(values, cdf) {
+  const sorted = [...values].sort((a, b) => a - b);
+  let d = 0;
+  sorted.forEach((value, i) => {
+    const expected = cdf(value);
+    d = Math.max(d, (i + 1) / sorted.length - expected, expected - i / sorted.length);
+  });
+  return d;
+}
+
+/**
+ * Draw SAMPLES values, one intention each
+ */
+async function sample(draw) {
+  const values = [];
+  for (let i = 0; i < SAMPLES; i++) {
+    values.push((await draw(`sample ${i}`)).value);
+  }
+  return values;
+}
+
+test('Float, range and distribution draws', async (t) => {
+  const deterministic = new RngWithIntention({ includeTimestamp: false, includeEntropy: false });
+
+  await t.test('drawFloat is uniform on [0, 1)', async () => {
+    const values = await sample(intention => deterministic.drawFloat(intention));
+    values.forEach(value => assert.ok(value >= 0 && value < 1));
+    assert.ok(ksStatistic(values, x => x) < KS_CRITICAL);
+  });
+
+  await t.test('drawFloat uses the low bits of the mantissa', async () => {
+    const values = await sample(intention => deterministic.drawFloat(intention));
+    // With only 32 bits of precision every value would be a multiple of 2^-32
+    assert.ok(values.some(value => !Number.isInteger(value * 2 ** 32)));
+  });
+
+  await t.test('drawRange covers an inclusive range, including negatives', async () => {
+    const counts = new Map();
+    for (let i = 0; i < SAMPLES; i++) {
+      const { value } = await deterministic.drawRange(`range ${i}`, -3, 3);
+      assert.ok(Number.isInteger(value) && value >= -3 && value <= 3);
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }
+    assert.deepStrictEqual([...counts.keys()].sort((a, b) => a - b), [-3, -2, -1, 0, 1, 2, 3]);
+
+    // Chi-square with 6 degrees of freedom; 16.81 is the 0.01 critical value
+    const expected = SAMPLES / 7;
+    const chiSquare = [...counts.values()].reduce((sum, count) => sum + (count - expected) ** 2 / expected, 0);
+    assert.ok(chiSquare < 16.81, `chi-square ${chiSquare.toFixed(2)}`);
+  });
+
+  await t.test('drawRange with min === max returns it', async () => {
+    const { value } = await deterministic.drawRange('fixed', 120, 120);
+    assert.equal(value, 120);
+  });
+
+  await t.test('drawNormal matches the normal distribution', async () => {
+    const values = await sample(intention => deterministic.drawNormal(intention, 100, 15));
+    const mean = values.reduce((sum, value) => sum + value, 0) / SAMPLES;
+    const sd = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (SAMPLES - 1));
+
+    // Standard error of the mean is 15 / sqrt(2000), about 0.34
+    assert.ok(Math.abs(mean - 100) < 1.5, `mean ${mean}`);
+    assert.ok(Math.abs(sd - 15) < 1.5, `standard deviation ${sd}`);
+    assert.ok(ksStatistic(values, x => normalCdf((x - 100) / 15)) < KS_CRITICAL);
+  });
+
+  await t.test('drawExponential matches the exponential distribution', async () => {
+    const values = await sample(intention => deterministic.drawExponential(intention, 0.5));
+    values.forEach(value => assert.ok(value >= 0 && Number.isFinite(value)));
+    assert.ok(ksStatistic(values, x => 1 - Math.exp(-0.5 * x)) < KS_CRITICAL);
+  });
+
+  await t.test('defaults: standard normal and rate 1', async () => {
+    const stream = await deterministic.createStream('defaults');
+    const again = await deterministic.createStream('defaults');
+    assert.equal((await deterministic.drawNormal('defaults')).value, await stream.nextNormal());
+    assert.equal((await deterministic.drawExponential('defaults')).value, await again.nextExponential());
+  });
+
+  await t.test('rejects bad parameters before capturing a moment', async () => {
+    await assert.rejects(() => deterministic.drawRange('q', 5, 1), /min must not be greater than max/);
+    await assert.rejects(() => deterministic.drawRange('q', 0.5, 2), /safe integers/);
+    await assert.rejects(() => deterministic.drawRange('q', -Number.MAX_SAFE_INTEGER, Number.MAX_SAFE_INTEGER), /at most/);
+    await assert.rejects(() => deterministic.drawNormal('q', NaN), /Mean must be a finite number/);
+    await assert.rejects(() => deterministic.drawNormal('q', 0, 0), /Standard deviation must be a positive number/);
+    await assert.rejects(() => deterministic.drawExponential('q', -1), /Rate must be a positive number/);
+    await assert.rejects(() => deterministic.drawFloat(''), /Intention/);
+  });
+
+  await t.test('values are not reversed, and receipts verify', async () => {
+    const rngi = new RngWithIntention({ includeReceipt: true, reversalProbability: 0.5 });
+
+    for (const [method, args] of [['drawFloat', []], ['drawRange', [60, 140]], ['drawNormal', [0, 2]], ['drawExponential', [3]]]) {
+      const drawn = await rngi[method]('a tempo', ...args);
+      assert.ok(!('reversed' in drawn), method);
+      assert.ok(!('reversalProbability' in drawn.receipt.params), method);
+
+      const verdict = await verify(JSON.parse(JSON.stringify(drawn.receipt)), 'a tempo');
+      assert.equal(verdict.valid, true, method);
+      assert.equal(verdict.result, drawn.value, method);
+    }
+  });
+});
@@ -42,6 +42,72 @@ test('drawMultiple functionality', async (t) => {
     assert.equal(unique.size, 10);
   });
 
+  await t.test('never returns duplicates for adversarial sizes', async () => {
+    const rngi = new RngWithIntention({
+      includeTimestamp: false,
+      includeEntropy: false
+    });
+
+    const cases = [
+      [1, 1], [2, 2], [3, 2], [22, 22], [36, 35],
+      [78, 10], [78, 70], [78, 77], [78, 78], [1000, 999]
+    ];
+
+    for (const [max, count] of cases) {
+      for (let seed = 0; seed < 20; seed++) {
+        const { indices } = await rngi.drawMultiple(`spread ${seed}`, max, count, false);
+        assert.equal(indices.length, count);
+        assert.equal(new Set(indices).size, count, `Duplicate in ${count} of ${max}: ${indices}`);
+        indices.forEach(index => assert.ok(Number.isInteger(index) && index >= 0 && index < max));
+      }
+    }
+  });
+
+  await t.test('full draw returns a complete deck order', async () => {
+    const rngi = new RngWithIntention();
+    const { indices } = await rngi.drawMultiple('full deck', 78, 78, false);
+    assert.deepStrictEqual([...indices].sort((a, b) => a - b), Array.from({ length: 78 }, (_, i) => i));
+  });
+
+  await t.test('unique draws from huge ranges', async () => {
+    const rngi = new RngWithIntention();
+    const numeric = await rngi.drawMultiple('huge', 2 ** 48, 50, false);
+    assert.equal(new Set(numeric.indices).size, 50);
+
+    const big = await rngi.drawMultiple('huge', 2n ** 128n, 25, false);
+    assert.equal(new Set(big.indices).size, 25);
+    big.indices.forEach(index => assert.equal(typeof index, 'bigint'));
+  });
+
+  await t.test('unique draws are deterministic with a fixed seed', async () => {
+    const rngi = new RngWithIntention({
+      includeTimestamp: false,
+      includeEntropy: false
+    });
+    const a = await rngi.drawMultiple('celtic cross', 78, 10, false);
+    const b = await rngi.drawMultiple('celtic cross', 78, 10, false);
+    assert.deepStrictEqual(a.indices, b.indices);
+  });
+
+  await t.test('every order of a small deck is reachable and roughly equally likely', async () => {
+    const rngi = new RngWithIntention({
+      includeTimestamp: false,
+      includeEntropy: false
+    });
+    const counts = new Map();
+    const trials = 1200;
+    for (let i = 0; i < trials; i++) {
+      const { indices } = await rngi.drawMultiple(`order ${i}`, 3, 3, false);
+      const key = indices.join(',');
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    assert.equal(counts.size, 6);
+    for (const [order, count] of counts) {
+      // Expected 200 each; allow a wide margin to keep the test stable
+      assert.ok(count > 140 && count < 260, `Order ${order} drawn ${count} times`);
+    }
+  });
+
   await t.test('throws error when drawing more unique values than possible', async () => {
     const rngi = new RngWithIntention();
     await assert.rejects(
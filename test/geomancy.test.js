@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { RngWithIntention, castGeomancy } from '../src/index.js';
+import { describeFigure, addFigures } from '../src/geomancy.js';
+
+/**
+ * Figure from a row string such as '2112'
+ */
+function figure(rows) {
+  return describeFigure(rows.split('').map(Number));
+}
+
+test('Geomancy', async (t) => {
+  const deterministic = new RngWithIntention({ includeTimestamp: false, includeEntropy: false });
+
+  await t.test('all sixteen figures have distinct names', () => {
+    const names = new Set();
+    for (let pattern = 0; pattern < 16; pattern++) {
+      const rows = [0, 1, 2, 3].map(bit => ((pattern >> bit) & 1 ? 1 : 2));
+      const { name } = describeFigure(rows);
+      assert.ok(name, `no name for ${rows.join('')}`);
+      names.add(name);
+    }
+    assert.equal(names.size, 16);
+  });
+
+  await t.test('known figures have the right names and points', () => {
+    assert.equal(figure('1111').name, 'Via');
+    assert.equal(figure('2222').name, 'Populus');
+    assert.equal(figure('1121').name, 'Puer');
+    assert.equal(figure('1211').name, 'Puella');
+    assert.equal(figure('2111').name, 'Caput Draconis');
+    assert.equal(figure('1112').name, 'Cauda Draconis');
+    assert.equal(figure('2212').points, 7);
+  });
+
+  await t.test('adding figures follows the odd/even rule', () => {
+    // Via + Via = Populus; Populus is the identity
+    assert.equal(addFigures(figure('1111'), figure('1111')).name, 'Populus');
+    assert.equal(addFigures(figure('2121'), figure('2222')).name, 'Acquisitio');
+    // Acquisitio + Amissio = Via
+    assert.equal(addFigures(figure('2121'), figure('1212')).name, 'Via');
+  });
+
+  await t.test('charts follow the traditional derivation rules', async () => {
+    for (let i = 0; i < 50; i++) {
+      const chart = await castGeomancy(`question ${i}`, { rng: deterministic });
+      const { mothers, daughters, nieces, witnesses, judge, reconciler } = chart;
+
+      assert.equal(mothers.length, 4);
+      [...mothers, ...daughters, ...nieces, witnesses.right, witnesses.left, judge, reconciler]
+        .forEach(f => {
+          assert.equal(f.rows.length, 4);
+          f.rows.forEach(row => assert.ok(row === 1 || row === 2));
+          assert.equal(f.name, describeFigure(f.rows).name);
+        });
+
+      // Daughter n is the nth row of each Mother
+      daughters.forEach((daughter, d) => {
+        assert.deepStrictEqual(daughter.rows, mothers.map(mother => mother.rows[d]));
+      });
+
+      assert.deepStrictEqual(nieces[0], addFigures(mothers[0], mothers[1]));
+      assert.deepStrictEqual(nieces[1], addFigures(mothers[2], mothers[3]));
+      assert.deepStrictEqual(nieces[2], addFigures(daughters[0], daughters[1]));
+      assert.deepStrictEqual(nieces[3], addFigures(daughters[2], daughters[3]));
+      assert.deepStrictEqual(witnesses.right, addFigures(nieces[0], nieces[1]));
+      assert.deepStrictEqual(witnesses.left, addFigures(nieces[2], nieces[3]));
+      assert.deepStrictEqual(judge, addFigures(witnesses.right, witnesses.left));
+      assert.deepStrictEqual(reconciler, addFigures(judge, mothers[0]));
+    }
+  });
+
+  await t.test('the Judge always has an even number of points', async () => {
+    const judges = new Set();
+    for (let i = 0; i < 100; i++) {
+      const { judge } = await castGeomancy(`judge ${i}`, { rng: deterministic });
+      assert.equal(judge.points % 2, 0, `${judge.name} has ${judge.points} points`);
+      judges.add(judge.name);
+    }
+    // Only the eight even figures can judge
+    assert.ok(judges.size <= 8);
+  });
+
+  await t.test('houses hold Mothers, Daughters and Nieces in order', async () => {
+    const chart = await castGeomancy('houses', { rng: deterministic });
+    assert.equal(chart.houses.length, 12);
+    chart.houses.forEach(({ house }, i) => assert.equal(house, i + 1));
+    assert.deepStrictEqual(
+      chart.houses.map(({ figure: f }) => f),
+      [...chart.mothers, ...chart.daughters, ...chart.nieces]
+    );
+  });
+
+  await t.test('deterministic casts repeat and default to a fresh generator', async () => {
+    const first = await castGeomancy('same question', { rng: deterministic });
+    const second = await castGeomancy('same question', { rng: deterministic });
+    assert.deepStrictEqual(first.mothers, second.mothers);
+
+    const fresh = await castGeomancy('default');
+    assert.equal(fresh.mothers.length, 4);
+    assert.equal(typeof fresh.timestamp, 'string');
+  });
+});
@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { RngWithIntention, castHexagram } from '../src/index.js';
+import { CASTING_METHODS, describeHexagram } from '../src/iching.js';
+
+/**
+ * Count line values over every outcome of a casting method
+ */
+function exactLineCounts(method) {
+  const { outcomes, toLine } = CASTING_METHODS[method];
+  const counts = { 6: 0, 7: 0, 8: 0, 9: 0 };
+  for (let outcome = 0; outcome < outcomes; outcome++) {
+    counts[toLine(outcome)]++;
+  }
+  return counts;
+}
+
+test('I Ching', async (t) => {
+  const deterministic = new RngWithIntention({ includeTimestamp: false, includeEntropy: false });
+
+  await t.test('coin method has exact probabilities 1/8, 3/8, 3/8, 1/8', () => {
+    assert.equal(CASTING_METHODS.coins.outcomes, 8);
+    assert.deepStrictEqual(exactLineCounts('coins'), { 6: 1, 7: 3, 8: 3, 9: 1 });
+  });
+
+  await t.test('yarrow method has exact probabilities 1/16, 5/16, 7/16, 3/16', () => {
+    assert.equal(CASTING_METHODS.yarrow.outcomes, 16);
+    assert.deepStrictEqual(exactLineCounts('yarrow'), { 6: 1, 7: 5, 8: 7, 9: 3 });
+  });
+
+  await t.test('King Wen numbering covers all 64 hexagrams once', () => {
+    const numbers = new Set();
+    for (let pattern = 0; pattern < 64; pattern++) {
+      const yang = Array.from({ length: 6 }, (_, i) => Boolean((pattern >> i) & 1));
+      numbers.add(describeHexagram(yang).number);
+    }
+    assert.equal(numbers.size, 64);
+    assert.ok([...numbers].every(n => n >= 1 && n <= 64));
+  });
+
+  await t.test('known hexagrams have the right numbers', () => {
+    const yang = lines => lines.split('').map(c => c === '1');
+    assert.equal(describeHexagram(yang('111111')).number, 1);   // Qian, The Creative
+    assert.equal(describeHexagram(yang('000000')).number, 2);   // Kun, The Receptive
+    assert.equal(describeHexagram(yang('100010')).number, 3);   // Zhun: thunder below water
+    assert.equal(describeHexagram(yang('111000')).number, 11);  // Tai: heaven below earth
+    assert.equal(describeHexagram(yang('000111')).number, 12);  // Pi: earth below heaven
+    assert.equal(describeHexagram(yang('101010')).number, 63);  // Ji Ji: fire below water
+    assert.equal(describeHexagram(yang('010101')).number, 64);  // Wei Ji: water below fire
+    const hexagram = describeHexagram(yang('100010'));
+    assert.equal(hexagram.lower, 'zhen');
+    assert.equal(hexagram.upper, 'kan');
+  });
+
+  await t.test('cast returns six lines and consistent hexagrams', async () => {
+    for (const method of ['coins', 'yarrow']) {
+      for (let i = 0; i < 30; i++) {
+        const cast = await castHexagram(`question ${i}`, { method, rng: deterministic });
+        assert.equal(cast.method, method);
+        assert.equal(cast.lines.length, 6);
+        cast.lines.forEach(line => assert.ok([6, 7, 8, 9].includes(line)));
+
+        const expectedChanging = cast.lines.flatMap((line, j) => (line === 6 || line === 9 ? [j + 1] : []));
+        assert.deepStrictEqual(cast.changingLines, expectedChanging);
+
+        const primaryYang = cast.lines.map(line => (line % 2 === 1 ? '1' : '0')).join('');
+        assert.equal(cast.primary.lines, primaryYang);
+
+        if (expectedChanging.length === 0) {
+          assert.equal(cast.relating, null);
+        } else {
+          const relatingYang = cast.lines.map(line => (line === 6 || line === 7 ? '1' : '0')).join('');
+          assert.equal(cast.relating.lines, relatingYang);
+        }
+      }
+    }
+  });
+
+  await t.test('defaults to the coin method and a fresh generator', async () => {
+    const cast = await castHexagram('default');
+    assert.equal(cast.method, 'coins');
+    assert.equal(typeof cast.timestamp, 'string');
+  });
+
+  await t.test('line frequencies match each method statistically', async () => {
+    const expected = {
+      coins: { 6: 1 / 8, 7: 3 / 8, 8: 3 / 8, 9: 1 / 8 },
+      yarrow: { 6: 1 / 16, 7: 5 / 16, 8: 7 / 16, 9: 3 / 16 }
+    };
+
+    for (const method of ['coins', 'yarrow']) {
+      const counts = { 6: 0, 7: 0, 8: 0, 9: 0 };
+      const casts = 1000;
+      for (let i = 0; i < casts; i++) {
+        const { lines } = await castHexagram(`frequency ${i}`, { method, rng: deterministic });
+        lines.forEach(line => counts[line]++);
+      }
+
+      const total = casts * 6;
+      let chiSquare = 0;
+      for (const line of [6, 7, 8, 9]) {
+        const e = total * expected[method][line];
+        chiSquare += (counts[line] - e) ** 2 / e;
+      }
+      // 3 degrees of freedom: 16.27 is the 0.999 quantile
+      assert.ok(chiSquare < 16.27, `${method}: chi-square ${chiSquare.toFixed(2)} for ${JSON.stringify(counts)}`);
+    }
+  });
+
+  await t.test('rejects unknown methods', async () => {
+    await assert.rejects(() => castHexagram('test', { method: 'dice' }), /Unknown casting method: dice/);
+    await assert.rejects(() => castHexagram('test', { method: 'toString' }), /Unknown casting method/);
+  });
+});
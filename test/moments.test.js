@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { RngWithIntention, verify } from '../src/index.js';
+
+test('Moments', async (t) => {
+  await t.test('high-resolution time is off by default', async () => {
+    const result = await new RngWithIntention().draw('question', 78);
+    assert.ok(!('hrtime' in result));
+  });
+
+  await t.test('high-resolution time separates draws within a millisecond', async () => {
+    const rngi = new RngWithIntention({
+      includeEntropy: false,
+      highResolutionTime: true,
+      clock: () => new Date('2024-12-21T09:00:00.000Z')
+    });
+
+    const results = [];
+    for (let i = 0; i < 20; i++) {
+      results.push(await rngi.drawMultiple('same intention', 1000000, 2));
+    }
+
+    // One frozen millisecond, yet every draw has its own moment and seed
+    assert.equal(new Set(results.map(r => r.timestamp)).size, 1);
+    assert.equal(new Set(results.map(r => r.hrtime)).size, 20);
+    assert.equal(new Set(results.map(r => r.indices.join(','))).size, 20);
+
+    results.forEach(r => assert.match(r.hrtime, /^\d+$/));
+    for (let i = 1; i < results.length; i++) {
+      assert.ok(BigInt(results[i].hrtime) > BigInt(results[i - 1].hrtime));
+    }
+  });
+
+  await t.test('high-resolution time follows includeTimestamp', async () => {
+    const rngi = new RngWithIntention({ includeTimestamp: false, includeEntropy: false, highResolutionTime: true });
+    const first = await rngi.draw('deterministic', 1000000);
+    const second = await rngi.draw('deterministic', 1000000);
+
+    assert.ok(!('hrtime' in first));
+    assert.equal(first.index, second.index);
+  });
+
+  await t.test('receipts commit to and verify the high-resolution time', async () => {
+    const rngi = new RngWithIntention({ highResolutionTime: true, includeReceipt: true });
+    const { hrtime, receipt } = await rngi.draw('precise question', 78);
+
+    assert.equal(receipt.hrtime, hrtime);
+    assert.equal((await verify(receipt, 'precise question')).valid, true);
+
+    const tampered = { ...receipt, hrtime: (BigInt(hrtime) + 1n).toString() };
+    assert.match((await verify(tampered, 'precise question')).reason, /does not match commitment/);
+  });
+
+  await t.test('at() draws at an explicit moment', async () => {
+    const rngi = new RngWithIntention({ includeEntropy: false, highResolutionTime: true });
+    const journal = rngi.at('2024-03-01T09:15:00Z');
+
+    const first = await journal.draw('what did I write that morning?', 78);
+    const second = await journal.draw('what did I write that morning?', 78);
+
+    assert.equal(first.timestamp, '2024-03-01T09:15:00.000Z');
+    assert.ok(!('hrtime' in first));
+    assert.equal(first.index, second.index);
+
+    // The original generator is unchanged
+    assert.notEqual((await rngi.draw('now', 78)).timestamp, first.timestamp);
+  });
+
+  await t.test('at() accepts Dates and epoch milliseconds', async () => {
+    const rngi = new RngWithIntention({ includeEntropy: false });
+    const moment = new Date('2024-03-01T09:15:00Z');
+
+    const fromDate = await rngi.at(moment).drawMultiple('same minute', 1000000, 3);
+    const fromNumber = await rngi.at(moment.getTime()).drawMultiple('same minute', 1000000, 3);
+    const nextMinute = await rngi.at(moment.getTime() + 60000).drawMultiple('same minute', 1000000, 3);
+
+    assert.deepStrictEqual(fromDate.indices, fromNumber.indices);
+    assert.notDeepStrictEqual(fromDate.indices, nextMinute.indices);
+  });
+
+  await t.test('at() keeps entropy and receipts', async () => {
+    const rngi = new RngWithIntention({ includeReceipt: true, reversalProbability: 0.5 });
+    const result = await rngi.at('2023-11-05').draw('recorded question', 78);
+
+    assert.equal(result.timestamp, '2023-11-05T00:00:00.000Z');
+    assert.equal(typeof result.reversed, 'boolean');
+    assert.match(result.receipt.entropy, /^[0-9a-f]{32}$/);
+    assert.equal((await verify(result.receipt, 'recorded question')).valid, true);
+  });
+
+  await t.test('at() rejects invalid moments', () => {
+    const rngi = new RngWithIntention();
+    assert.throws(() => rngi.at('the day I asked'), /Moment must be a valid Date/);
+    assert.throws(() => rngi.at(new Date('invalid')), /Moment must be a valid Date/);
+    assert.throws(() => rngi.at(NaN), /Moment must be a valid Date/);
+    assert.throws(() => rngi.at(), /Moment must be a valid Date/);
+  });
+});
@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { RngWithIntention, verify } from '../src/index.js';
+import { normalizeIntention, resolveNormalization } from '../src/seed.js';
+
+/**
+ * A deterministic generator with the given normalization policy
+ */
+function deterministic(normalize) {
+  return new RngWithIntention({ includeTimestamp: false, includeEntropy: false, normalizeIntention: normalize });
+}
+
+/**
+ * Normalize with an unresolved option, as the constructor would
+ */
+function normalize(intention, option) {
+  return normalizeIntention(intention, resolveNormalization(option));
+}
+
+test('Intention normalization', async (t) => {
+  await t.test('default seeds with the intention exactly as given', async () => {
+    const rngi = deterministic();
+    const composed = await rngi.drawMultiple('café', 1000000, 3);
+    const decomposed = await rngi.drawMultiple('cafe\u0301', 1000000, 3);
+    const spaced = await rngi.drawMultiple('café\n', 1000000, 3);
+
+    assert.notDeepStrictEqual(composed.indices, decomposed.indices);
+    assert.notDeepStrictEqual(composed.indices, spaced.indices);
+  });
+
+  await t.test('NFC joins composed and decomposed accents', async () => {
+    const rngi = deterministic(true);
+    const composed = await rngi.draw('café', 1000000);
+    const decomposed = await rngi.draw('cafe\u0301', 1000000);
+    assert.equal(composed.index, decomposed.index);
+
+    // Vietnamese stacks two marks on one letter
+    assert.equal(normalize('Vie\u0323\u0302t Nam', true), 'Vi\u1EC7t Nam');
+  });
+
+  await t.test('NFKC folds full-width letters and ligatures', async () => {
+    assert.equal(normalize('ｃａｆé', 'NFKC'), 'café');
+    assert.equal(normalize('ﬁnd my ﬂow', 'NFKC'), 'find my flow');
+    assert.equal(normalize('ｃａｆé', 'NFC'), 'ｃａｆé');
+  });
+
+  await t.test('whitespace collapses across scripts', async () => {
+    assert.equal(normalize('  what   should I\tknow?\n', true), 'what should I know?');
+    assert.equal(normalize('what\u00A0should\u3000I know?', true), 'what should I know?');
+    assert.equal(normalize('今日の\u3000運勢は？\n', true), '今日の 運勢は？');
+    assert.equal(normalize('  keep   inner  \n', { whitespace: 'trim' }), 'keep   inner');
+    assert.equal(normalize(' as typed ', { whitespace: 'preserve' }), ' as typed ');
+  });
+
+  await t.test('case folding handles ß and the Greek final sigma', async () => {
+    const policy = { caseFold: true };
+    assert.equal(normalize('STRASSE', policy), normalize('straße', policy));
+    assert.equal(normalize('ΟΔΥΣΣΕΥΣ', policy), normalize('οδυσσευς', policy));
+    assert.equal(normalize('Οδυσσεύς', policy), normalize('ΟΔΥΣΣΕΎΣ', policy));
+    assert.notEqual(normalize('STRASSE', true), normalize('straße', true));
+  });
+
+  await t.test('emoji pass through every form unchanged', async () => {
+    const intentions = ['family 👨‍👩‍👧 harmony', 'strength 💪🏽', 'love ❤️‍🔥', '🏳️‍🌈 pride'];
+    for (const intention of intentions) {
+      for (const form of ['NFC', 'NFKC', 'NFD', 'NFKD']) {
+        assert.equal(normalize(intention, { form, caseFold: true }), intention);
+      }
+    }
+
+    const rngi = deterministic(true);
+    const toned = await rngi.drawMultiple('strength 💪🏽', 1000000, 3);
+    const spaced = await rngi.drawMultiple(' strength  💪🏽 ', 1000000, 3);
+    const untoned = await rngi.drawMultiple('strength 💪', 1000000, 3);
+    assert.deepStrictEqual(toned.indices, spaced.indices);
+    assert.notDeepStrictEqual(toned.indices, untoned.indices);
+  });
+
+  await t.test('Japanese and Arabic intentions keep their meaning', async () => {
+    // Half-width katakana become full-width under NFKC
+    assert.equal(normalize('ｶｰﾄﾞを引く', 'NFKC'), 'カードを引く');
+    assert.equal(normalize('カードを引く', 'NFKC'), 'カードを引く');
+
+    // Arabic presentation forms fold to the base letters
+    assert.equal(normalize('ﻻ', 'NFKC'), 'لا');
+    assert.equal(normalize('  ما هو  طريقي؟ ', true), 'ما هو طريقي؟');
+
+    const rngi = deterministic('NFKC');
+    const halfWidth = await rngi.drawMultiple('ｶｰﾄﾞを引く', 78, 3, false);
+    const fullWidth = await rngi.drawMultiple('カードを引く', 78, 3, false);
+    assert.deepStrictEqual(halfWidth.indices, fullWidth.indices);
+  });
+
+  await t.test('custom functions are applied before seeding', async () => {
+    const stripPunctuation = text => text.replace(/[?!.。？！]+$/u, '');
+    const rngi = deterministic(stripPunctuation);
+
+    const asked = await rngi.draw('what now?', 78);
+    const stated = await rngi.draw('what now', 78);
+    assert.equal(asked.index, stated.index);
+
+    const bad = deterministic(() => 42);
+    await assert.rejects(() => bad.draw('question', 78), /non-empty string after normalization/);
+  });
+
+  await t.test('empty intentions after normalization are rejected', async () => {
+    const rngi = deterministic(true);
+    await assert.rejects(() => rngi.draw(' \n\u3000 ', 78), /non-empty string after normalization/);
+    await assert.rejects(() => rngi.drawMultiple('\t', 78, 2), /non-empty string after normalization/);
+  });
+
+  await t.test('invalid policies throw at construction', () => {
+    assert.throws(() => deterministic('NFX'), /form must be one of NFC, NFKC, NFD, NFKD/);
+    assert.throws(() => deterministic({ whitespace: 'squash' }), /whitespace must be one of collapse, trim, preserve/);
+    assert.throws(() => deterministic({ caseFold: 'yes' }), /caseFold must be a boolean/);
+    assert.throws(() => deterministic(7), /must be true, a Unicode form, a policy object or a function/);
+  });
+
+  await t.test('receipts record the policy and verify', async () => {
+    const rngi = new RngWithIntention({ includeReceipt: true, normalizeIntention: { form: 'NFKC', caseFold: true } });
+    const { receipt } = await rngi.drawMultiple('Ｗhat  AWAITS me?', 78, 3, false);
+
+    assert.deepStrictEqual(receipt.seed.normalizeIntention, { form: 'NFKC', whitespace: 'collapse', caseFold: true });
+    assert.equal((await verify(receipt, 'what awaits me?')).valid, true);
+    assert.equal((await verify(JSON.parse(JSON.stringify(receipt)), 'WHAT AWAITS ME?')).valid, true);
+    assert.equal((await verify(receipt, 'what awaits you?')).valid, false);
+  });
+
+  await t.test('custom normalizers must be passed to verify', async () => {
+    const lastWord = text => text.trim().split(/\s+/u).pop();
+    const rngi = new RngWithIntention({ includeReceipt: true, normalizeIntention: lastWord });
+    const { receipt } = await rngi.draw('show me love', 78);
+
+    assert.equal(receipt.seed.normalizeIntention, 'custom');
+
+    const missing = await verify(receipt, 'show me love');
+    assert.equal(missing.valid, false);
+    assert.match(missing.reason, /custom intention normalizer/);
+
+    const verdict = await verify(receipt, 'tell me of love', { normalizeIntention: lastWord });
+    assert.equal(verdict.valid, true);
+  });
+});
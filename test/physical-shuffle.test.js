@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { RngWithIntention, Deck, shuffleDeck } from '../src/index.js';
+import { DEFAULT_SHUFFLE } from '../src/physical-shuffle.js';
+
+/**
+ * Check that order is a permutation of 0 to n-1
+ */
+function assertPermutation(order, n) {
+  assert.deepStrictEqual([...order].sort((a, b) => a - b), Array.from({ length: n }, (_, i) => i));
+}
+
+/**
+ * Split an order into maximal runs of consecutive cards (3, 4, 5 ...)
+ */
+function consecutiveRuns(order) {
+  const runs = [[order[0]]];
+  for (let i = 1; i < order.length; i++) {
+    if (order[i] === order[i - 1] + 1) {
+      runs[runs.length - 1].push(order[i]);
+    } else {
+      runs.push([order[i]]);
+    }
+  }
+  return runs;
+}
+
+test('Physical shuffles', async (t) => {
+  const deterministic = new RngWithIntention({ includeTimestamp: false, includeEntropy: false });
+
+  await t.test('default is seven riffles and a cut', async () => {
+    assert.deepStrictEqual([...DEFAULT_SHUFFLE], [...new Array(7).fill('riffle'), 'cut']);
+
+    const result = await shuffleDeck('default steps', 52, undefined, { rng: deterministic });
+    assert.deepStrictEqual(result.steps.map(step => step.type), [...DEFAULT_SHUFFLE]);
+    assertPermutation(result.order, 52);
+    assert.equal(typeof result.timestamp, 'string');
+  });
+
+  await t.test('records every intermediate order', async () => {
+    const { order, steps } = await shuffleDeck('observable', 22, ['riffle', 'overhand', 'cut', 'riffle'], { rng: deterministic });
+
+    assert.equal(steps.length, 4);
+    steps.forEach(step => assertPermutation(step.order, 22));
+    assert.deepStrictEqual(order, steps[steps.length - 1].order);
+  });
+
+  await t.test('a riffle interleaves the two halves of the cut', async () => {
+    for (let i = 0; i < 30; i++) {
+      const { steps: [step] } = await shuffleDeck(`riffle ${i}`, 52, ['riffle'], { rng: deterministic });
+      const top = step.order.filter(card => card < step.cut);
+      const bottom = step.order.filter(card => card >= step.cut);
+
+      // Each half keeps its own order
+      assert.deepStrictEqual(top, Array.from({ length: step.cut }, (_, j) => j));
+      assert.deepStrictEqual(bottom, Array.from({ length: 52 - step.cut }, (_, j) => step.cut + j));
+    }
+  });
+
+  await t.test('riffle cuts are Binomial(n, 1/2)', async () => {
+    let total = 0;
+    for (let i = 0; i < 200; i++) {
+      const { steps: [step] } = await shuffleDeck(`binomial ${i}`, 52, ['riffle'], { rng: deterministic });
+      total += step.cut;
+    }
+    // Mean 26, standard deviation of the mean about 0.25
+    assert.ok(Math.abs(total / 200 - 26) < 1.5, `mean cut ${total / 200}`);
+  });
+
+  await t.test('a cut moves the top cards to the bottom', async () => {
+    for (let i = 0; i < 20; i++) {
+      const { steps: [step] } = await shuffleDeck(`cut ${i}`, 78, ['cut'], { rng: deterministic });
+      const expected = Array.from({ length: 78 }, (_, j) => (j + step.cut) % 78);
+      assert.deepStrictEqual(step.order, expected);
+    }
+  });
+
+  await t.test('an overhand shuffle reverses the order of its packets', async () => {
+    for (let i = 0; i < 20; i++) {
+      const { steps: [step] } = await shuffleDeck(`overhand ${i}`, 52, ['overhand'], { rng: deterministic });
+      const runs = consecutiveRuns(step.order);
+
+      // Packets come out bottom-most first, so their first cards decrease
+      assert.ok(runs.length <= step.packets);
+      for (let j = 1; j < runs.length; j++) {
+        assert.ok(runs[j][0] < runs[j - 1][0]);
+      }
+    }
+  });
+
+  await t.test('deterministic shuffles repeat and differ by intention', async () => {
+    const steps = ['riffle', 'riffle', 'overhand', 'cut'];
+    const first = await shuffleDeck('same', 52, steps, { rng: deterministic });
+    const second = await shuffleDeck('same', 52, steps, { rng: deterministic });
+    const other = await shuffleDeck('other', 52, steps, { rng: deterministic });
+
+    assert.deepStrictEqual(first.steps, second.steps);
+    assert.notDeepStrictEqual(first.order, other.order);
+  });
+
+  await t.test('no steps and single cards are allowed', async () => {
+    const unshuffled = await shuffleDeck('none', 5, [], { rng: deterministic });
+    assert.deepStrictEqual(unshuffled.order, [0, 1, 2, 3, 4]);
+    assert.deepStrictEqual(unshuffled.steps, []);
+
+    const single = await shuffleDeck('one', 1, ['riffle', 'overhand', 'cut'], { rng: deterministic });
+    assert.deepStrictEqual(single.order, [0]);
+  });
+
+  await t.test('decks shuffle their cards by hand', async () => {
+    const deck = Deck.fromPreset('major-arcana', { rng: deterministic });
+    const shuffled = await deck.shuffle('by hand', ['riffle', 'riffle', 'cut']);
+    const direct = await shuffleDeck('by hand', 22, ['riffle', 'riffle', 'cut'], { rng: deterministic });
+
+    assert.deepStrictEqual(shuffled.order, direct.order);
+    assert.deepStrictEqual(shuffled.cards, direct.order.map(index => deck.cards[index]));
+    assert.equal(shuffled.steps.length, 3);
+  });
+
+  await t.test('rejects bad decks and unknown steps', async () => {
+    await assert.rejects(() => shuffleDeck('q', 0), /Deck size must be a positive integer/);
+    await assert.rejects(() => shuffleDeck('q', 2.5), /Deck size must be a positive integer/);
+    await assert.rejects(() => shuffleDeck('q', 52, 'riffle'), /steps must be an array/);
+    await assert.rejects(() => shuffleDeck('q', 52, ['riffle', 'wash']), /Unknown shuffle step: wash/);
+  });
+});
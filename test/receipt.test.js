@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { RngWithIntention, verify } from '../src/index.js';
+
+test('Draw receipts', async (t) => {
+  await t.test('no receipt unless enabled', async () => {
+    const rngi = new RngWithIntention();
+    const result = await rngi.draw('question', 78);
+    assert.ok(!('receipt' in result));
+  });
+
+  await t.test('draw receipt verifies with the same intention', async () => {
+    const rngi = new RngWithIntention({ includeReceipt: true });
+    const { index, timestamp, receipt } = await rngi.draw('was this random?', 78);
+
+    assert.equal(receipt.timestamp, timestamp);
+    assert.equal(receipt.result, index);
+    assert.match(receipt.entropy, /^[0-9a-f]{32}$/);
+    assert.match(receipt.commitment, /^[0-9a-f]{64}$/);
+
+    const verdict = await verify(receipt, 'was this random?');
+    assert.equal(verdict.valid, true);
+    assert.equal(verdict.result, index);
+  });
+
+  await t.test('receipt survives JSON and never contains the intention', async () => {
+    const rngi = new RngWithIntention({ includeReceipt: true });
+    const { receipt } = await rngi.drawMultiple('my private question', 78, 10, false);
+    const json = JSON.stringify(receipt);
+    assert.ok(!json.includes('my private question'));
+
+    const verdict = await verify(JSON.parse(json), 'my private question');
+    assert.equal(verdict.valid, true);
+  });
+
+  await t.test('wrong intention fails verification', async () => {
+    const rngi = new RngWithIntention({ includeReceipt: true });
+    const { receipt } = await rngi.draw('the real question', 1000);
+    const verdict = await verify(receipt, 'a different question');
+    assert.equal(verdict.valid, false);
+    assert.match(verdict.reason, /does not match receipt/);
+  });
+
+  await t.test('tampered entropy breaks the commitment', async () => {
+    const rngi = new RngWithIntention({ includeReceipt: true });
+    const { receipt } = await rngi.draw('question', 78);
+    const tampered = { ...receipt, entropy: '00'.repeat(16) };
+    const verdict = await verify(tampered, 'question');
+    assert.equal(verdict.valid, false);
+    assert.match(verdict.reason, /commitment/);
+  });
+
+  await t.test('tampered result is detected', async () => {
+    const rngi = new RngWithIntention({ includeReceipt: true });
+    const { receipt } = await rngi.drawMultiple('spread', 78, 3);
+    const tampered = { ...receipt, result: [0, 1, 2] };
+    const verdict = await verify(tampered, 'spread');
+    assert.equal(verdict.valid, false);
+  });
+
+  await t.test('commitment is published before the result', async () => {
+    const events = [];
+    const rngi = new RngWithIntention({
+      includeReceipt: true,
+      onCommit: async (commitment) => {
+        events.push(['commit', commitment]);
+      }
+    });
+    const { receipt } = await rngi.draw('order of events', 78);
+    events.push(['result', receipt.commitment]);
+
+    assert.equal(events[0][0], 'commit');
+    assert.equal(events[0][1], receipt.commitment);
+  });
+
+  await t.test('BigInt ranges round-trip through receipts', async () => {
+    const rngi = new RngWithIntention({ includeReceipt: true });
+    const { index, receipt } = await rngi.draw('lottery', 2n ** 80n);
+    const parsed = JSON.parse(JSON.stringify(receipt));
+    assert.equal(parsed.result, index.toString());
+    assert.equal((await verify(parsed, 'lottery')).valid, true);
+  });
+
+  await t.test('deterministic receipts verify without entropy', async () => {
+    const rngi = new RngWithIntention({
+      includeTimestamp: false,
+      includeEntropy: false,
+      includeReceipt: true
+    });
+    const { receipt } = await rngi.draw('deterministic', 100);
+    assert.equal(receipt.entropy, null);
+    assert.equal((await verify(receipt, 'deterministic')).valid, true);
+  });
+
+  await t.test('receipts with missing or malformed fields are rejected', async () => {
+    const rngi = new RngWithIntention({ includeReceipt: true });
+    const { receipt } = await rngi.drawMultiple('spread', 78, 3);
+    const without = field => {
+      const copy = { ...receipt };
+      delete copy[field];
+      return copy;
+    };
+
+    for (const [tampered, reason] of [
+      [without('seed'), /'seed' is missing or malformed/],
+      [{ ...receipt, seed: null }, /'seed' is missing or malformed/],
+      [without('params'), /'params' is missing or malformed/],
+      [{ ...receipt, params: { ...receipt.params, count: 'three' } }, /'params' is malformed: Count must be a positive integer/],
+      [{ ...receipt, params: { ...receipt.params, max: 'x', bigint: true } }, /'params' is missing or malformed/]
+    ]) {
+      const verdict = await verify(tampered, 'spread');
+      assert.equal(verdict.valid, false);
+      assert.match(verdict.reason, reason);
+      assert.equal(verdict.result, null);
+    }
+  });
+
+  await t.test('rejects unknown receipt versions', async () => {
+    const verdict = await verify({ version: 99 }, 'question');
+    assert.equal(verdict.valid, false);
+    await assert.rejects(() => verify(null, 'question'), /Receipt must be an object/);
+  });
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { RngWithIntention, Deck, verify } from '../src/index.js';
+
+test('Card orientation', async (t) => {
+  const withReversals = (reversalProbability, options = {}) => new RngWithIntention({
+    includeTimestamp: false,
+    includeEntropy: false,
+    reversalProbability,
+    ...options
+  });
+
+  await t.test('no orientation unless enabled', async () => {
+    const rngi = new RngWithIntention();
+    assert.ok(!('reversed' in await rngi.draw('upright', 78)));
+    assert.ok(!('reversed' in await rngi.drawMultiple('upright', 78, 3)));
+  });
+
+  await t.test('draw, drawMultiple and drawSpread report orientation', async () => {
+    const rngi = withReversals(0.5);
+
+    const single = await rngi.draw('single', 78);
+    assert.equal(typeof single.reversed, 'boolean');
+
+    const multiple = await rngi.drawMultiple('multiple', 78, 5, false);
+    assert.equal(multiple.reversed.length, 5);
+    multiple.reversed.forEach(r => assert.equal(typeof r, 'boolean'));
+
+    const spread = await rngi.drawSpread('spread', 78, 'three-card');
+    spread.positions.forEach(p => assert.equal(typeof p.reversed, 'boolean'));
+  });
+
+  await t.test('orientation does not change which cards are drawn', async () => {
+    const upright = await withReversals(null).drawMultiple('same cards', 78, 10, false);
+    const mixed = await withReversals(0.5).drawMultiple('same cards', 78, 10, false);
+    assert.deepStrictEqual(mixed.indices, upright.indices);
+  });
+
+  await t.test('probability 0 never reverses and 1 always does', async () => {
+    const never = await withReversals(0).drawMultiple('never', 78, 20, false);
+    assert.ok(never.reversed.every(r => r === false));
+
+    const always = await withReversals(1).drawMultiple('always', 78, 20, false);
+    assert.ok(always.reversed.every(r => r === true));
+  });
+
+  await t.test('reversal frequency follows the configured probability', async () => {
+    for (const p of [0.25, 0.5]) {
+      const rngi = withReversals(p);
+      let reversed = 0;
+      const draws = 2000;
+      for (let i = 0; i < draws; i++) {
+        if ((await rngi.draw(`frequency ${i}`, 78)).reversed) reversed++;
+      }
+      // Five standard deviations either side of the expected count
+      const sd = Math.sqrt(draws * p * (1 - p));
+      assert.ok(Math.abs(reversed - draws * p) < 5 * sd, `p=${p}: ${reversed}/${draws} reversed`);
+    }
+  });
+
+  await t.test('decks pass orientation through', async () => {
+    const deck = Deck.fromPreset('rider-waite', { rng: withReversals(0.5) });
+    const { cards, reversed } = await deck.draw('deck reversals', 3);
+    assert.equal(reversed.length, cards.length);
+
+    const { positions } = await deck.drawSpread('deck spread', 'three-card');
+    positions.forEach(p => assert.equal(typeof p.reversed, 'boolean'));
+  });
+
+  await t.test('receipts record and verify orientation', async () => {
+    const rngi = new RngWithIntention({ reversalProbability: 0.5, includeReceipt: true });
+    const { receipt, reversed } = await rngi.drawMultiple('verified reversals', 78, 10, false);
+    assert.deepStrictEqual(receipt.reversed, reversed);
+    assert.equal(receipt.params.reversalProbability, 0.5);
+    assert.equal((await verify(receipt, 'verified reversals')).valid, true);
+
+    const flipped = { ...receipt, reversed: reversed.map(r => !r) };
+    assert.equal((await verify(flipped, 'verified reversals')).valid, false);
+  });
+
+  await t.test('rejects invalid probabilities', () => {
+    for (const reversalProbability of [-0.1, 1.5, NaN, '0.5']) {
+      assert.throws(() => new RngWithIntention({ reversalProbability }), /reversalProbability must be a number between 0 and 1/);
+    }
+  });
+});
@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { RngWithIntention } from '../src/RngWithIntention.js';
+import { uniformIndex, bitLength, bytesToBigInt } from '../src/sampling.js';
+
+/**
+ * Build a byte source that replays fixed bytes, so tests control exactly
+ * which candidates the sampler sees
+ */
+function fixedBytes(values) {
+  let position = 0;
+  return async (size) => {
+    const out = new Uint8Array(values.slice(position, position + size));
+    position += size;
+    return out;
+  };
+}
+
+test('Unbiased sampling', async (t) => {
+  await t.test('bitLength and bytesToBigInt', () => {
+    assert.equal(bitLength(0n), 0);
+    assert.equal(bitLength(1n), 1);
+    assert.equal(bitLength(77n), 7);
+    assert.equal(bitLength(2n ** 32n), 33);
+    assert.equal(bytesToBigInt(new Uint8Array([0x01, 0x00])), 256n);
+    assert.equal(bytesToBigInt(new Uint8Array([0xff, 0xff, 0xff, 0xff, 0xff])), 2n ** 40n - 1n);
+  });
+
+  await t.test('rejects candidates outside the range and reads again', async () => {
+    // max = 3 needs 2 bits: top bits of 0xC0 are 0b11 (3, rejected), 0x40 gives 1
+    const index = await uniformIndex(fixedBytes([0xc0, 0x40]), 3);
+    assert.equal(index, 1);
+  });
+
+  await t.test('every single-byte input maps evenly over an awkward range', async () => {
+    // With one byte per attempt, count how often each index is accepted
+    // across all 256 possible bytes. Rejected bytes must not favour any index.
+    for (const max of [3, 5, 6, 7, 78, 100]) {
+      const counts = new Array(max).fill(0);
+      const bits = bitLength(BigInt(max - 1));
+      for (let byte = 0; byte < 256; byte++) {
+        // Only run inputs that are accepted on the first attempt
+        if ((byte >> (8 - bits)) < max) {
+          counts[await uniformIndex(async () => new Uint8Array([byte]), max)]++;
+        }
+      }
+      const unique = new Set(counts);
+      assert.equal(unique.size, 1, `max=${max} should accept each index equally often, got ${counts}`);
+    }
+  });
+
+  await t.test('max of 1 always returns 0 without reading', async () => {
+    const readBytes = async () => { throw new Error('should not read'); };
+    assert.equal(await uniformIndex(readBytes, 1), 0);
+    assert.equal(await uniformIndex(readBytes, 1n), 0n);
+  });
+});
+
+test('draw with large ranges', async (t) => {
+  const rngi = new RngWithIntention({
+    includeTimestamp: false,
+    includeEntropy: false
+  });
+
+  await t.test('supports ranges beyond 2^32 as numbers', async () => {
+    const max = 2 ** 40 + 7;
+    let sawHigh = false;
+    for (let i = 0; i < 50; i++) {
+      const { index } = await rngi.draw(`large ${i}`, max);
+      assert.equal(typeof index, 'number');
+      assert.ok(Number.isInteger(index) && index >= 0 && index < max);
+      if (index >= 2 ** 32) sawHigh = true;
+    }
+    assert.ok(sawHigh, 'Indices above 2^32 should be reachable');
+  });
+
+  await t.test('returns BigInt indices for BigInt ranges', async () => {
+    // Number of 6-of-49 lottery tickets squared - well past 2^53
+    const max = 13983816n ** 2n;
+    for (let i = 0; i < 20; i++) {
+      const { index } = await rngi.draw(`lottery ${i}`, max);
+      assert.equal(typeof index, 'bigint');
+      assert.ok(index >= 0n && index < max);
+    }
+  });
+
+  await t.test('is deterministic for BigInt ranges', async () => {
+    const max = 2n ** 100n;
+    const a = await rngi.draw('same', max);
+    const b = await rngi.draw('same', max);
+    assert.equal(a.index, b.index);
+  });
+
+  await t.test('rejects unsafe numbers and non-positive BigInts', async () => {
+    await assert.rejects(() => rngi.draw('test', 2 ** 60), /must be passed as a BigInt/);
+    await assert.rejects(() => rngi.draw('test', 0n), /Max must be a positive integer/);
+    await assert.rejects(() => rngi.draw('test', -5n), /Max must be a positive integer/);
+  });
+
+  await t.test('spreads awkward range of 3e9 evenly across its halves', async () => {
+    // Modulo bias on 3e9 made the lower ~43% of the range twice as likely
+    const max = 3e9;
+    let low = 0;
+    const draws = 400;
+    for (let i = 0; i < draws; i++) {
+      const { index } = await rngi.draw(`awkward ${i}`, max);
+      if (index < max * 0.43) low++;
+    }
+    // Biased modulo would put ~60% of draws in the low region
+    const share = low / draws;
+    assert.ok(share > 0.33 && share < 0.53, `Low-region share ${share} should be near 0.43`);
+  });
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { RngWithIntention, verify, generateSecret, exportSecret, importSecret } from '../src/index.js';
+import { hmacSha256, bytesToHex, hexToBytes } from '../src/crypto-polyfill.js';
+
+/**
+ * A deterministic generator sealed with the given secret
+ */
+function sealed(secret) {
+  return new RngWithIntention({ includeTimestamp: false, includeEntropy: false, secret });
+}
+
+test('Sealed seeds', async (t) => {
+  await t.test('HMAC-SHA-256 matches RFC 4231 test case 2', async () => {
+    const mac = await hmacSha256(new TextEncoder().encode('Jefe'), 'what do ya want for nothing?');
+    assert.equal(bytesToHex(mac), '5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843');
+  });
+
+  await t.test('HMAC-SHA-256 matches Web Crypto', async () => {
+    const key = hexToBytes('000102030405060708090a0b0c0d0e0f');
+    // node:crypto's webcrypto also works on Node.js 18, which has no global crypto
+    const { subtle } = (await import('node:crypto')).webcrypto;
+    const cryptoKey = await subtle.importKey('raw', key, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const expected = new Uint8Array(await subtle.sign('HMAC', cryptoKey, new TextEncoder().encode('seed::ünïcode')));
+
+    assert.deepStrictEqual(await hmacSha256(key, 'seed::ünïcode'), expected);
+  });
+
+  await t.test('a secret changes every result', async () => {
+    const plain = await sealed().drawMultiple('yes or no?', 1000000, 3);
+    const mine = await sealed('correct horse battery staple').drawMultiple('yes or no?', 1000000, 3);
+    const theirs = await sealed('a different passphrase').drawMultiple('yes or no?', 1000000, 3);
+
+    assert.notDeepStrictEqual(plain.indices, mine.indices);
+    assert.notDeepStrictEqual(mine.indices, theirs.indices);
+  });
+
+  await t.test('the same secret repeats deterministic draws', async () => {
+    const secret = await generateSecret();
+    const first = await sealed(secret).drawMultiple('yes or no?', 1000000, 3);
+    const second = await sealed(importSecret(exportSecret(secret))).drawMultiple('yes or no?', 1000000, 3);
+    assert.deepStrictEqual(first.indices, second.indices);
+  });
+
+  await t.test('passphrases and their bytes are the same key', async () => {
+    const passphrase = 'тайна 🔑';
+    const fromString = await sealed(passphrase).draw('question', 1000000);
+    const fromBytes = await sealed(new TextEncoder().encode(passphrase)).draw('question', 1000000);
+
+    assert.equal(fromString.index, fromBytes.index);
+    assert.equal(exportSecret(passphrase), bytesToHex(new TextEncoder().encode(passphrase)));
+  });
+
+  await t.test('changing the caller\'s buffer does not change the key', async () => {
+    const secret = await generateSecret();
+    const rngi = sealed(secret);
+    const before = await rngi.draw('question', 1000000);
+    secret.fill(0);
+    const after = await rngi.draw('question', 1000000);
+
+    assert.equal(before.index, after.index);
+  });
+
+  await t.test('a guessed intention no longer reproduces a shared result', async () => {
+    const shared = await sealed(await generateSecret()).draw('yes or no?', 1000000);
+    const guesses = ['yes or no?', 'Yes or no?', 'yes or no'];
+
+    for (const guess of guesses) {
+      const { index } = await sealed().draw(guess, 1000000);
+      assert.notEqual(index, shared.index);
+    }
+  });
+
+  await t.test('generated secrets are random and sized', async () => {
+    const a = await generateSecret();
+    const b = await generateSecret();
+
+    assert.ok(a instanceof Uint8Array);
+    assert.equal(a.length, 32);
+    assert.notDeepStrictEqual(a, b);
+    assert.equal((await generateSecret(64)).length, 64);
+    assert.match(exportSecret(a), /^[0-9a-f]{64}$/);
+    await assert.rejects(() => generateSecret(8), /at least 16 bytes/);
+  });
+
+  await t.test('sealed receipts need the secret to verify', async () => {
+    const secret = await generateSecret();
+    const rngi = new RngWithIntention({ secret, includeReceipt: true });
+    const { receipt } = await rngi.drawMultiple('private spread', 78, 3, false);
+
+    assert.equal(receipt.seed.sealed, true);
+    assert.ok(!JSON.stringify(receipt).includes(exportSecret(secret)));
+
+    const missing = await verify(receipt, 'private spread');
+    assert.equal(missing.valid, false);
+    assert.match(missing.reason, /sealed with a secret/);
+
+    assert.equal((await verify(receipt, 'private spread', { secret })).valid, true);
+    assert.equal((await verify(receipt, 'private spread', { secret: await generateSecret() })).valid, false);
+  });
+
+  await t.test('rejects invalid secrets', async () => {
+    assert.throws(() => sealed(''), /secret must not be empty/);
+    assert.throws(() => sealed(new Uint8Array(0)), /secret must not be empty/);
+    assert.throws(() => sealed(12345), /Uint8Array, ArrayBuffer or passphrase string/);
+    assert.throws(() => importSecret('xyz'), /hex string/);
+    assert.throws(() => importSecret(''), /secret must not be empty/);
+    assert.throws(() => exportSecret(null), /No secret to export/);
+  });
+});
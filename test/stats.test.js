@@ -0,0 +1,185 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { RngWithIntention, Deck } from '../src/index.js';
+import {
+  regularizedGammaP,
+  regularizedGammaQ,
+  chiSquarePValue,
+  normalCdf,
+  chiSquareTest,
+  contingencyTest,
+  ksTest,
+  runsTest,
+  serialCorrelationTest,
+  adjustPValues,
+  sampleValues,
+  testRandomness
+} from '../src/stats.js';
+
+const rngi = new RngWithIntention({ includeTimestamp: false, includeEntropy: false });
+
+/**
+ * Assert that two numbers agree to a relative tolerance
+ */
+function assertClose(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tolerance * Math.max(1, Math.abs(expected)), `${actual} != ${expected}`);
+}
+
+test('Statistics', async (t) => {
+  await t.test('incomplete gamma matches closed forms', () => {
+    for (const x of [0.01, 0.5, 1, 2, 5, 20, 50]) {
+      assertClose(regularizedGammaP(1, x), 1 - Math.exp(-x));
+      assertClose(regularizedGammaQ(1, x), Math.exp(-x));
+      // Q(2, x) = (1 + x) e^-x
+      assertClose(regularizedGammaQ(2, x), (1 + x) * Math.exp(-x));
+      assertClose(regularizedGammaP(3.5, x) + regularizedGammaQ(3.5, x), 1);
+    }
+    assert.equal(regularizedGammaP(4, 0), 0);
+    assert.equal(regularizedGammaQ(4, 0), 1);
+  });
+
+  await t.test('chi-square p-values are exact for small degrees of freedom', () => {
+    // Two degrees of freedom: p = e^(-x/2)
+    for (const x of [0.1, 1, 5.991464547107979, 13.8]) {
+      assertClose(chiSquarePValue(x, 2), Math.exp(-x / 2));
+    }
+
+    // Critical values at p = 0.05 and 0.01 from standard tables
+    const critical = [[1, 3.841458820694124, 0.05], [5, 15.08627246938899, 0.01], [10, 18.307038053275146, 0.05], [21, 32.67057337, 0.05], [77, 98.48438, 0.05]];
+    for (const [df, x, p] of critical) {
+      assertClose(chiSquarePValue(x, df), p, 1e-6);
+    }
+
+    // Large degrees of freedom still converge
+    assert.ok(chiSquarePValue(1005000, 1000000) < 0.001);
+  });
+
+  await t.test('normal CDF is accurate in the tails', () => {
+    assertClose(normalCdf(0), 0.5);
+    assertClose(normalCdf(1.959963984540054), 0.975);
+    assertClose(normalCdf(-2.5758293035489), 0.005);
+    assertClose(normalCdf(-8), 6.22096057427178e-16, 1e-6);
+  });
+
+  await t.test('chi-square test counts categories against proportions', () => {
+    const uniform = chiSquareTest([10, 10, 10, 10]);
+    assert.deepStrictEqual(uniform, { statistic: 0, degreesOfFreedom: 3, pValue: 1 });
+
+    // Weights are normalized: [1, 3] means 25% and 75%
+    const weighted = chiSquareTest([30, 70], [1, 3]);
+    assertClose(weighted.statistic, 25 / 25 + 25 / 75);
+
+    assert.throws(() => chiSquareTest([5]), /at least two categories/);
+    assert.throws(() => chiSquareTest([5, 5], [1, 0]), /positive finite/);
+    assert.throws(() => chiSquareTest([5, 5, 5], [1, 1]), /same length/);
+  });
+
+  await t.test('contingency tables are tested for independence', () => {
+    // Rows in the same proportions: statistic 0
+    assert.deepStrictEqual(contingencyTest([[10, 20, 30], [20, 40, 60]]), { statistic: 0, degreesOfFreedom: 2, pValue: 1 });
+
+    // 2×2 with E = 25 everywhere: 4 × 15² / 25 = 36
+    const associated = contingencyTest([[40, 10], [10, 40]]);
+    assert.equal(associated.statistic, 36);
+    assert.equal(associated.degreesOfFreedom, 1);
+    assertClose(associated.pValue, chiSquarePValue(36, 1));
+
+    // Empty columns are left out of the degrees of freedom
+    assert.equal(contingencyTest([[5, 0, 7], [6, 0, 4]]).degreesOfFreedom, 1);
+
+    assert.throws(() => contingencyTest([[1, 2], [3]]), /equal-length rows/);
+    assert.throws(() => contingencyTest([[1, 2], [0, 0]]), /at least two rows and two columns/);
+  });
+
+  await t.test('Kolmogorov–Smirnov separates uniform from skewed floats', async () => {
+    const floats = [];
+    for (let i = 0; i < 500; i++) {
+      floats.push((await rngi.drawFloat(`ks-${i}`)).value);
+    }
+
+    assert.ok(ksTest(floats, x => x).pValue > 0.001);
+    assert.ok(ksTest(floats.map(x => x * x), x => x).pValue < 1e-6);
+    assert.equal(ksTest([0.5], x => x).statistic, 0.5);
+  });
+
+  await t.test('runs and serial correlation catch dependent sequences', () => {
+    const alternating = Array.from({ length: 200 }, (_, i) => i % 2);
+    const trending = Array.from({ length: 200 }, (_, i) => i);
+
+    assert.ok(runsTest(alternating).pValue < 1e-6);
+    assert.equal(runsTest(alternating).runs, 200);
+    assert.ok(runsTest(trending).pValue < 1e-6);
+    assert.ok(serialCorrelationTest(trending).pValue < 1e-6);
+    assert.ok(serialCorrelationTest(alternating).correlation < -0.9);
+
+    assert.throws(() => runsTest([3, 3, 3]), /both sides of the mean/);
+    assert.throws(() => serialCorrelationTest([1, 1, 1, 1]), /not all equal/);
+    assert.throws(() => serialCorrelationTest([1, 2, 3], 0), /Lag must be a positive integer/);
+  });
+
+  await t.test('p-value corrections', () => {
+    const p = [0.01, 0.04, 0.03, 0.005];
+
+    assert.deepStrictEqual(adjustPValues(p, 'bonferroni'), [0.04, 0.16, 0.12, 0.02]);
+    assert.deepStrictEqual(adjustPValues(p, 'holm'), [0.03, 0.06, 0.06, 0.02]);
+    assert.deepStrictEqual(adjustPValues(p, 'benjamini-hochberg'), [0.02, 0.04, 0.04, 0.02]);
+    assert.deepStrictEqual(adjustPValues(p, 'none'), p);
+    assert.deepStrictEqual(adjustPValues([0.5, 0.9], 'bonferroni'), [1, 1]);
+    assert.throws(() => adjustPValues(p, 'sidak'), /Unknown correction: sidak/);
+    assert.throws(() => adjustPValues([1.5]), /between 0 and 1/);
+  });
+
+  await t.test('values are read from any draw result', () => {
+    assert.deepStrictEqual(sampleValues(5), [5]);
+    assert.deepStrictEqual(sampleValues(5n), [5n]);
+    assert.deepStrictEqual(sampleValues({ index: 3, timestamp: 'x' }), [3]);
+    assert.deepStrictEqual(sampleValues({ value: 0.25 }), [0.25]);
+    assert.deepStrictEqual(sampleValues({ cards: [{}, {}], indices: [7, 2] }), [7, 2]);
+    assert.deepStrictEqual(sampleValues([1, { index: 2 }]), [1, 2]);
+    assert.throws(() => sampleValues('7'), /Draw function must return/);
+  });
+
+  await t.test('draws, decks, weighted draws and floats pass the battery', async () => {
+    const deck = Deck.fromPreset('lenormand', { rng: rngi });
+    const weights = [1, 2, 3.5, 0.5];
+
+    const results = [
+      await testRandomness(i => rngi.draw(`battery-${i}`, 6), { categories: 6, draws: 600 }),
+      await testRandomness(i => deck.draw(`battery-${i}`, 1), { categories: 36, draws: 720 }),
+      await testRandomness(i => rngi.drawWeighted(`battery-${i}`, weights), { proportions: weights, draws: 700 }),
+      await testRandomness(i => rngi.drawFloat(`battery-${i}`), { cdf: x => x, draws: 500 })
+    ];
+
+    for (const result of results) {
+      assert.equal(result.passed, true, JSON.stringify(result.tests));
+      assert.deepStrictEqual(result.tests.map(test => test.name), ['goodness-of-fit', 'runs', 'serial-correlation']);
+    }
+    assert.equal(results[0].sampleCount, 600);
+    assert.equal(results[3].tests[0].method, 'kolmogorov-smirnov');
+  });
+
+  await t.test('biased and dependent draw functions fail', async () => {
+    // Favours 0 like a modulo bias would
+    const biased = await testRandomness(async i => {
+      const { index } = await rngi.draw(`biased-${i}`, 8);
+      return index === 7 ? 0 : index;
+    }, { categories: 8, draws: 800 });
+    assert.equal(biased.passed, false);
+    assert.equal(biased.tests.find(test => test.name === 'goodness-of-fit').passed, false);
+
+    // Perfectly uniform counts, but in a fixed cycle
+    const cyclic = await testRandomness(i => i % 6, { categories: 6, draws: 600 });
+    assert.equal(cyclic.passed, false);
+    assert.equal(cyclic.tests.find(test => test.name === 'goodness-of-fit').passed, true);
+  });
+
+  await t.test('validates its options', async () => {
+    const draw = i => i % 2;
+    await assert.rejects(() => testRandomness(draw, {}), /exactly one of categories, proportions or cdf/);
+    await assert.rejects(() => testRandomness(draw, { categories: 2, cdf: x => x }), /exactly one/);
+    await assert.rejects(() => testRandomness(draw, { categories: 2, alpha: 0 }), /alpha must be between 0 and 1/);
+    await assert.rejects(() => testRandomness(draw, { categories: 2, tests: ['spectral'] }), /tests must list some of/);
+    await assert.rejects(() => testRandomness(() => 5, { categories: 2, draws: 10 }), /Value 5 is not a category from 0 to 1/);
+    await assert.rejects(() => testRandomness('draw', { categories: 2 }), /draw must be a function/);
+  });
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { RngWithIntention, verify } from '../src/index.js';
+
+test('Synchronous draws', async (t) => {
+  const deterministic = new RngWithIntention({
+    includeTimestamp: false,
+    includeEntropy: false,
+    clock: () => new Date('2024-12-21T09:00:00.000Z')
+  });
+
+  // Runs first: nothing in this process has loaded the crypto backend yet
+  await t.test('throw a clear error before ready()', () => {
+    assert.throws(() => deterministic.drawSync('too soon', 78), /await RngWithIntention\.ready\(\) first/);
+    assert.throws(() => new RngWithIntention().drawMultipleSync('too soon', 78, 3), /await RngWithIntention\.ready\(\) first/);
+  });
+
+  await t.test('ready() resolves to true in Node.js', async () => {
+    assert.equal(await RngWithIntention.ready(), true);
+    assert.equal(await RngWithIntention.ready(), true);
+  });
+
+  await t.test('drawSync matches draw exactly in deterministic mode', async () => {
+    for (const max of [1, 2, 22, 78, 1000, 3000000000, 2n ** 80n]) {
+      const intention = `sync ${max}`;
+      const sync = deterministic.drawSync(intention, max);
+      const async = await deterministic.draw(intention, max);
+      assert.deepStrictEqual(sync, async);
+    }
+  });
+
+  await t.test('drawMultipleSync matches drawMultiple exactly', async () => {
+    const cases = [
+      [78, 10, true],
+      [78, 10, false],
+      [78, 78, false],
+      [52, 52, false],
+      [10n ** 30n, 5, false],
+      [6, 100, true]
+    ];
+
+    for (const [max, count, allowDuplicates] of cases) {
+      const intention = `spread ${max} ${count} ${allowDuplicates}`;
+      const sync = deterministic.drawMultipleSync(intention, max, count, allowDuplicates);
+      const async = await deterministic.drawMultiple(intention, max, count, allowDuplicates);
+      assert.deepStrictEqual(sync, async);
+    }
+  });
+
+  await t.test('reversals, secrets and normalization match too', async () => {
+    const rngi = new RngWithIntention({
+      includeTimestamp: false,
+      includeEntropy: false,
+      clock: () => 0,
+      reversalProbability: 0.5,
+      secret: 'shared passphrase',
+      normalizeIntention: { caseFold: true }
+    });
+
+    assert.deepStrictEqual(rngi.drawSync('  Which CARD?', 78), await rngi.draw('which card?', 78));
+    assert.deepStrictEqual(
+      rngi.drawMultipleSync('Three Cards', 78, 3, false),
+      await rngi.drawMultiple('three cards', 78, 3, false)
+    );
+  });
+
+  await t.test('the same moment and entropy give the same result', async () => {
+    const rngi = new RngWithIntention({
+      clock: () => new Date('2024-12-21T09:00:00.000Z'),
+      entropySource: () => [3, 5, 1, 6, 2],
+      window: 'hour',
+      timeZone: 'UTC'
+    });
+
+    assert.deepStrictEqual(rngi.drawMultipleSync('solstice', 78, 5, false), await rngi.drawMultiple('solstice', 78, 5, false));
+  });
+
+  await t.test('live draws use fresh entropy', () => {
+    const rngi = new RngWithIntention();
+    const results = Array.from({ length: 20 }, () => rngi.drawSync('same intention', 1000000).index);
+    assert.ok(new Set(results).size > 15);
+  });
+
+  await t.test('sync receipts verify', async () => {
+    const commitments = [];
+    const rngi = new RngWithIntention({ includeReceipt: true, onCommit: c => commitments.push(c) });
+    const { indices, receipt } = rngi.drawMultipleSync('verifiable', 78, 3, false);
+
+    assert.deepStrictEqual(commitments, [receipt.commitment]);
+    assert.deepStrictEqual(receipt.result, indices);
+    assert.equal((await verify(receipt, 'verifiable')).valid, true);
+  });
+
+  await t.test('async hooks are rejected', () => {
+    const asyncEntropy = new RngWithIntention({ entropySource: async () => [1, 2, 3] });
+    assert.throws(() => asyncEntropy.drawSync('q', 78), /returned a promise/);
+
+    const asyncCommit = new RngWithIntention({ includeReceipt: true, onCommit: async () => {} });
+    assert.throws(() => asyncCommit.drawSync('q', 78), /onCommit returned a promise/);
+
+    // With a system fallback, an async source is replaced like any failing one
+    const fallback = new RngWithIntention({ entropySource: async () => [1], entropyFallback: 'system' });
+    assert.ok(Number.isInteger(fallback.drawSync('q', 78).index));
+  });
+
+  await t.test('validate arguments like the async methods', () => {
+    assert.throws(() => deterministic.drawSync('', 78), /Intention must be a non-empty string/);
+    assert.throws(() => deterministic.drawSync('q', 0), /Max must be a positive integer/);
+    assert.throws(() => deterministic.drawMultipleSync('q', 5, 6, false), /more unique values than max/);
+  });
+});
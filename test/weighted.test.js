@@ -0,0 +1,156 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { RngWithIntention, WeightedTable, verify } from '../src/index.js';
+import { bitLength } from '../src/sampling.js';
+
+/**
+ * Bytes that make uniformIndex(readBytes, max) return exactly value
+ */
+function bytesFor(value, max) {
+  const bits = bitLength(BigInt(max) - 1n);
+  const byteCount = Math.ceil(bits / 8);
+  let shifted = BigInt(value) << BigInt(byteCount * 8 - bits);
+  const bytes = [];
+  for (let i = 0; i < byteCount; i++) {
+    bytes.unshift(Number(shifted & 0xffn));
+    shifted >>= 8n;
+  }
+  return bytes;
+}
+
+/**
+ * Run the table over every (column, coin) pair, which are equally likely,
+ * and count how often each index comes up
+ */
+async function exactCounts(table, total) {
+  const counts = new Array(table.size).fill(0);
+  for (let column = 0; column < table.size; column++) {
+    for (let coin = 0; coin < total; coin++) {
+      const bytes = [...bytesFor(column, table.size), ...bytesFor(coin, total)];
+      let position = 0;
+      const readBytes = async (size) => new Uint8Array(bytes.slice(position, position += size));
+      counts[await table.sample(readBytes)]++;
+    }
+  }
+  return counts;
+}
+
+test('Weighted draws', async (t) => {
+  const deterministic = new RngWithIntention({ includeTimestamp: false, includeEntropy: false });
+
+  await t.test('integer weights are drawn with exact probabilities', async () => {
+    // n = 4 columns, total = 10: each index should cover weight * 4 of the 40 outcomes
+    const counts = await exactCounts(new WeightedTable([1, 2, 3, 4]), 10);
+    assert.deepStrictEqual(counts, [4, 8, 12, 16]);
+  });
+
+  await t.test('float weights are scaled exactly', async () => {
+    // 0.5 : 0.25 : 0.25 reduces to 2 : 1 : 1
+    assert.deepStrictEqual(await exactCounts(new WeightedTable([0.5, 0.25, 0.25]), 4), [6, 3, 3]);
+    // 1.5 : 3 reduces to 1 : 2
+    assert.deepStrictEqual(await exactCounts(new WeightedTable([1.5, 3]), 3), [2, 4]);
+  });
+
+  await t.test('rejects zero, negative and non-finite weights', () => {
+    assert.throws(() => new WeightedTable([]), /non-empty array/);
+    assert.throws(() => new WeightedTable('1,2'), /non-empty array/);
+    assert.throws(() => new WeightedTable([1, 0, 2]), /Weight at position 1 must be positive/);
+    assert.throws(() => new WeightedTable([1, -3]), /Weight at position 1 must be positive/);
+    assert.throws(() => new WeightedTable([NaN]), /Weight at position 0 must be a finite number/);
+    assert.throws(() => new WeightedTable([1, Infinity]), /Weight at position 1 must be a finite number/);
+    assert.throws(() => new WeightedTable([1, '2']), /Weight at position 1 must be a finite number/);
+  });
+
+  await t.test('drawWeighted validates before capturing a moment', async () => {
+    await assert.rejects(() => deterministic.drawWeighted('question', [1, 0]), /must be positive/);
+    await assert.rejects(() => deterministic.drawWeighted('', [1, 2]), /Intention/);
+  });
+
+  await t.test('drawWeighted never returns an index outside the weights', async () => {
+    for (let i = 0; i < 100; i++) {
+      const { index } = await deterministic.drawWeighted(`prompt ${i}`, [0.1, 0.2, 0.7]);
+      assert.ok([0, 1, 2].includes(index));
+    }
+  });
+
+  await t.test('a single weight always draws index 0', async () => {
+    const { index } = await deterministic.drawWeighted('only option', [3.7]);
+    assert.equal(index, 0);
+  });
+
+  await t.test('a prebuilt table gives the same draw as its weights', async () => {
+    const weights = Array.from({ length: 1000 }, (_, i) => i + 1);
+    const table = new WeightedTable(weights);
+
+    for (let i = 0; i < 20; i++) {
+      const fromArray = await deterministic.drawWeighted(`large ${i}`, weights);
+      const fromTable = await deterministic.drawWeighted(`large ${i}`, table);
+      assert.equal(fromTable.index, fromArray.index);
+    }
+  });
+
+  await t.test('heavier options come up more often', async () => {
+    const table = new WeightedTable([1, 9]);
+    let heavy = 0;
+    for (let i = 0; i < 500; i++) {
+      const { index } = await deterministic.drawWeighted(`frequency ${i}`, table);
+      if (index === 1) heavy++;
+    }
+    // Expected 450; binomial standard deviation is about 6.7
+    assert.ok(heavy > 400 && heavy < 500, `heavy option drawn ${heavy} of 500 times`);
+  });
+
+  await t.test('streams read weighted indices from one moment', async () => {
+    const stream = await deterministic.createStream('weighted stream');
+    const again = await deterministic.createStream('weighted stream');
+    const weights = [5, 1, 1];
+
+    for (let i = 0; i < 10; i++) {
+      assert.equal(await stream.nextWeighted(weights), await again.nextWeighted(weights));
+    }
+  });
+
+  await t.test('probability and JSON', () => {
+    const table = new WeightedTable([1, 3]);
+    assert.equal(table.size, 2);
+    assert.equal(table.probability(1), 0.75);
+    assert.equal(JSON.stringify(table), '[1,3]');
+    assert.throws(() => table.probability(2), /Index must be an integer from 0 to 1/);
+  });
+
+  await t.test('probability matches the exact draw distribution', () => {
+    // Summed as doubles, 2^53 + 1 + 1 rounds to 2^53
+    const table = new WeightedTable([2 ** 53, 1, 1]);
+    assert.equal(table.probability(1), 1 / (2 ** 53 + 2));
+    assert.ok(table.probability(0) < 1);
+
+    // Integers far past double range still give finite probabilities
+    const wide = new WeightedTable([Number.MAX_VALUE, Number.MIN_VALUE]);
+    assert.equal(wide.probability(0), 1);
+    assert.equal(wide.probability(1), 0);
+  });
+
+  await t.test('tables can hold hundreds of thousands of weights', async () => {
+    const weights = Array.from({ length: 300000 }, (_, i) => (i % 7) + 0.5);
+    const table = new WeightedTable(weights);
+
+    assert.equal(table.size, 300000);
+    assert.equal(table.probability(6), 6.5 / table.weights.reduce((sum, weight) => sum + weight, 0));
+    const { index } = await deterministic.drawWeighted('many options', table);
+    assert.ok(index >= 0 && index < 300000);
+    assert.throws(() => new WeightedTable(new Array(300000)), /Weight at position 0 must be a finite number/);
+  });
+
+  await t.test('receipts record the weights and verify', async () => {
+    const rngi = new RngWithIntention({ includeReceipt: true, reversalProbability: 0.5 });
+    const { index, reversed, receipt } = await rngi.drawWeighted('weighted receipt', new WeightedTable([2, 0.5, 1]));
+
+    assert.equal(receipt.method, 'drawWeighted');
+    assert.deepStrictEqual(receipt.params.weights, [2, 0.5, 1]);
+    assert.equal(typeof reversed, 'boolean');
+
+    const verdict = await verify(JSON.parse(JSON.stringify(receipt)), 'weighted receipt');
+    assert.equal(verdict.valid, true);
+    assert.equal(verdict.result, index);
+  });
+});
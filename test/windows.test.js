@@ -0,0 +1,149 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { RngWithIntention, verify } from '../src/index.js';
+import { windowAt } from '../src/windows.js';
+
+/**
+ * A generator whose clock reads the given ISO time
+ */
+function at(iso, options) {
+  return new RngWithIntention({ clock: () => new Date(iso), ...options });
+}
+
+test('Time windows', async (t) => {
+  await t.test('card of the day holds all day and changes tomorrow', async () => {
+    const options = { window: 'day', timeZone: 'UTC' };
+    const morning = await at('2024-06-10T00:00:00.000Z', options).drawMultiple('my card', 1000000, 3);
+    const evening = await at('2024-06-10T23:59:59.999Z', options).drawMultiple('my card', 1000000, 3);
+    const tomorrow = await at('2024-06-11T00:00:00.000Z', options).drawMultiple('my card', 1000000, 3);
+
+    assert.deepStrictEqual(morning.indices, evening.indices);
+    assert.notDeepStrictEqual(morning.indices, tomorrow.indices);
+    assert.deepStrictEqual(morning.window, { start: '2024-06-10T00:00:00.000Z', end: '2024-06-11T00:00:00.000Z' });
+
+    // The actual moment is still reported
+    assert.equal(evening.timestamp, '2024-06-10T23:59:59.999Z');
+  });
+
+  await t.test('windows turn off entropy unless asked', async () => {
+    const defaulted = new RngWithIntention({ window: 'day' });
+    assert.equal(defaulted.options.includeEntropy, false);
+
+    const explicit = new RngWithIntention({ window: 'day', includeEntropy: true });
+    assert.equal(explicit.options.includeEntropy, true);
+    assert.equal(new RngWithIntention().options.includeEntropy, true);
+  });
+
+  await t.test('days follow the time zone', async () => {
+    // 03:30 UTC is still the previous evening in New York
+    const instant = '2024-06-11T03:30:00.000Z';
+    const newYork = await at(instant, { window: 'day', timeZone: 'America/New_York' }).draw('daily', 78);
+    const tokyo = await at(instant, { window: 'day', timeZone: 'Asia/Tokyo' }).draw('daily', 78);
+
+    assert.deepStrictEqual(newYork.window, { start: '2024-06-10T04:00:00.000Z', end: '2024-06-11T04:00:00.000Z' });
+    assert.deepStrictEqual(tokyo.window, { start: '2024-06-10T15:00:00.000Z', end: '2024-06-11T15:00:00.000Z' });
+
+    const kolkata = windowAt(new Date(instant), 'day', 'Asia/Kolkata');
+    assert.deepStrictEqual(kolkata, { start: '2024-06-10T18:30:00.000Z', end: '2024-06-11T18:30:00.000Z' });
+  });
+
+  await t.test('days across daylight saving changes are 23 or 25 hours', () => {
+    const spring = windowAt(new Date('2024-03-10T12:00:00Z'), 'day', 'America/New_York');
+    assert.deepStrictEqual(spring, { start: '2024-03-10T05:00:00.000Z', end: '2024-03-11T04:00:00.000Z' });
+
+    const autumn = windowAt(new Date('2024-11-03T12:00:00Z'), 'day', 'America/New_York');
+    assert.deepStrictEqual(autumn, { start: '2024-11-03T04:00:00.000Z', end: '2024-11-04T05:00:00.000Z' });
+  });
+
+  await t.test('days whose midnight is skipped start at the change', () => {
+    const localDate = (ms, timeZone) => new Date(ms).toLocaleDateString('en-CA', { timeZone });
+    const cases = [
+      // Clocks jump from 00:00 to 01:00, so these days start at 01:00
+      ['2024-09-08T03:30:00Z', 'America/Santiago', '2024-09-07', { start: '2024-09-07T04:00:00.000Z', end: '2024-09-08T04:00:00.000Z' }],
+      ['2024-09-08T12:00:00Z', 'America/Santiago', '2024-09-08', { start: '2024-09-08T04:00:00.000Z', end: '2024-09-09T03:00:00.000Z' }],
+      ['2024-03-10T12:00:00Z', 'America/Havana', '2024-03-10', { start: '2024-03-10T05:00:00.000Z', end: '2024-03-11T04:00:00.000Z' }],
+      ['2018-11-04T12:00:00Z', 'America/Sao_Paulo', '2018-11-04', { start: '2018-11-04T03:00:00.000Z', end: '2018-11-05T02:00:00.000Z' }]
+    ];
+
+    for (const [instant, timeZone, day, expected] of cases) {
+      const moment = new Date(instant).getTime();
+      const window = windowAt(new Date(instant), 'day', timeZone);
+      const start = Date.parse(window.start);
+      const end = Date.parse(window.end);
+
+      assert.deepStrictEqual(window, expected, `${timeZone} ${instant}`);
+      assert.ok(start <= moment && moment < end, `${timeZone} ${instant} is outside its window`);
+      assert.equal(localDate(start, timeZone), day);
+      assert.notEqual(localDate(start - 1, timeZone), day);
+    }
+  });
+
+  await t.test('minutes and hours', () => {
+    const date = new Date('2024-06-10T13:47:21.500Z');
+    assert.deepStrictEqual(windowAt(date, 'minute', 'UTC'), { start: '2024-06-10T13:47:00.000Z', end: '2024-06-10T13:48:00.000Z' });
+    assert.deepStrictEqual(windowAt(date, 'hour', 'UTC'), { start: '2024-06-10T13:00:00.000Z', end: '2024-06-10T14:00:00.000Z' });
+
+    // Local hours start on the half hour in India
+    assert.deepStrictEqual(windowAt(date, 'hour', 'Asia/Kolkata'), { start: '2024-06-10T13:30:00.000Z', end: '2024-06-10T14:30:00.000Z' });
+
+    // The repeated hour when New York's clocks go back is two windows
+    const first = windowAt(new Date('2024-11-03T05:30:00Z'), 'hour', 'America/New_York');
+    const second = windowAt(new Date('2024-11-03T06:30:00Z'), 'hour', 'America/New_York');
+    assert.notDeepStrictEqual(first, second);
+  });
+
+  await t.test('weeks start on Monday', () => {
+    // Sunday 2024-06-16 in UTC belongs to the week of Monday the 10th
+    const sunday = windowAt(new Date('2024-06-16T22:00:00Z'), 'week', 'UTC');
+    assert.deepStrictEqual(sunday, { start: '2024-06-10T00:00:00.000Z', end: '2024-06-17T00:00:00.000Z' });
+
+    // ...but it is already Monday in Tokyo
+    const tokyo = windowAt(new Date('2024-06-16T22:00:00Z'), 'week', 'Asia/Tokyo');
+    assert.deepStrictEqual(tokyo, { start: '2024-06-16T15:00:00.000Z', end: '2024-06-23T15:00:00.000Z' });
+  });
+
+  await t.test('lunar months follow the mean synodic month', () => {
+    const { start, end } = windowAt(new Date('2024-04-20T00:00:00Z'), 'lunarMonth');
+    const days = (Date.parse(end) - Date.parse(start)) / 86400000;
+
+    assert.ok(Math.abs(days - 29.530588853) < 1e-6);
+    assert.ok(Date.parse(start) <= Date.parse('2024-04-20T00:00:00Z'));
+
+    // The new moon of 2024-04-08 18:21 UTC, within the mean's drift
+    assert.ok(Math.abs(Date.parse(start) - Date.parse('2024-04-08T18:21:00Z')) < 14 * 3600000);
+  });
+
+  await t.test('custom lengths count from the epoch', async () => {
+    const options = { window: 15 * 60000 };
+    const a = await at('2024-06-10T10:00:00.000Z', options).draw('quarter hour', 1000000);
+    const b = await at('2024-06-10T10:14:59.999Z', options).draw('quarter hour', 1000000);
+
+    assert.equal(a.index, b.index);
+    assert.deepStrictEqual(b.window, { start: '2024-06-10T10:00:00.000Z', end: '2024-06-10T10:15:00.000Z' });
+  });
+
+  await t.test('at() picks the window for an explicit moment', async () => {
+    const rngi = new RngWithIntention({ window: 'day', timeZone: 'Europe/Berlin' });
+    const result = await rngi.at('2024-02-29T12:00:00Z').draw('leap day', 78);
+    assert.deepStrictEqual(result.window, { start: '2024-02-28T23:00:00.000Z', end: '2024-02-29T23:00:00.000Z' });
+  });
+
+  await t.test('windowed receipts verify', async () => {
+    const rngi = at('2024-06-10T08:00:00.000Z', { window: 'week', timeZone: 'UTC', includeReceipt: true });
+    const { receipt } = await rngi.draw('weekly', 78);
+
+    assert.deepStrictEqual(receipt.window, { start: '2024-06-10T00:00:00.000Z', end: '2024-06-17T00:00:00.000Z' });
+    assert.equal((await verify(receipt, 'weekly')).valid, true);
+
+    const moved = { ...receipt, window: { start: '2024-06-03T00:00:00.000Z', end: '2024-06-10T00:00:00.000Z' } };
+    assert.equal((await verify(moved, 'weekly')).valid, false);
+  });
+
+  await t.test('rejects invalid windows and time zones', () => {
+    assert.throws(() => new RngWithIntention({ window: 'fortnight' }), /window must be one of minute, hour, day, week, lunarMonth/);
+    assert.throws(() => new RngWithIntention({ window: 0 }), /positive integer number of milliseconds/);
+    assert.throws(() => new RngWithIntention({ window: 1.5 }), /positive integer number of milliseconds/);
+    assert.throws(() => new RngWithIntention({ window: 'day', timeZone: 'Mars/Olympus_Mons' }), /Unknown time zone: Mars\/Olympus_Mons/);
+    assert.throws(() => new RngWithIntention({ window: 'day', includeTimestamp: false }), /window needs includeTimestamp/);
+  });
+});